@@ -0,0 +1,63 @@
+// Catalog of named permissions checked by requirePermission()
+export const PERMISSIONS = {
+  'users:read': 'List users and teachers',
+  'users:manage': 'Create, update, deactivate and unlock users; send invitations',
+  'roles:manage': 'Create roles and assign them to users',
+  'security:manage': 'Change institute-wide security settings',
+  'audit:read': 'View and export the audit log',
+  'subjects:manage': 'Create and manage subjects',
+  'grading:manage': 'Configure grading schemes for the institute, departments and subjects',
+  'terms:manage': 'Manage academic terms and subject offerings; close terms and promote students',
+  'tests:read': 'View tests',
+  'tests:write': 'Create tests and edit or delete own tests',
+  'tests:manage': 'Edit or delete any test regardless of who created it',
+  'marks:write': 'Enter and update marks',
+  'questions:manage': 'Maintain the question bank of taught subjects and assemble online test papers',
+  'marks:rollback': 'Roll marks of a result back to an earlier version',
+  'enrollments:manage': 'Enroll students in and drop them from subject offerings (own offerings without institute scope)',
+  'results:approve': 'Review, moderate, publish and withdraw test results (HOD approval)',
+  'results:read': 'View results and performance of any student',
+  'results:own': 'View own results and performance',
+  'students:read': 'List students',
+  'scope:institute': 'Access students, tests and results of every department instead of only those taught',
+  'announcements:manage': 'Create, edit and delete announcements',
+  'applications:read': 'View job applicants',
+  'resumes:read': 'View uploaded resumes of job applicants',
+  'jobs:apply': 'Apply to job announcements and upload resumes',
+  'dashboard:admin': 'View the admin dashboard',
+  'dashboard:teacher': 'View the teacher dashboard',
+  'dashboard:student': 'View the student dashboard'
+};
+
+export const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Built-in roles, one per User.role value. They are created on startup if
+// missing; teacher and student can afterwards be edited by an admin.
+export const SYSTEM_ROLES = {
+  admin: {
+    description: 'Full access to the system',
+    permissions: ALL_PERMISSIONS
+  },
+  teacher: {
+    description: 'Creates tests and grades students',
+    permissions: [
+      'tests:read',
+      'tests:write',
+      'marks:write',
+      'questions:manage',
+      'enrollments:manage',
+      'results:read',
+      'students:read',
+      'dashboard:teacher'
+    ]
+  },
+  student: {
+    description: 'Views own results and applies to jobs',
+    permissions: [
+      'tests:read',
+      'results:own',
+      'jobs:apply',
+      'dashboard:student'
+    ]
+  }
+};
@@ -1,12 +1,198 @@
 import mongoose from 'mongoose';
 import TestResult from '../models/TestResult.js';
 import Test from '../models/Test.js';
+import User from '../models/User.js';
+import { getAccessScope, isTestInScope, isStudentInScope, denyOutOfScope } from '../utils/scope.js';
+import { describeAudit } from '../utils/audit.js';
+import { readSpreadsheet, pickColumn } from '../utils/spreadsheet.js';
+import { gradeResult, getGradingSchemeForTest } from '../utils/grading.js';
+import { isTermArchived } from '../utils/terms.js';
+import { findOfferingForTest, getEnrolledStudentIds } from '../utils/enrollment.js';
+import { areMarksEditable, marksLockedMessage, resultStatusOf } from '../utils/resultWorkflow.js';
+import { historyEntries, currentVersion, versionValues } from '../utils/markHistory.js';
 
+// Accepted column names for marks spreadsheets
+const MARKS_COLUMNS = {
+  rollNumber: ['roll number', 'roll no', 'roll'],
+  marks: ['marks', 'marks obtained', 'score'],
+  remarks: ['remarks', 'comment', 'comments']
+};
+
+const MARK_STATUSES = ['graded', 'absent', 'exempt', 'malpractice'];
+
+// Spreadsheet cells may hold a status code instead of marks
+const MARK_STATUS_CODES = {
+  ab: 'absent',
+  absent: 'absent',
+  ex: 'exempt',
+  exempt: 'exempt',
+  mp: 'malpractice',
+  malpractice: 'malpractice'
+};
+
+// Problems with a single mark's value: bounds for graded entries, known status otherwise
+const checkMarkValue = (test, { markStatus = 'graded', marksObtained, remarks, reason }) => {
+  const errors = [];
+
+  if (!MARK_STATUSES.includes(markStatus)) {
+    errors.push(`Status must be one of ${MARK_STATUSES.join(', ')}`);
+  } else if (markStatus === 'graded') {
+    if (typeof marksObtained !== 'number' || !Number.isFinite(marksObtained)) {
+      errors.push('Marks must be a number');
+    } else if (marksObtained < 0 || marksObtained > test.maxMarks) {
+      errors.push(`Marks must be between 0 and ${test.maxMarks}`);
+    }
+  }
+
+  if (remarks && String(remarks).length > 500) {
+    errors.push('Remarks cannot exceed 500 characters');
+  }
+
+  if (reason && String(reason).length > 500) {
+    errors.push('Reason cannot exceed 500 characters');
+  }
+
+  return errors;
+};
+
+// Check every submitted row: ID format, duplicates, that the user is an active
+// student (enrolled in the test's offering, if any) and the mark itself.
+// Returns one { index, student, status: 'accepted' | 'rejected', reasons } per row.
+const validateMarks = async (test, marks) => {
+  const studentIds = marks.map(mark => String(mark?.student ?? '')).filter(id => mongoose.Types.ObjectId.isValid(id));
+  const students = await User.find({ _id: { $in: studentIds } }).select('role isActive graduatedAt').lean();
+  const studentById = new Map(students.map(student => [student._id.toString(), student]));
+
+  const offering = await findOfferingForTest(test);
+  const enrolled = offering && await getEnrolledStudentIds(offering._id);
+  const seen = new Map();
+
+  return marks.map((mark, index) => {
+    const studentId = String(mark?.student ?? '');
+    const student = studentById.get(studentId);
+    const reasons = [];
+
+    if (!mongoose.Types.ObjectId.isValid(studentId)) {
+      reasons.push('Invalid student ID');
+    } else if (!student || student.role !== 'student') {
+      reasons.push('Not a student');
+    } else if (!student.isActive || student.graduatedAt) {
+      reasons.push('Student is inactive or has graduated');
+    } else if (enrolled && !enrolled.has(studentId)) {
+      reasons.push('Student is not enrolled in this subject for the term');
+    }
+
+    if (seen.has(studentId)) {
+      reasons.push(`Duplicate entry (also at index ${seen.get(studentId)})`);
+    } else {
+      seen.set(studentId, index);
+    }
+
+    reasons.push(...checkMarkValue(test, mark || {}));
+
+    return {
+      index,
+      student: studentId,
+      markStatus: mark?.markStatus || 'graded',
+      marksObtained: mark?.marksObtained ?? null,
+      status: reasons.length > 0 ? 'rejected' : 'accepted',
+      reasons
+    };
+  });
+};
+
+// Attempts at saving a batch of marks before reporting a conflict
+const MAX_SAVE_TRIES = 3;
+
+// Upsert marks ({ student, marksObtained, markStatus, remarks, reason }) for a test; every
+// change adds a version to the result's history and an audit entry. `source` is entry or import.
+// Version numbers follow the history as read, so each write only applies to the result
+// as read (its __v, bumped by every history change) and the batch is written again
+// from fresh results when another save got in between. Returns the bulkWrite result,
+// or null when the results kept changing.
+const saveMarks = async (req, test, marks, source) => {
+  for (let tries = 0; tries < MAX_SAVE_TRIES; tries++) {
+    const result = await writeMarks(req, test, marks, source);
+    if (result) return result;
+  }
+  return null;
+};
+
+const writeMarks = async (req, test, marks, source) => {
+  const existingResults = await TestResult.find({
+    test: test._id,
+    student: { $in: marks.map(mark => mark.student).filter(id => mongoose.Types.ObjectId.isValid(id)) }
+  }).lean();
+  const existingByStudent = new Map(existingResults.map(existing => [existing.student.toString(), existing]));
+  const scheme = await getGradingSchemeForTest(test);
+  const trackedFields = ['markStatus', 'marksObtained', 'remarks', 'isPassed'];
+  describeAudit(req, 'result', { metadata: { source } });
+
+  const bulkOps = marks.map((mark) => {
+    const markStatus = mark.markStatus || 'graded';
+    const values = {
+      markStatus,
+      // Absent, exempt and malpractice are recorded without marks, not as zero
+      marksObtained: markStatus === 'graded' ? mark.marksObtained : null,
+      remarks: mark.remarks || '',
+      ...gradeResult(test, mark.marksObtained, scheme, markStatus)
+    };
+
+    const existing = existingByStudent.get(String(mark.student));
+    const changed = !existing || trackedFields.some(field => (existing[field] ?? null) !== (values[field] ?? null));
+
+    return {
+      updateOne: {
+        // A result created since it was read is a conflict (duplicate key) too
+        filter: existing
+          ? { _id: existing._id, __v: existing.__v ?? null }
+          : { test: test._id, student: mark.student, __v: { $exists: false } },
+        update: {
+          $set: {
+            ...values,
+            // Only re-stamp the grader when something actually changed; a newly
+            // entered mark also replaces any earlier moderation
+            ...(changed && { gradedBy: req.user?.id, gradedAt: new Date(), originalMarks: null })
+          },
+          ...(changed && {
+            $push: {
+              history: {
+                $each: historyEntries(existing, values, { by: req.user?._id, reason: mark.reason || req.body.reason, source })
+              }
+            },
+            $inc: { __v: 1 }
+          }),
+          $setOnInsert: {
+            submittedAt: new Date(),
+            createdAt: new Date()
+          }
+        },
+        upsert: !existing
+      }
+    };
+  });
+
+  try {
+    const result = await TestResult.bulkWrite(bulkOps, { ordered: false });
+    return result.matchedCount + result.upsertedCount === bulkOps.length ? result : null;
+  } catch (error) {
+    if (error.writeErrors?.every(writeError => writeError.code === 11000)) return null;
+    throw error;
+  }
+};
+
+const marksConflict = (res) => res.status(409).json({
+  success: false,
+  message: 'The marks were changed by someone else while saving; reload them and try again'
+});
 
+// POST /api/tests/:testId/marks - Save marks; invalid rows are rejected individually, or the
+// whole batch with strict=true
 export const addOrUpdateMarks = async (req, res) => {
   try {
     let testId = req.params.testId;
     if (typeof testId === 'string') testId = testId.trim();
+    const strict = [req.query.strict, req.body.strict].includes('true') || req.body.strict === true;
 
     if (!mongoose.Types.ObjectId.isValid(testId)) {
       return res.status(400).json({ success: false, message: 'Invalid test ID format' });
@@ -20,49 +206,66 @@ export const addOrUpdateMarks = async (req, res) => {
       });
     }
 
-    const test = await Test.findById(testId);
+    if (req.body.reason && String(req.body.reason).length > 500) {
+      return res.status(400).json({ success: false, message: 'Reason cannot exceed 500 characters' });
+    }
+
+    const test = await Test.findOne({ _id: testId, isActive: true });
     if (!test) {
       return res.status(404).json({ success: false, message: 'Test not found' });
     }
 
-    const bulkOps = marks.map(mark => {
-      const percentage = (mark.marksObtained / test.maxMarks) * 100;
-      const isPassed = mark.marksObtained >= test.passingMarks;
+    const scope = await getAccessScope(req.user);
+    if (!isTestInScope(scope, test)) {
+      return denyOutOfScope(req, res, { entityType: 'test', entityId: test._id, reason: 'marks entry' });
+    }
 
-      let grade = 'F';
-      if (percentage >= 90) grade = 'A+';
-      else if (percentage >= 80) grade = 'A';
-      else if (percentage >= 70) grade = 'B+';
-      else if (percentage >= 60) grade = 'B';
-      else if (percentage >= 50) grade = 'C+';
-      else if (percentage >= 40) grade = 'C';
-      else if (percentage >= 35) grade = 'D';
+    if (await isTermArchived(test.term)) {
+      return res.status(400).json({ success: false, message: 'Marks cannot be changed after the term is closed' });
+    }
 
-      return {
-        updateOne: {
-          filter: { test: testId, student: mark.student },
-          update: {
-            $set: {
-              marksObtained: mark.marksObtained,
-              remarks: mark.remarks || '',
-              percentage,
-              isPassed,
-              grade,
-             
-            },
-            $setOnInsert: {
-              submittedAt: new Date(),
-              createdAt: new Date(),
-              gradedBy: req.user?.id
-            }
-          },
-          upsert: true
-        }
-      };
-    });
+    if (!areMarksEditable(test)) {
+      return res.status(409).json({ success: false, message: marksLockedMessage(test), resultStatus: resultStatusOf(test) });
+    }
+
+    // Scope is an authorization boundary, so out-of-scope students fail the whole request
+    // (students of an offering are in scope through their enrollment)
+    if (!scope.unrestricted && !(await findOfferingForTest(test))) {
+      const studentIds = marks.map(mark => mark?.student).filter(id => mongoose.Types.ObjectId.isValid(id));
+      // Every referenced account is checked; only students can be in scope
+      const students = await User.find({ _id: { $in: studentIds } }).select('role department');
+      const outOfScope = students.filter(student => student.role !== 'student' || !isStudentInScope(scope, student, test));
+      if (outOfScope.length > 0) {
+        return denyOutOfScope(req, res, {
+          entityType: 'test',
+          entityId: test._id,
+          reason: `marks for students outside scope: ${outOfScope.map(student => student._id).join(', ')}`
+        });
+      }
+    }
+
+    const rows = await validateMarks(test, marks);
+    const accepted = rows.filter(row => row.status === 'accepted');
+    const summary = { total: rows.length, accepted: accepted.length, rejected: rows.length - accepted.length };
+
+    if (accepted.length === 0 || (strict && summary.rejected > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: strict ? 'Some rows are invalid; no marks were saved' : 'No valid marks to save',
+        summary: { ...summary, accepted: 0, rejected: rows.length },
+        rows: rows.map(row => (row.status === 'accepted' ? { ...row, status: 'rejected', reasons: ['Not saved because other rows are invalid'] } : row))
+      });
+    }
 
-    const result = await TestResult.bulkWrite(bulkOps);
-    res.json({ success: true, message: 'Marks saved successfully', data: result });
+    const result = await saveMarks(req, test, accepted.map(row => marks[row.index]), 'entry');
+    if (!result) return marksConflict(res);
+    res.json({
+      success: true,
+      message: summary.rejected > 0 ? 'Marks saved; some rows were rejected' : 'Marks saved successfully',
+      summary,
+      rows,
+      data: result
+    });
   } catch (error) {
     console.error('Add/update marks error:', error);
     res
@@ -70,3 +273,302 @@ export const addOrUpdateMarks = async (req, res) => {
       .json({ success: false, message: 'Failed to save marks', error: error.message });
   }
 };
+
+// POST /api/tests/:testId/marks/import - Preview marks from CSV/XLSX keyed by roll number (confirm=true applies)
+export const importMarks = async (req, res) => {
+  try {
+    const { testId } = req.params;
+    const confirm = [req.query.confirm, req.body.confirm].includes('true');
+
+    if (!mongoose.Types.ObjectId.isValid(testId)) {
+      return res.status(400).json({ success: false, message: 'Invalid test ID format' });
+    }
+
+    if (req.body.reason && String(req.body.reason).length > 500) {
+      return res.status(400).json({ success: false, message: 'Reason cannot exceed 500 characters' });
+    }
+
+    const test = await Test.findOne({ _id: testId, isActive: true });
+    if (!test) {
+      return res.status(404).json({ success: false, message: 'Test not found' });
+    }
+
+    const scope = await getAccessScope(req.user);
+    if (!isTestInScope(scope, test)) {
+      return denyOutOfScope(req, res, { entityType: 'test', entityId: test._id, reason: 'marks import' });
+    }
+
+    if (await isTermArchived(test.term)) {
+      return res.status(400).json({ success: false, message: 'Marks cannot be changed after the term is closed' });
+    }
+
+    if (!areMarksEditable(test)) {
+      return res.status(409).json({ success: false, message: marksLockedMessage(test), resultStatus: resultStatusOf(test) });
+    }
+
+    let sheet;
+    try {
+      sheet = await readSpreadsheet(req.file);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: 'The file could not be read as CSV or XLSX' });
+    }
+
+    if (sheet.rows.length === 0) {
+      return res.status(400).json({ success: false, message: 'The file contains no rows' });
+    }
+
+    const entries = sheet.rows.map(({ rowNumber, values }) => ({
+      row: rowNumber,
+      rollNumber: pickColumn(values, MARKS_COLUMNS.rollNumber) || '',
+      marks: pickColumn(values, MARKS_COLUMNS.marks),
+      remarks: pickColumn(values, MARKS_COLUMNS.remarks)
+    }));
+
+    const students = await User.find({
+      rollNumber: { $in: entries.map(entry => entry.rollNumber).filter(Boolean) },
+      role: 'student',
+      isActive: true,
+      graduatedAt: null
+    }).select('name rollNumber department');
+    const studentByRollNumber = new Map(students.map(student => [student.rollNumber, student]));
+
+    const existingResults = await TestResult.find({
+      test: test._id,
+      student: { $in: students.map(student => student._id) }
+    }).lean();
+    const existingByStudent = new Map(existingResults.map(result => [result.student.toString(), result]));
+
+    const offering = await findOfferingForTest(test);
+    const enrolled = offering && await getEnrolledStudentIds(offering._id);
+
+    const seenRollNumbers = new Map();
+    const rows = entries.map(entry => {
+      const errors = [];
+      const student = studentByRollNumber.get(entry.rollNumber);
+      // The marks cell holds a number or a status code (AB, EX, MP)
+      const markStatus = MARK_STATUS_CODES[String(entry.marks ?? '').trim().toLowerCase()] || 'graded';
+      const marksObtained = markStatus !== 'graded' ? null
+        : entry.marks === undefined || entry.marks === '' ? NaN : Number(entry.marks);
+
+      if (!entry.rollNumber) {
+        errors.push('Roll number is required');
+      } else if (!student) {
+        errors.push(`No active student with roll number ${entry.rollNumber}`);
+      } else if (enrolled && !enrolled.has(student._id.toString())) {
+        errors.push('Student is not enrolled in this subject for the term');
+      } else if (!enrolled && !isStudentInScope(scope, student, test)) {
+        errors.push('Student is outside the departments you teach');
+      }
+
+      if (entry.rollNumber && seenRollNumbers.has(entry.rollNumber)) {
+        errors.push(`Duplicate roll number (also in row ${seenRollNumbers.get(entry.rollNumber)})`);
+      } else if (entry.rollNumber) {
+        seenRollNumbers.set(entry.rollNumber, entry.row);
+      }
+
+      if (Number.isNaN(marksObtained)) {
+        errors.push('Marks must be a number or AB/EX/MP');
+      } else {
+        errors.push(...checkMarkValue(test, { markStatus, marksObtained, remarks: entry.remarks }));
+      }
+
+      const existing = student && existingByStudent.get(student._id.toString());
+      // A file without a remarks column keeps the remarks already entered
+      const remarks = entry.remarks ?? existing?.remarks ?? '';
+
+      let status = 'invalid';
+      if (errors.length === 0) {
+        if (!existing) status = 'new';
+        else if ((existing.markStatus || 'graded') !== markStatus || (existing.marksObtained ?? null) !== marksObtained ||
+          (existing.remarks || '') !== remarks) status = 'changed';
+        else status = 'unchanged';
+      }
+
+      return {
+        row: entry.row,
+        rollNumber: entry.rollNumber,
+        student: student?._id,
+        studentName: student?.name,
+        markStatus,
+        marksObtained: Number.isNaN(marksObtained) ? entry.marks ?? null : marksObtained,
+        previousMarks: existing?.marksObtained ?? null,
+        previousStatus: existing?.markStatus ?? null,
+        remarks,
+        status,
+        errors
+      };
+    });
+
+    const summary = ['new', 'changed', 'unchanged', 'invalid'].reduce((counts, status) => {
+      counts[status] = rows.filter(row => row.status === status).length;
+      return counts;
+    }, { total: rows.length });
+
+    const preview = {
+      test: { _id: test._id, title: test.title, maxMarks: test.maxMarks, passingMarks: test.passingMarks },
+      summary,
+      rows
+    };
+
+    if (!confirm) {
+      return res.json({ success: true, applied: false, ...preview });
+    }
+
+    if (summary.invalid > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some rows are invalid; no marks were saved',
+        applied: false,
+        ...preview
+      });
+    }
+
+    const marks = rows
+      .filter(row => row.status === 'new' || row.status === 'changed')
+      .map(row => ({ student: row.student, markStatus: row.markStatus, marksObtained: row.marksObtained, remarks: row.remarks }));
+
+    if (marks.length > 0 && !(await saveMarks(req, test, marks, 'import'))) {
+      return marksConflict(res);
+    }
+
+    console.log(`✅ Marks imported for ${test.title}: ${summary.new} new, ${summary.changed} changed`);
+
+    res.json({
+      success: true,
+      message: 'Marks imported successfully',
+      applied: true,
+      ...preview
+    });
+  } catch (error) {
+    console.error('Import marks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import marks',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Test and result addressed by :testId/:studentId, for users with the test in scope
+const loadResultForHistory = async (req, res, reason) => {
+  const { testId, studentId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(testId) || !mongoose.Types.ObjectId.isValid(studentId)) {
+    res.status(400).json({ success: false, message: 'Invalid test or student ID format' });
+    return {};
+  }
+
+  const test = await Test.findOne({ _id: testId, isActive: true });
+  if (!test) {
+    res.status(404).json({ success: false, message: 'Test not found' });
+    return {};
+  }
+
+  const scope = await getAccessScope(req.user);
+  if (!isTestInScope(scope, test)) {
+    denyOutOfScope(req, res, { entityType: 'test', entityId: test._id, reason });
+    return {};
+  }
+
+  const result = await TestResult.findOne({ test: test._id, student: studentId });
+  if (!result) {
+    res.status(404).json({ success: false, message: 'Test result not found' });
+    return {};
+  }
+
+  return { test, result };
+};
+
+// GET /api/tests/:testId/results/:studentId/history - Every version of a student's marks, oldest first
+export const getMarkHistory = async (req, res) => {
+  try {
+    const { test, result } = await loadResultForHistory(req, res, 'mark history');
+    if (!result) return;
+
+    await result.populate([
+      { path: 'student', select: 'name rollNumber department' },
+      { path: 'history.changedBy', select: 'name role' }
+    ]);
+
+    res.json({
+      success: true,
+      test: { _id: test._id, title: test.title, maxMarks: test.maxMarks, resultStatus: resultStatusOf(test) },
+      student: result.student,
+      current: {
+        version: currentVersion(result),
+        ...versionValues(result),
+        grade: result.grade,
+        isPassed: result.isPassed
+      },
+      history: result.history
+    });
+  } catch (error) {
+    console.error('Get mark history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/tests/:testId/results/:studentId/rollback - Restore an earlier version of the marks.
+// The rollback itself becomes a new version, so it can be undone the same way.
+export const rollbackMarks = async (req, res) => {
+  try {
+    const { test, result } = await loadResultForHistory(req, res, 'mark rollback');
+    if (!result) return;
+
+    if (await isTermArchived(test.term)) {
+      return res.status(400).json({ success: false, message: 'Marks cannot be changed after the term is closed' });
+    }
+
+    if (!areMarksEditable(test)) {
+      return res.status(409).json({ success: false, message: marksLockedMessage(test), resultStatus: resultStatusOf(test) });
+    }
+
+    const version = parseInt(req.body.version);
+    const target = result.history.find(entry => entry.version === version);
+    if (!target) {
+      return res.status(404).json({ success: false, message: `Version ${req.body.version} not found` });
+    }
+
+    const previous = result.toObject();
+    const values = versionValues(target);
+    if (JSON.stringify(versionValues(previous)) === JSON.stringify(values)) {
+      return res.status(400).json({ success: false, message: `The marks already match version ${version}` });
+    }
+
+    result.history.push(...historyEntries(previous, values, {
+      by: req.user._id,
+      reason: req.body.reason,
+      source: 'rollback',
+      rolledBackTo: version
+    }));
+    Object.assign(result, values, { originalMarks: null, gradedBy: req.user._id, gradedAt: new Date() });
+    describeAudit(req, 'result', { action: 'result.rollback', metadata: { version, reason: req.body.reason } });
+    await result.save();
+
+    console.log(`✅ Marks rolled back to version ${version}: ${test.title} / ${result.student}`);
+
+    res.json({
+      success: true,
+      message: `Marks rolled back to version ${version}`,
+      current: {
+        version: currentVersion(result),
+        ...versionValues(result),
+        grade: result.grade,
+        isPassed: result.isPassed
+      }
+    });
+  } catch (error) {
+    if (error.name === 'VersionError') {
+      return marksConflict(res);
+    }
+    console.error('Rollback marks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
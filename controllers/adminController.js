@@ -2,6 +2,15 @@ import User from '../models/User.js';
 import Subject from '../models/Subject.js';
 import Test from '../models/Test.js';
 import TestResult from '../models/TestResult.js';
+import Session from '../models/Session.js';
+import Invitation from '../models/Invitation.js';
+import LockoutEvent from '../models/LockoutEvent.js';
+import SecuritySettings from '../models/SecuritySettings.js';
+import { generateOpaqueToken } from '../utils/tokens.js';
+import { sendMail, frontendLink } from '../utils/mailer.js';
+import { unlockAccount } from '../utils/loginThrottle.js';
+import { hasPermission, resolvePermissions } from '../utils/permissions.js';
+import { recordAudit, describeAudit } from '../utils/audit.js';
 import bcrypt from 'bcryptjs';
 import mongoose from 'mongoose';
 
@@ -219,6 +228,133 @@ export const createTeacher = async (req, res) => {
   }
 };
 
+// POST /api/admin/invitations - Invite a teacher or admin to create an account
+export const createInvitation = async (req, res) => {
+  try {
+    const { email, role, employeeId, department, subjects = [] } = req.body;
+    const normalizedEmail = email.toLowerCase().trim();
+
+    // Inviting another admin hands out every permission
+    if (role === 'admin' && !hasPermission(req.user, 'roles:manage')) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to invite admins'
+      });
+    }
+
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this email already exists'
+      });
+    }
+
+    const hours = parseInt(process.env.INVITATION_EXPIRE_HOURS) || 72;
+    const { token, hash } = generateOpaqueToken(32);
+
+    const invitation = await Invitation.create({
+      email: normalizedEmail,
+      role,
+      tokenHash: hash,
+      employeeId: employeeId?.trim(),
+      department: department?.trim(),
+      subjects: role === 'teacher' ? subjects : [],
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+      invitedBy: req.user._id
+    });
+
+    const inviteUrl = frontendLink('/accept-invite', { token });
+    try {
+      await sendMail({
+        to: normalizedEmail,
+        subject: `You have been invited to Placement Readiness as ${role === 'admin' ? 'an admin' : 'a teacher'}`,
+        text: `${req.user.name} has invited you to join the Placement Readiness System as ${role === 'admin' ? 'an admin' : 'a teacher'}.\n\n` +
+          `Use the link below to set up your account. It expires in ${hours} hours and can only be used once.\n\n${inviteUrl}`
+      });
+    } catch (error) {
+      // The link only ever travels by email: an undelivered invitation is removed,
+      // and any earlier pending one stays valid
+      console.error('Invitation email error:', error);
+      await Invitation.deleteOne({ _id: invitation._id });
+      return res.status(502).json({
+        success: false,
+        message: 'The invitation email could not be sent; no invitation was created'
+      });
+    }
+
+    // A new invitation supersedes any pending one for the same email
+    await Invitation.updateMany(
+      { _id: { $ne: invitation._id }, email: normalizedEmail, usedAt: null, expiresAt: { $gt: new Date() } },
+      { expiresAt: new Date() }
+    );
+
+    console.log('✅ Invitation sent:', normalizedEmail, 'Role:', role);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invitation sent successfully',
+      invitation
+    });
+  } catch (error) {
+    console.error('Create invitation error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(e => e.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// GET /api/admin/invitations - List invitations
+export const getInvitations = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const now = new Date();
+    const filter = {};
+    if (status === 'pending') Object.assign(filter, { usedAt: null, expiresAt: { $gt: now } });
+    if (status === 'accepted') filter.usedAt = { $ne: null };
+    if (status === 'expired') Object.assign(filter, { usedAt: null, expiresAt: { $lte: now } });
+
+    const invitations = await Invitation.find(filter)
+      .populate('invitedBy', 'name email')
+      .populate('usedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Invitation.countDocuments(filter);
+
+    res.json({
+      success: true,
+      invitations,
+      pagination: {
+        totalPages: Math.ceil(total / limit),
+        currentPage: parseInt(page),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // POST /api/admin/subjects - Create new subject
 export const createSubject = async (req, res) => {
   try {
@@ -295,6 +431,20 @@ export const createSubject = async (req, res) => {
   }
 };
 
+// Changing an account that can manage roles (an admin or a custom role holding
+// roles:manage) amounts to taking it over, so like inviting an admin it needs
+// roles:manage. Sends 403 and returns false when the actor lacks it.
+const checkPrivilegedTarget = async (req, res, target) => {
+  if (hasPermission(req.user, 'roles:manage')) return true;
+  if (!(await resolvePermissions(target)).includes('roles:manage')) return true;
+
+  res.status(403).json({
+    success: false,
+    message: 'You do not have permission to change admin accounts'
+  });
+  return false;
+};
+
 // PUT /api/admin/users/:id - Update user
 export const updateUser = async (req, res) => {
   try {
@@ -313,6 +463,8 @@ export const updateUser = async (req, res) => {
       });
     }
 
+    if (!(await checkPrivilegedTarget(req, res, user))) return;
+
     // Prepare update data
     const updateData = {
       name: name?.trim(),
@@ -325,6 +477,16 @@ export const updateUser = async (req, res) => {
       address: address?.trim()
     };
 
+    // A new address has not been verified (a link sent to the old one no longer counts)
+    if (updateData.email && updateData.email !== user.email) {
+      Object.assign(updateData, {
+        emailVerified: false,
+        emailVerifiedAt: null,
+        emailVerificationTokenHash: null,
+        emailVerificationExpires: null
+      });
+    }
+
     // Only update password if provided and not empty
     if (password && password.trim() !== '') {
       updateData.password = password;
@@ -357,12 +519,23 @@ export const updateUser = async (req, res) => {
     }
 
     // Update user
+    describeAudit(req, 'user', {
+      action: updateData.isActive === false && user.isActive ? 'user.deactivate' : 'user.update',
+      metadata: updateData.password ? { passwordReset: true } : undefined
+    });
     const updatedUser = await User.findByIdAndUpdate(
       id,
       updateData,
       { new: true, runValidators: true }
     ).populate('subjects', 'name code').select('-password');
 
+    // Deactivated users and users whose password was reset must lose access immediately
+    if (updateData.isActive === false) {
+      await Session.revokeAllForUser(id, 'user_deactivated');
+    } else if (updateData.password) {
+      await Session.revokeAllForUser(id, 'password_changed_by_admin');
+    }
+
     console.log('✅ User updated successfully');
 
     res.json({
@@ -419,6 +592,8 @@ export const deleteUser = async (req, res) => {
       });
     }
 
+    if (!(await checkPrivilegedTarget(req, res, user))) return;
+
     // Remove teacher from subjects if they are a teacher
     if (user.role === 'teacher') {
       await Subject.updateMany(
@@ -427,8 +602,10 @@ export const deleteUser = async (req, res) => {
       );
     }
 
-    // Soft delete (set isActive to false)
+    // Soft delete (set isActive to false) and end all of the user's sessions
+    describeAudit(req, 'user', { action: 'user.deactivate' });
     await User.findByIdAndUpdate(id, { isActive: false });
+    await Session.revokeAllForUser(id, 'user_deactivated');
 
     console.log('✅ User deleted:', user.email);
 
@@ -446,6 +623,101 @@ export const deleteUser = async (req, res) => {
   }
 };
 
+// POST /api/admin/users/:id/unlock - Lift a login lockout
+export const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('email role roles');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!(await checkPrivilegedTarget(req, res, user))) return;
+
+    const wasLocked = await unlockAccount(user.email, req.user._id);
+
+    if (wasLocked) {
+      recordAudit(req, { action: 'user.unlock', entityType: 'user', entityId: user._id, metadata: { email: user.email } });
+    }
+
+    console.log('✅ User unlocked:', user.email);
+
+    res.json({
+      success: true,
+      message: wasLocked ? 'Account unlocked successfully' : 'Account was not locked',
+      wasLocked
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// GET /api/admin/security - Get institute-wide security settings
+export const getSecuritySettings = async (req, res) => {
+  try {
+    const settings = await SecuritySettings.getSettings();
+    await settings.populate('updatedBy', 'name email');
+
+    res.json({
+      success: true,
+      settings
+    });
+  } catch (error) {
+    console.error('Get security settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// PUT /api/admin/security - Update security settings (e.g. roles that must use 2FA)
+export const updateSecuritySettings = async (req, res) => {
+  try {
+    const { twoFactorRequiredRoles } = req.body;
+
+    const settings = await SecuritySettings.getSettings();
+    if (Array.isArray(twoFactorRequiredRoles)) {
+      settings.twoFactorRequiredRoles = [...new Set(twoFactorRequiredRoles)];
+    }
+    settings.updatedBy = req.user._id;
+    await settings.save();
+
+    console.log('✅ Security settings updated by:', req.user.email);
+
+    res.json({
+      success: true,
+      message: 'Security settings updated successfully',
+      settings
+    });
+  } catch (error) {
+    console.error('Update security settings error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(e => e.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // GET /api/admin/dashboard - Get dashboard statistics
 export const getDashboardStats = async (req, res) => {
   try {
@@ -490,8 +762,9 @@ export const getDashboardStats = async (req, res) => {
       { $sort: { '_id.year': 1, '_id.month': 1 } }
     ]);
 
-    // Grade distribution
+    // Grade distribution (exempt entries carry no grade)
     const testResultsStats = await TestResult.aggregate([
+      { $match: { markStatus: { $ne: 'exempt' } } },
       {
         $group: {
           _id: '$grade',
@@ -506,6 +779,8 @@ export const getDashboardStats = async (req, res) => {
 
     // New: Marks statistics (average, max, min, total entries)
     const marksStats = await TestResult.aggregate([
+      // Only entries with marks; results saved before mark statuses have none
+      { $match: { markStatus: { $in: ['graded', null] } } },
       {
         $group: {
           _id: null,
@@ -517,6 +792,18 @@ export const getDashboardStats = async (req, res) => {
       }
     ]);
 
+    // Login lockouts
+    const now = new Date();
+    const [lockedAccounts, lockoutsLast24h, recentLockouts] = await Promise.all([
+      LockoutEvent.countDocuments({ unlockedAt: null, lockedUntil: { $gt: now } }),
+      LockoutEvent.countDocuments({ createdAt: { $gte: new Date(now.getTime() - 24 * 60 * 60 * 1000) } }),
+      LockoutEvent.find()
+        .sort({ createdAt: -1 })
+        .limit(10)
+        .populate('user', 'name email role')
+        .populate('unlockedBy', 'name')
+    ]);
+
     res.json({
       success: true,
       stats: {
@@ -528,8 +815,11 @@ export const getDashboardStats = async (req, res) => {
         averageMarks: marksStats[0]?.averageMarks || 0,
         maxMarks: marksStats[0]?.maxMarks || 0,
         minMarks: marksStats[0]?.minMarks || 0,
-        marksEntriesCount: marksStats[0]?.totalEntries || 0
+        marksEntriesCount: marksStats[0]?.totalEntries || 0,
+        lockedAccounts,
+        lockoutsLast24h
       },
+      recentLockouts,
       recentUsers,
       recentTests,
       monthlyStats,
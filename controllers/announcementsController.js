@@ -5,6 +5,17 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 
+// Students must verify their email before applying to jobs (REQUIRE_VERIFIED_EMAIL_FOR_JOBS=false disables)
+const requiresVerifiedEmail = (user) => {
+  return process.env.REQUIRE_VERIFIED_EMAIL_FOR_JOBS !== 'false' && !user.emailVerified;
+};
+
+const emailNotVerifiedResponse = {
+  success: false,
+  code: 'EMAIL_NOT_VERIFIED',
+  message: 'Please verify your email address before applying to jobs'
+};
+
 export const createAnnouncement = async (req, res) => {
   try {
     const { title, body, type = 'general', isActive = true, isGlobal = true, targetDepartments = [] } = req.body;
@@ -90,6 +101,7 @@ export const updateAnnouncement = async (req, res) => {
     }
 
     await ann.save();
+
     res.json({ success: true, announcement: ann });
   } catch (error) {
     console.error('Update announcement error:', error);
@@ -102,7 +114,8 @@ export const deleteAnnouncement = async (req, res) => {
     const { id } = req.params;
     const ann = await Announcement.findById(id);
     if (!ann) return res.status(404).json({ success: false, message: 'Announcement not found' });
-    await ann.remove();
+    await ann.deleteOne();
+
     res.json({ success: true, message: 'Announcement deleted' });
   } catch (error) {
     console.error('Delete announcement error:', error);
@@ -118,6 +131,7 @@ export const applyToAnnouncement = async (req, res) => {
     const ann = await Announcement.findById(id);
     if (!ann) return res.status(404).json({ success: false, message: 'Announcement not found' });
     if (ann.type !== 'job') return res.status(400).json({ success: false, message: 'Only job announcements allow applications' });
+    if (requiresVerifiedEmail(req.user)) return res.status(403).json(emailNotVerifiedResponse);
     if (ann.applicants && ann.applicants.includes(userId)) {
       return res.status(400).json({ success: false, message: 'Already applied' });
     }
@@ -269,6 +283,10 @@ export const uploadResume = [
       const ann = await Announcement.findById(id);
       if (!ann) return res.status(404).json({ success: false, message: 'Announcement not found' });
       if (ann.type !== 'job') return res.status(400).json({ success: false, message: 'Only job announcements accept resumes' });
+      if (requiresVerifiedEmail(req.user)) {
+        if (req.file) fs.promises.unlink(req.file.path).catch(() => {});
+        return res.status(403).json(emailNotVerifiedResponse);
+      }
       if (!req.file) return res.status(400).json({ success: false, message: 'No file uploaded' });
 
       // Upsert application
@@ -0,0 +1,86 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import User from '../models/User.js';
+import { toCsv } from '../utils/csv.js';
+
+const CSV_EXPORT_LIMIT = 10000;
+
+const csvColumns = [
+  { header: 'Timestamp', value: entry => entry.createdAt },
+  { header: 'Actor', value: entry => entry.actor?.name },
+  { header: 'Actor Email', value: entry => entry.actor?.email },
+  { header: 'Actor Role', value: entry => entry.actorRole },
+  { header: 'Action', value: entry => entry.action },
+  { header: 'Entity Type', value: entry => entry.entityType },
+  { header: 'Entity ID', value: entry => entry.entityId },
+  { header: 'Changes', value: entry => entry.changes },
+  { header: 'Details', value: entry => entry.metadata },
+  { header: 'IP', value: entry => entry.ip }
+];
+
+// GET /api/admin/audit - Query the audit log (format=csv exports)
+export const getAuditLog = async (req, res) => {
+  try {
+    const { actor, entityType, entityId, action, from, to, page = 1, limit = 50, format } = req.query;
+
+    const filter = {};
+
+    // Actor may be given as user ID or email
+    if (actor) {
+      if (mongoose.Types.ObjectId.isValid(actor)) {
+        filter.actor = actor;
+      } else {
+        const actorUser = await User.findOne({ email: actor.toLowerCase().trim() }).select('_id');
+        filter.actor = actorUser?._id || null;
+      }
+    }
+    if (entityType) filter.entityType = entityType;
+    if (entityId) filter.entityId = entityId;
+    if (action) filter.action = action;
+
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    if (format === 'csv') {
+      const entries = await AuditLog.find(filter)
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1 })
+        .limit(CSV_EXPORT_LIMIT)
+        .lean();
+
+      const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.csv`;
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(toCsv(entries, csvColumns));
+    }
+
+    const entries = await AuditLog.find(filter)
+      .populate('actor', 'name email role')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    const total = await AuditLog.countDocuments(filter);
+
+    res.json({
+      success: true,
+      entries,
+      pagination: {
+        totalPages: Math.ceil(total / limit),
+        currentPage: parseInt(page),
+        total
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -1,11 +1,78 @@
 import jwt from 'jsonwebtoken';
 import { body } from 'express-validator';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Subject from '../models/Subject.js';
+import Invitation from '../models/Invitation.js';
+import SecuritySettings from '../models/SecuritySettings.js';
 import { handleValidationErrors } from '../middleware/validation.js';
+import { generateOpaqueToken, hashToken } from '../utils/tokens.js';
+import { sendMail, frontendLink } from '../utils/mailer.js';
+import { validatePassword } from '../utils/passwordPolicy.js';
+import { validateStudentRegistration } from '../utils/registrationPolicy.js';
+import { reserveLoginAttempt, recordLoginFailure, releaseLoginAttempt, recordLoginSuccess } from '../utils/loginThrottle.js';
+
+// Short-lived access token bound to a server-side session
+export const generateToken = (userId, role, sessionId) => {
+  return jwt.sign({ id: userId, role, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  });
+};
+
+const refreshTokenLifetimeMs = () => {
+  const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+  return days * 24 * 60 * 60 * 1000;
+};
+
+// Open a new session for the user and return the access/refresh token pair
+export const issueAuthTokens = async (user, req) => {
+  const { token: refreshToken, hash } = generateOpaqueToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hash,
+    expiresAt: new Date(Date.now() + refreshTokenLifetimeMs()),
+    userAgent: req.get('user-agent')?.slice(0, 300),
+    ip: req.ip
+  });
+
+  return {
+    token: generateToken(user._id, user.role, session._id),
+    refreshToken,
+    sessionId: session._id
+  };
+};
+
+// Short-lived token proving the password step of a two-factor login.
+// purpose is '2fa-verify' (code required) or '2fa-setup' (enrollment required).
+export const generateChallengeToken = (user, purpose) => {
+  return jwt.sign({ id: user._id, role: user.role, purpose }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m'
+  });
+};
 
-export const generateToken = (userId, role) => {
-  return jwt.sign({ id: userId, role }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+// User fields returned to the frontend after a successful sign-in
+export const authUserPayload = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  rollNumber: user.rollNumber,
+  employeeId: user.employeeId,
+  department: user.department,
+  year: user.year,
+  subjects: user.subjects || [],
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: Boolean(user.twoFactor?.enabled)
+});
+
+const sendVerificationEmail = async (user, token) => {
+  const verifyUrl = frontendLink('/verify-email', { token });
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your Placement Readiness email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below. ` +
+      `It expires in ${parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24} hours.\n\n${verifyUrl}`
   });
 };
 
@@ -20,12 +87,41 @@ export const registerValidation = [
     .normalizeEmail()
     .withMessage('Please provide a valid email'),
   body('password')
-    .isLength({ min: 6 })
-    .withMessage('Password must be at least 6 characters long'),
+    .custom((value, { req }) => {
+      const errors = validatePassword(value, req.body);
+      if (errors.length > 0) throw new Error(errors.join('. '));
+      return true;
+    }),
   body('role')
     .optional()
-    .isIn(['student', 'teacher', 'admin'])
-    .withMessage('Invalid role'),
+    .isIn(['student'])
+    .withMessage('Teachers and admins can only join through an invitation'),
+  body('year')
+    .optional()
+    .isInt({ min: 1, max: 4 })
+    .withMessage('Year must be between 1 and 4'),
+  body('rollNumber')
+    .isString()
+    .withMessage('Roll number is required'),
+  body('department')
+    .isString()
+    .withMessage('Department is required'),
+  handleValidationErrors
+];
+
+export const acceptInviteValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Invitation token is required'),
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
   handleValidationErrors
 ];
 
@@ -40,19 +136,84 @@ export const loginValidation = [
   handleValidationErrors
 ];
 
+export const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  handleValidationErrors
+];
+
+export const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Reset token is required'),
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required'),
+  handleValidationErrors
+];
+
+export const changePasswordValidation = [
+  body('currentPassword')
+    .isString()
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isString()
+    .notEmpty()
+    .withMessage('New password is required'),
+  handleValidationErrors
+];
+
+export const verifyEmailValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('Verification token is required'),
+  handleValidationErrors
+];
+
+export const refreshValidation = [
+  body('refreshToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+  handleValidationErrors
+];
+
 export const login = async (req, res) => {
   try {
     console.log('=== LOGIN REQUEST ===');
     const { email, password } = req.body;
+    const normalizedEmail = email.toLowerCase().trim();
+
+    // Brute-force protection: back-off per email/IP and temporary lockout. The attempt
+    // is counted before the password is checked, so parallel guesses cannot skip it.
+    const throttle = await reserveLoginAttempt({ email: normalizedEmail, ip: req.ip });
+    if (!throttle.allowed) {
+      console.log(`❌ Login throttled (${throttle.reason}):`, normalizedEmail);
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(throttle.reason === 'locked' ? 423 : 429).json({
+        success: false,
+        message: throttle.reason === 'locked'
+          ? 'Account temporarily locked due to too many failed login attempts'
+          : 'Too many failed login attempts, please wait before trying again',
+        retryAfter: throttle.retryAfter
+      });
+    }
 
     // Find user by email
     const user = await User.findOne({ 
-      email: email.toLowerCase().trim(),
+      email: normalizedEmail,
       isActive: true 
     }).populate('subjects', 'name code');
 
     if (!user) {
       console.log('❌ User not found:', email);
+      await recordLoginFailure({ reservation: throttle.reservation });
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
@@ -63,14 +224,45 @@ export const login = async (req, res) => {
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
       console.log('❌ Invalid password for:', email);
+      const { locked } = await recordLoginFailure({ reservation: throttle.reservation, userId: user._id });
       return res.status(401).json({
         success: false,
-        message: 'Invalid email or password'
+        message: locked
+          ? 'Invalid email or password. The account is now temporarily locked.'
+          : 'Invalid email or password'
       });
     }
 
-    // Generate token
-  const token = generateToken(user._id, user.role);
+    // Second step: no session until the TOTP code is verified (or 2FA is set up)
+    if (user.twoFactor?.enabled) {
+      console.log('🔐 Two-factor code required for:', user.email);
+      await releaseLoginAttempt(throttle.reservation);
+      return res.json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user, '2fa-verify')
+      });
+    }
+
+    const securitySettings = await SecuritySettings.getSettings();
+    if (securitySettings.twoFactorRequiredRoles.includes(user.role)) {
+      console.log('🔐 Two-factor setup required for:', user.email);
+      await releaseLoginAttempt(throttle.reservation);
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication must be set up before signing in',
+        twoFactorSetupRequired: true,
+        challengeToken: generateChallengeToken(user, '2fa-setup')
+      });
+    }
+
+    // The failure counter is only cleared once the whole login has succeeded, so a
+    // known password cannot be used to reset it between two-factor guesses
+    await recordLoginSuccess({ email: normalizedEmail, reservation: throttle.reservation });
+
+    // Open a session and generate tokens
+    const { token, refreshToken } = await issueAuthTokens(user, req);
 
     console.log('✅ Login successful:', user.email, 'Role:', user.role);
 
@@ -78,17 +270,8 @@ export const login = async (req, res) => {
       success: true,
       message: 'Login successful',
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role,
-        rollNumber: user.rollNumber,
-        employeeId: user.employeeId,
-        department: user.department,
-        year: user.year,
-        subjects: user.subjects || []
-      }
+      refreshToken,
+      user: authUserPayload(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -103,7 +286,17 @@ export const login = async (req, res) => {
 export const register = async (req, res) => {
   try {
     console.log('=== REGISTER REQUEST ===');
-    const { name, email, password, role, rollNumber, department, year, employeeId } = req.body;
+    const { name, email, password, rollNumber, department, year } = req.body;
+
+    // Public registration is for students only and must satisfy the registration policy
+    const policyErrors = validateStudentRegistration({ email, rollNumber, department });
+    if (policyErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: policyErrors
+      });
+    }
 
     // Check if user already exists
     const existingUser = await User.findOne({ 
@@ -122,39 +315,31 @@ export const register = async (req, res) => {
       name: name.trim(),
       email: email.toLowerCase().trim(),
       password,
-      role: role || 'student'
+      role: 'student',
+      rollNumber: rollNumber.trim(),
+      department: department.trim()
     };
-
-    // Add role-specific fields
-    if (userData.role === 'student') {
-      if (rollNumber) userData.rollNumber = rollNumber.trim();
-      if (department) userData.department = department.trim();
-      if (year) userData.year = parseInt(year);
-    } else if (userData.role === 'teacher') {
-      if (employeeId) userData.employeeId = employeeId.trim();
-    }
-
-    // Only admin can create other admins or teachers
-    if (req.user && req.user.role === 'admin') {
-      userData.createdBy = req.user._id;
-    } else if (userData.role !== 'student') {
-      return res.status(403).json({
-        success: false,
-        message: 'Only admin can create teachers or admins'
-      });
-    }
+    if (year) userData.year = parseInt(year);
 
     const user = new User(userData);
+    const verificationToken = user.createEmailVerificationToken();
     await user.save();
 
-  const token = generateToken(user._id, user.role);
+    try {
+      await sendVerificationEmail(user, verificationToken);
+    } catch (mailError) {
+      console.error('Verification mail error:', mailError);
+    }
+
+    const { token, refreshToken } = await issueAuthTokens(user, req);
 
     console.log('✅ User registered:', user.email, 'Role:', user.role);
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Please check your email to verify your address.',
       token,
+      refreshToken,
       user: {
         id: user._id,
         name: user.name,
@@ -163,7 +348,8 @@ export const register = async (req, res) => {
         rollNumber: user.rollNumber,
         employeeId: user.employeeId,
         department: user.department,
-        year: user.year
+        year: user.year,
+        emailVerified: user.emailVerified
       }
     });
   } catch (error) {
@@ -275,7 +461,9 @@ export const verifyToken = async (req, res) => {
         employeeId: req.user.employeeId,
         department: req.user.department,
         year: req.user.year,
-        subjects: req.user.subjects || []
+        subjects: req.user.subjects || [],
+        emailVerified: req.user.emailVerified,
+        permissions: req.user.permissions
       }
     });
   } catch (error) {
@@ -285,3 +473,469 @@ export const verifyToken = async (req, res) => {
     });
   }
 };
+
+// POST /api/auth/refresh - Rotate the refresh token and issue a new access token
+export const refresh = async (req, res) => {
+  try {
+    const presentedHash = hashToken(req.body.refreshToken);
+
+    const session = await Session.findOne({
+      $or: [
+        { refreshTokenHash: presentedHash },
+        { previousRefreshTokenHash: presentedHash }
+      ]
+    });
+
+    if (!session || !session.isValid()) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    // A rotated-out token being replayed means it leaked: kill the whole session
+    if (session.previousRefreshTokenHash === presentedHash) {
+      await session.revoke('refresh_token_reuse');
+      console.log('⚠️ Refresh token reuse detected for session:', session._id.toString());
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    const user = await User.findById(session.user).select('role isActive');
+    if (!user || !user.isActive) {
+      await session.revoke('user_inactive');
+      return res.status(401).json({
+        success: false,
+        message: 'Account is no longer active'
+      });
+    }
+
+    // Rotate in one conditional update: of two requests presenting the same token
+    // only one can succeed, and the other is treated as reuse
+    const { token: refreshToken, hash } = generateOpaqueToken();
+    const now = new Date();
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+      { $set: { previousRefreshTokenHash: presentedHash, refreshTokenHash: hash, lastUsedAt: now } },
+      { new: true }
+    );
+
+    if (!rotated) {
+      await session.revoke('refresh_token_reuse');
+      console.log('⚠️ Refresh token reuse detected for session:', session._id.toString());
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+
+    res.json({
+      success: true,
+      token: generateToken(user._id, user.role, session._id),
+      refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/auth/logout - Revoke the current session
+export const logout = async (req, res) => {
+  try {
+    await Session.updateOne(
+      { _id: req.user.sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'logout' }
+    );
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/auth/logout-all - Revoke every session of the current user
+export const logoutAll = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'logout_all');
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      revokedSessions: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/auth/forgot-password - Email a password reset link
+export const forgotPassword = async (req, res) => {
+  // Same answer whether or not the account exists, so emails cannot be probed
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent'
+  };
+
+  try {
+    const user = await User.findOne({
+      email: req.body.email.toLowerCase().trim(),
+      isActive: true
+    });
+
+    if (!user) {
+      console.log('❌ Password reset requested for unknown email:', req.body.email);
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save();
+
+    const resetUrl = frontendLink('/reset-password', { token: resetToken });
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your Placement Readiness password',
+        text: `Hi ${user.name},\n\nUse the link below to choose a new password. ` +
+          `It expires in ${parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30} minutes ` +
+          `and can only be used once.\n\n${resetUrl}\n\n` +
+          'If you did not request this, you can ignore this email.'
+      });
+    } catch (mailError) {
+      console.error('Password reset mail error:', mailError);
+      await User.updateOne(
+        { _id: user._id },
+        { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } }
+      );
+    }
+
+    console.log('✅ Password reset link issued for:', user.email);
+    res.json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/auth/reset-password - Set a new password using an emailed token
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+      isActive: true
+    }).select('+passwordResetTokenHash +passwordResetExpires');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password reset link is invalid or has expired'
+      });
+    }
+
+    const policyErrors = validatePassword(password, user);
+    if (policyErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: policyErrors
+      });
+    }
+
+    user.password = password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    // Following the emailed link proves the address as well
+    if (!user.emailVerified) user.markEmailVerified();
+    await user.save();
+
+    // Whoever held the old password must not stay signed in
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    console.log('✅ Password reset for:', user.email);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. Please log in with your new password.'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(e => e.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// PUT /api/auth/password - Change own password (requires the current one)
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      console.log('❌ Invalid current password on change for:', user.email);
+      return res.status(400).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const policyErrors = validatePassword(newPassword, user);
+    if (await user.comparePassword(newPassword)) {
+      policyErrors.push('New password must be different from the current password');
+    }
+    if (policyErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: policyErrors
+      });
+    }
+
+    // pre-save hashes the password and stamps passwordChangedAt
+    user.password = newPassword;
+    await user.save();
+
+    // Sign out every other device; this one gets a fresh access token
+    await Session.revokeAllForUser(user._id, 'password_changed', req.user.sessionId);
+    const token = generateToken(user._id, user.role, req.user.sessionId);
+
+    console.log('✅ Password changed for:', user.email);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully',
+      token
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/auth/accept-invite - Create a teacher/admin account from an invitation
+export const acceptInvite = async (req, res) => {
+  let invitation;
+  try {
+    const { token, name, password, employeeId, phone } = req.body;
+
+    // Claim the invitation atomically so it can only ever be used once
+    invitation = await Invitation.findOneAndUpdate(
+      { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation is invalid, expired or already used'
+      });
+    }
+
+    const resolvedEmployeeId = (employeeId || invitation.employeeId)?.trim();
+    const policyErrors = validatePassword(password, { email: invitation.email, employeeId: resolvedEmployeeId });
+    if (policyErrors.length > 0) {
+      await Invitation.updateOne({ _id: invitation._id }, { usedAt: null });
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: policyErrors
+      });
+    }
+
+    const user = new User({
+      name: name.trim(),
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      employeeId: resolvedEmployeeId,
+      department: invitation.department,
+      subjects: invitation.subjects,
+      phone: phone?.trim(),
+      createdBy: invitation.invitedBy,
+      // The invitation link was delivered to this address
+      emailVerified: true,
+      emailVerifiedAt: new Date()
+    });
+    await user.save();
+
+    if (invitation.subjects.length > 0) {
+      await Subject.updateMany(
+        { _id: { $in: invitation.subjects } },
+        { $addToSet: { teachers: user._id } }
+      );
+    }
+
+    invitation.usedBy = user._id;
+    await invitation.save();
+
+    const { token: accessToken, refreshToken } = await issueAuthTokens(user, req);
+
+    console.log('✅ Invitation accepted:', user.email, 'Role:', user.role);
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      token: accessToken,
+      refreshToken,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        employeeId: user.employeeId,
+        department: user.department
+      }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+
+    // Give the invitation back if the account could not be created
+    if (invitation && !invitation.usedBy) {
+      await Invitation.updateOne({ _id: invitation._id }, { usedAt: null }).catch(() => {});
+    }
+
+    if (error.code === 11000) {
+      const field = Object.keys(error.keyPattern)[0];
+      return res.status(400).json({
+        success: false,
+        message: `${field} already exists`
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(e => e.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/auth/verify-email - Confirm an email address with the emailed token
+export const verifyEmail = async (req, res) => {
+  try {
+    const user = await User.findOne({
+      emailVerificationTokenHash: hashToken(req.body.token),
+      emailVerificationExpires: { $gt: new Date() }
+    }).select('+emailVerificationTokenHash +emailVerificationExpires');
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification link is invalid or has expired'
+      });
+    }
+
+    user.markEmailVerified();
+    await user.save();
+
+    console.log('✅ Email verified:', user.email);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/auth/verify-email/resend - Send a fresh verification link to the current user
+export const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is already verified'
+      });
+    }
+
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+    await sendVerificationEmail(user, verificationToken);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,232 @@
+import mongoose from 'mongoose';
+import SubjectOffering from '../models/SubjectOffering.js';
+import Enrollment from '../models/Enrollment.js';
+import User from '../models/User.js';
+import { getAccessScope, denyOutOfScope } from '../utils/scope.js';
+import { resolveTermQuery } from '../utils/terms.js';
+import { describeAudit } from '../utils/audit.js';
+
+// Load an offering the current user may manage: its teachers, or anyone with institute scope
+const loadManagedOffering = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid offering ID' });
+    return null;
+  }
+
+  const offering = await SubjectOffering.findById(req.params.id)
+    .populate('subject', 'name code department')
+    .populate('term', 'name status');
+  if (!offering) {
+    res.status(404).json({ success: false, message: 'Subject offering not found' });
+    return null;
+  }
+
+  const scope = await getAccessScope(req.user);
+  if (!scope.unrestricted && !offering.teachers.some(teacher => teacher.toString() === req.user._id.toString())) {
+    denyOutOfScope(req, res, { entityType: 'term', entityId: offering.term?._id, reason: `offering ${offering._id} not taught` });
+    return null;
+  }
+
+  return offering;
+};
+
+// GET /api/offerings - Subject offerings of a term (active term by default) with enrollment counts
+export const getOfferings = async (req, res) => {
+  try {
+    const { term, status, message } = await resolveTermQuery(req.query.term);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const filter = term ? { term: term._id } : {};
+    const scope = await getAccessScope(req.user);
+    if (!scope.unrestricted) filter.teachers = req.user._id;
+
+    const offerings = await SubjectOffering.find(filter)
+      .populate('subject', 'name code department credits')
+      .populate('term', 'name status isActive')
+      .populate('teachers', 'name employeeId')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const counts = await Enrollment.aggregate([
+      { $match: { offering: { $in: offerings.map(offering => offering._id) }, status: 'enrolled' } },
+      { $group: { _id: '$offering', count: { $sum: 1 } } }
+    ]);
+    const countByOffering = new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+
+    res.json({
+      success: true,
+      offerings: offerings.map(offering => ({
+        ...offering,
+        enrolledStudents: countByOffering.get(offering._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get offerings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// GET /api/offerings/:id/enrollments - Students enrolled in an offering
+export const getOfferingEnrollments = async (req, res) => {
+  try {
+    const offering = await loadManagedOffering(req, res);
+    if (!offering) return;
+
+    const enrollments = await Enrollment.find({
+      offering: offering._id,
+      status: req.query.status === 'dropped' ? 'dropped' : 'enrolled'
+    })
+      .populate('student', 'name email rollNumber department year')
+      .populate('enrolledBy', 'name')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      offering,
+      enrollments
+    });
+  } catch (error) {
+    console.error('Get enrollments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/offerings/:id/enrollments - Enroll students by ID, by roll number, or a whole department/year
+export const enrollStudents = async (req, res) => {
+  try {
+    const offering = await loadManagedOffering(req, res);
+    if (!offering) return;
+
+    if (offering.term?.status === 'archived') {
+      return res.status(400).json({
+        success: false,
+        message: 'Enrollments of an archived term cannot be changed'
+      });
+    }
+
+    const { students = [], rollNumbers = [], department, year } = req.body;
+    if (students.length === 0 && rollNumbers.length === 0 && !department) {
+      return res.status(400).json({
+        success: false,
+        message: 'Provide students, rollNumbers, or a department (and optionally year)'
+      });
+    }
+
+    const selectors = [];
+    if (students.length > 0) selectors.push({ _id: { $in: students } });
+    if (rollNumbers.length > 0) selectors.push({ rollNumber: { $in: rollNumbers } });
+    if (department) selectors.push({ department, ...(year && { year }) });
+
+    const matched = await User.find({
+      role: 'student',
+      isActive: true,
+      graduatedAt: null,
+      $or: selectors
+    }).select('name rollNumber department year').lean();
+
+    const matchedIds = new Set(matched.map(student => student._id.toString()));
+    const matchedRollNumbers = new Set(matched.map(student => student.rollNumber));
+    const notFound = [
+      ...students.filter(id => !matchedIds.has(String(id))),
+      ...rollNumbers.filter(rollNumber => !matchedRollNumbers.has(rollNumber))
+    ];
+
+    const alreadyEnrolled = await Enrollment.find({
+      offering: offering._id,
+      student: { $in: matched.map(student => student._id) },
+      status: 'enrolled'
+    }).distinct('student');
+    const alreadyEnrolledIds = new Set(alreadyEnrolled.map(String));
+    const toEnroll = matched.filter(student => !alreadyEnrolledIds.has(student._id.toString()));
+
+    if (toEnroll.length > 0) {
+      await Enrollment.bulkWrite(toEnroll.map(student => ({
+        updateOne: {
+          filter: { offering: offering._id, student: student._id },
+          update: {
+            $set: {
+              term: offering.term._id,
+              subject: offering.subject._id,
+              status: 'enrolled',
+              enrolledBy: req.user._id
+            },
+            $unset: { droppedAt: '' }
+          },
+          upsert: true
+        }
+      })));
+    }
+
+    console.log(`✅ Enrolled ${toEnroll.length} students in ${offering.subject.code} (${offering.term.name})`);
+
+    res.json({
+      success: true,
+      message: 'Enrollment completed',
+      summary: {
+        enrolled: toEnroll.length,
+        alreadyEnrolled: alreadyEnrolledIds.size,
+        notFound: notFound.length
+      },
+      enrolled: toEnroll,
+      notFound
+    });
+  } catch (error) {
+    console.error('Enroll students error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// DELETE /api/offerings/:id/enrollments/:studentId - Drop a student from an offering
+export const dropEnrollment = async (req, res) => {
+  try {
+    const offering = await loadManagedOffering(req, res);
+    if (!offering) return;
+
+    if (offering.term?.status === 'archived') {
+      return res.status(400).json({
+        success: false,
+        message: 'Enrollments of an archived term cannot be changed'
+      });
+    }
+
+    describeAudit(req, 'enrollment', { action: 'enrollment.drop' });
+    const enrollment = await Enrollment.findOneAndUpdate(
+      { offering: offering._id, student: req.params.studentId, status: 'enrolled' },
+      { status: 'dropped', droppedAt: new Date() },
+      { new: true }
+    );
+
+    if (!enrollment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student is not enrolled in this offering'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Student dropped from the offering'
+    });
+  } catch (error) {
+    console.error('Drop enrollment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
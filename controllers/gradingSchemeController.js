@@ -0,0 +1,190 @@
+import GradingScheme from '../models/GradingScheme.js';
+import Subject from '../models/Subject.js';
+import { DEFAULT_GRADING_SCHEME, planSchemeRegrade, recomputeResultGrades } from '../utils/grading.js';
+import { describeAudit } from '../utils/audit.js';
+
+const EDITABLE_FIELDS = ['name', 'description', 'scope', 'department', 'subject', 'bands', 'passRule'];
+
+// Beyond this many tests a regrade runs after responding rather than within the request
+const INLINE_REGRADE_MAX_TESTS = 50;
+
+// Stored grades follow the scheme in force, so the unlocked tests a changed scheme
+// covers are regraded: before the change is reported back, or in the background
+// when there are many. Returns { tests, lockedTests, updated, inBackground }.
+const regradeSchemes = async (...schemes) => {
+  const { filter, tests, lockedTests } = await planSchemeRegrade(schemes);
+  const logDone = ({ updated }) =>
+    console.log(`✅ Grades recomputed after grading scheme change: ${updated} results updated across ${tests} tests (${lockedTests} locked tests kept)`);
+
+  if (tests > INLINE_REGRADE_MAX_TESTS) {
+    recomputeResultGrades(filter)
+      .then(logDone)
+      .catch(error => console.error('Grading scheme regrade error:', error));
+    return { tests, lockedTests, updated: null, inBackground: true };
+  }
+
+  const outcome = await recomputeResultGrades(filter);
+  logDone(outcome);
+  return { tests, lockedTests, updated: outcome.updated, inBackground: false };
+};
+
+const coverage = ({ scope, subject, department }) => ({ scope, subject, department });
+
+const handleSchemeError = (res, error) => {
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: error.keyPattern?.name
+        ? 'A grading scheme with this name already exists'
+        : 'An active grading scheme already exists for this department or subject'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// GET /api/admin/grading-schemes - Active grading schemes and the built-in fallback
+export const getGradingSchemes = async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === 'true' ? {} : { isActive: true };
+    const schemes = await GradingScheme.find(filter)
+      .populate('subject', 'name code department')
+      .populate('createdBy', 'name email')
+      .sort({ scope: 1, department: 1, name: 1 });
+
+    res.json({
+      success: true,
+      schemes,
+      fallback: DEFAULT_GRADING_SCHEME
+    });
+  } catch (error) {
+    console.error('Get grading schemes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/admin/grading-schemes - Create a grading scheme for the institute, a department or a subject
+export const createGradingScheme = async (req, res) => {
+  try {
+    if (req.body.subject && !(await Subject.exists({ _id: req.body.subject }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subject not found'
+      });
+    }
+
+    const scheme = new GradingScheme({ createdBy: req.user._id });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) scheme[field] = req.body[field];
+    });
+    await scheme.save();
+
+    const regrade = await regradeSchemes(coverage(scheme));
+
+    console.log('✅ Grading scheme created:', scheme.name);
+
+    res.status(201).json({
+      success: true,
+      message: 'Grading scheme created successfully',
+      scheme,
+      regrade
+    });
+  } catch (error) {
+    console.error('Create grading scheme error:', error);
+    handleSchemeError(res, error);
+  }
+};
+
+// PUT /api/admin/grading-schemes/:id - Update a grading scheme
+export const updateGradingScheme = async (req, res) => {
+  try {
+    const scheme = await GradingScheme.findOne({ _id: req.params.id, isActive: true });
+    if (!scheme) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grading scheme not found'
+      });
+    }
+
+    if (req.body.subject && !(await Subject.exists({ _id: req.body.subject }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subject not found'
+      });
+    }
+
+    // A scheme moved to another subject or department no longer grades its old tests
+    const previous = coverage(scheme);
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) scheme[field] = req.body[field];
+    });
+    await scheme.save();
+
+    const regrade = await regradeSchemes(previous, coverage(scheme));
+
+    console.log('✅ Grading scheme updated:', scheme.name);
+
+    res.json({
+      success: true,
+      message: 'Grading scheme updated successfully',
+      scheme,
+      regrade
+    });
+  } catch (error) {
+    console.error('Update grading scheme error:', error);
+    handleSchemeError(res, error);
+  }
+};
+
+// DELETE /api/admin/grading-schemes/:id - Deactivate a grading scheme (results fall back to the next scheme)
+export const deleteGradingScheme = async (req, res) => {
+  try {
+    describeAudit(req, 'gradingScheme', { action: 'gradingScheme.delete' });
+    const scheme = await GradingScheme.findOneAndUpdate(
+      { _id: req.params.id, isActive: true },
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!scheme) {
+      return res.status(404).json({
+        success: false,
+        message: 'Grading scheme not found'
+      });
+    }
+
+    const regrade = await regradeSchemes(coverage(scheme));
+
+    console.log('✅ Grading scheme deactivated:', scheme.name);
+
+    res.json({
+      success: true,
+      message: 'Grading scheme deleted successfully',
+      regrade
+    });
+  } catch (error) {
+    console.error('Delete grading scheme error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
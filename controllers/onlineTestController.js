@@ -0,0 +1,584 @@
+import mongoose from 'mongoose';
+import Test from '../models/Test.js';
+import TestResult from '../models/TestResult.js';
+import Question from '../models/Question.js';
+import Attempt from '../models/Attempt.js';
+import { hasPermission } from '../utils/permissions.js';
+import { getAccessScope, isTestInScope, denyOutOfScope } from '../utils/scope.js';
+import { resolveSubjectRefs, subjectRefKey } from '../utils/subjects.js';
+import { isTermArchived } from '../utils/terms.js';
+import { isStudentEligibleForTest } from '../utils/enrollment.js';
+import { areMarksEditable, marksLockedMessage, resultStatusOf } from '../utils/resultWorkflow.js';
+import {
+  testStartsAt,
+  testEndsAt,
+  ruleMatches,
+  paperSeed,
+  buildPaper,
+  loadPaperQuestions,
+  studentQuestionView,
+  reviewQuestionView
+} from '../utils/onlineTests.js';
+import { submitAttempt, submitExpiredAttempts } from '../utils/attempts.js';
+import { describeAudit } from '../utils/audit.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Load an active online test
+const loadOnlineTest = async (res, testId) => {
+  if (!mongoose.Types.ObjectId.isValid(testId)) {
+    res.status(400).json({ success: false, message: 'Invalid test ID format' });
+    return null;
+  }
+
+  const test = await Test.findOne({ _id: testId, isActive: true });
+  if (!test) {
+    res.status(404).json({ success: false, message: 'Test not found' });
+    return null;
+  }
+
+  if (test.mode !== 'online') {
+    res.status(400).json({ success: false, message: 'This is not an online test' });
+    return null;
+  }
+
+  return test;
+};
+
+// Checks before a student may start or continue an attempt. Sends the error and
+// returns false when they may not.
+const checkStudentAccess = async (req, res, test) => {
+  if (!(await isStudentEligibleForTest(req.user, test))) {
+    res.status(403).json({ success: false, message: 'You are not taking this test' });
+    return false;
+  }
+
+  if (test.questions.length === 0) {
+    res.status(400).json({ success: false, message: 'The question paper has not been set yet' });
+    return false;
+  }
+
+  const startsAt = testStartsAt(test);
+  if (startsAt > new Date()) {
+    res.status(403).json({ success: false, message: `The test starts at ${startsAt.toISOString()}`, startsAt });
+    return false;
+  }
+
+  return true;
+};
+
+// Teachers and reviewers see answer keys and every student's attempts; everyone
+// else only their own attempts
+const isStaff = (user) => hasPermission(user, 'questions:manage') || hasPermission(user, 'marks:write');
+
+const remainingSeconds = (attempt) =>
+  attempt.status === 'in_progress' ? Math.max(0, Math.floor((attempt.deadline - Date.now()) / 1000)) : 0;
+
+// Load one of the student's own attempts at a test by :attemptId
+const loadOwnAttempt = async (req, res, test) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.attemptId)) {
+    res.status(400).json({ success: false, message: 'Invalid attempt ID' });
+    return null;
+  }
+
+  const attempt = await Attempt.findOne({ _id: req.params.attemptId, test: test._id, student: req.user._id });
+  if (!attempt) {
+    res.status(404).json({ success: false, message: 'Attempt not found' });
+    return null;
+  }
+
+  return attempt;
+};
+
+// An attempt as its student sees it: the questions without answer keys and the
+// saved answers; marks only once the test's results are published
+const studentAttemptView = async (test, attempt) => {
+  const questionsById = await loadPaperQuestions(test);
+  const published = resultStatusOf(test) === 'published';
+
+  return {
+    test: {
+      _id: test._id,
+      title: test.title,
+      instructions: test.instructions,
+      duration: test.duration,
+      maxMarks: test.maxMarks
+    },
+    attempt: {
+      _id: attempt._id,
+      number: attempt.number,
+      status: attempt.status,
+      startedAt: attempt.startedAt,
+      deadline: attempt.deadline,
+      submittedAt: attempt.submittedAt,
+      autoSubmitted: attempt.autoSubmitted,
+      answers: attempt.answers,
+      ...(published && attempt.status === 'submitted' && {
+        marksObtained: attempt.marksObtained,
+        responses: attempt.responses
+      })
+    },
+    remainingSeconds: remainingSeconds(attempt),
+    questions: buildPaper(test, questionsById, attempt.seed)
+      .map(entry => studentQuestionView(questionsById.get(entry.question.toString()), entry))
+  };
+};
+
+// Submit the student's own attempts at a test that ran out of time
+const submitOwnExpiredAttempts = async (req, test) => {
+  await submitExpiredAttempts({ test: test._id, student: req.user._id });
+};
+
+// Check paper rules against the pool. Every pool question has to fall under exactly
+// one rule, which needs enough of them; a question's marks come from its rule (the
+// rule's `marks`, or the marks its questions share). Returns { paper, rules } with
+// the pool's marks set from the rules, or { error }.
+const drawFromPool = (requested, pool, questionById) => {
+  const rules = requested.map(rule => ({
+    topic: rule.topic?.trim() || undefined,
+    difficulty: rule.difficulty || undefined,
+    count: Number(rule.count),
+    marks: rule.marks !== undefined ? Number(rule.marks) : undefined
+  }));
+  const candidates = rules.map(() => []);
+
+  for (const entry of pool) {
+    const question = questionById.get(String(entry.question));
+    const matching = rules.map((rule, index) => (ruleMatches(rule, question) ? index : -1)).filter(index => index >= 0);
+    if (matching.length !== 1) {
+      return {
+        error: matching.length === 0
+          ? `Question ${question._id} does not fall under any rule`
+          : `Question ${question._id} falls under rules ${matching.map(index => index + 1).join(' and ')}; rules must not overlap`
+      };
+    }
+    candidates[matching[0]].push(entry);
+  }
+
+  for (const [index, rule] of rules.entries()) {
+    const matched = candidates[index];
+    if (matched.length < rule.count) {
+      return { error: `Rule ${index + 1} draws ${rule.count} questions but the pool has ${matched.length} matching it` };
+    }
+    if (rule.marks === undefined) {
+      const marks = new Set(matched.map(entry => entry.marks));
+      if (marks.size > 1) {
+        return { error: `Questions under rule ${index + 1} carry different marks; give the rule its marks` };
+      }
+      rule.marks = matched[0].marks;
+    }
+  }
+
+  const paper = pool.map(entry => {
+    const index = candidates.findIndex(matched => matched.includes(entry));
+    return { question: entry.question, marks: rules[index].marks };
+  });
+  return { paper, rules };
+};
+
+// PUT /api/tests/:id/paper - Assemble the question paper of an online test from the bank
+export const setTestPaper = async (req, res) => {
+  try {
+    const test = await loadOnlineTest(res, req.params.id);
+    if (!test) return;
+
+    if (!hasPermission(req.user, 'tests:manage') && test.createdBy.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this test'
+      });
+    }
+
+    if (!isTestInScope(await getAccessScope(req.user), test)) {
+      return denyOutOfScope(req, res, { entityType: 'test', entityId: test._id, reason: 'question paper' });
+    }
+
+    if (await isTermArchived(test.term)) {
+      return res.status(400).json({ success: false, message: 'Tests of an archived term cannot be changed' });
+    }
+
+    if (!areMarksEditable(test)) {
+      return res.status(409).json({ success: false, message: marksLockedMessage(test), resultStatus: resultStatusOf(test) });
+    }
+
+    if (await Attempt.exists({ test: test._id }) || await TestResult.exists({ test: test._id })) {
+      return res.status(409).json({
+        success: false,
+        message: 'The question paper cannot change once students have started answering it'
+      });
+    }
+
+    const entries = req.body.questions;
+    const ids = entries.map(entry => String(entry.question));
+    if (new Set(ids).size !== ids.length) {
+      return res.status(400).json({ success: false, message: 'A question can only appear once on a paper' });
+    }
+
+    const [questions, subjects] = await Promise.all([
+      Question.find({ _id: { $in: ids }, isActive: true }).lean(),
+      resolveSubjectRefs([test.subject])
+    ]);
+    const subject = subjects.get(subjectRefKey(test.subject));
+    const questionById = new Map(questions.map(question => [question._id.toString(), question]));
+
+    const invalid = ids.filter(id => {
+      const question = questionById.get(id);
+      return !question || !subject || question.subject.toString() !== subject._id.toString();
+    });
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some questions are not active questions of this test\'s subject',
+        invalid
+      });
+    }
+
+    let paper = entries.map(entry => ({
+      question: entry.question,
+      marks: entry.marks !== undefined ? Number(entry.marks) : questionById.get(String(entry.question)).marks
+    }));
+    let rules = [];
+    let maxMarks = round(paper.reduce((sum, entry) => sum + entry.marks, 0));
+
+    if (req.body.rules?.length > 0) {
+      const drawn = drawFromPool(req.body.rules, paper, questionById);
+      if (drawn.error) {
+        return res.status(400).json({ success: false, message: drawn.error });
+      }
+      ({ paper, rules } = drawn);
+      maxMarks = round(rules.reduce((sum, rule) => sum + rule.count * rule.marks, 0));
+    }
+    const passingMarks = req.body.passingMarks !== undefined ? Number(req.body.passingMarks) : test.passingMarks;
+
+    if (passingMarks >= maxMarks) {
+      return res.status(400).json({
+        success: false,
+        message: `Passing marks must be less than the paper total of ${maxMarks}`
+      });
+    }
+
+    test.questions = paper;
+    test.paperRules = rules;
+    test.shuffleQuestions = Boolean(req.body.shuffleQuestions);
+    test.shuffleOptions = Boolean(req.body.shuffleOptions);
+    test.maxMarks = maxMarks;
+    test.passingMarks = passingMarks;
+    describeAudit(req, 'test', { action: 'test.paper' });
+    await test.save();
+
+    console.log(`✅ Question paper set for ${test.title}: ${paper.length} questions${rules.length > 0 ? ' in the pool' : ''}, ${maxMarks} marks`);
+
+    await test.populate('questions.question');
+    res.json({
+      success: true,
+      message: 'Question paper saved',
+      test
+    });
+  } catch (error) {
+    console.error('Set test paper error:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// GET /api/tests/:id/paper - The paper with its answer keys (students see the
+// questions through their attempt)
+export const getTestPaper = async (req, res) => {
+  try {
+    const test = await loadOnlineTest(res, req.params.id);
+    if (!test) return;
+
+    if (!isStaff(req.user)) {
+      return res.status(403).json({ success: false, message: 'Start an attempt to see the questions' });
+    }
+
+    const scope = await getAccessScope(req.user);
+    if (!isTestInScope(scope, test)) {
+      return denyOutOfScope(req, res, { entityType: 'test', entityId: test._id, reason: 'question paper' });
+    }
+
+    await test.populate('questions.question');
+    res.json({ success: true, test });
+  } catch (error) {
+    console.error('Get test paper error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/tests/:testId/attempts - Start an attempt within the test's window, or
+// resume the one in progress
+export const startAttempt = async (req, res) => {
+  try {
+    const test = await loadOnlineTest(res, req.params.testId);
+    if (!test) return;
+
+    if (!(await checkStudentAccess(req, res, test))) return;
+
+    await submitOwnExpiredAttempts(req, test);
+
+    const current = await Attempt.findOne({ test: test._id, student: req.user._id, status: 'in_progress' });
+    if (current) {
+      return res.json({
+        success: true,
+        message: 'Attempt resumed',
+        ...(await studentAttemptView(test, current))
+      });
+    }
+
+    const endsAt = testEndsAt(test);
+    if (endsAt <= new Date()) {
+      return res.status(403).json({ success: false, message: `The test closed at ${endsAt.toISOString()}` });
+    }
+
+    if (!areMarksEditable(test) || await isTermArchived(test.term)) {
+      return res.status(409).json({ success: false, message: 'Attempts at this test are closed' });
+    }
+
+    const taken = await Attempt.countDocuments({ test: test._id, student: req.user._id });
+    const maxAttempts = test.maxAttempts || 1;
+    if (taken >= maxAttempts) {
+      return res.status(409).json({
+        success: false,
+        message: maxAttempts === 1
+          ? 'You have already attempted this test'
+          : `You have used all ${maxAttempts} attempts at this test`
+      });
+    }
+
+    describeAudit(req, 'attempt', { action: 'attempt.start' });
+    const attempt = await Attempt.create({
+      test: test._id,
+      student: req.user._id,
+      number: taken + 1,
+      seed: paperSeed(test._id, req.user._id, taken + 1),
+      deadline: endsAt
+    });
+
+    console.log(`✅ Attempt ${attempt.number} started: ${req.user.email} for ${test.title}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Attempt started',
+      ...(await studentAttemptView(test, attempt))
+    });
+  } catch (error) {
+    console.error('Start attempt error:', error);
+
+    // Another request started the same attempt first
+    if (error.code === 11000) {
+      return res.status(409).json({ success: false, message: 'An attempt is already being started' });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// PUT /api/tests/:testId/attempts/:attemptId/answers/:questionId - Autosave one answer
+export const saveAnswer = async (req, res) => {
+  try {
+    const test = await loadOnlineTest(res, req.params.testId);
+    if (!test) return;
+
+    const attempt = await loadOwnAttempt(req, res, test);
+    if (!attempt) return;
+
+    if (attempt.status !== 'in_progress') {
+      return res.status(409).json({ success: false, message: 'This attempt has already been submitted' });
+    }
+
+    if (attempt.deadline <= new Date()) {
+      await submitAttempt(attempt._id, { auto: true });
+      return res.status(409).json({
+        success: false,
+        message: 'Time is up; the attempt was submitted automatically'
+      });
+    }
+
+    const { questionId } = req.params;
+    const paper = buildPaper(test, await loadPaperQuestions(test), attempt.seed);
+    if (!paper.some(entry => entry.question.toString() === questionId)) {
+      return res.status(400).json({ success: false, message: 'This question is not on the paper' });
+    }
+
+    const savedAt = new Date();
+    const open = { _id: attempt._id, status: 'in_progress', deadline: { $gt: savedAt } };
+    const replace = () => Attempt.updateOne(
+      { ...open, 'answers.question': questionId },
+      { $set: { 'answers.$.answer': req.body.answer, 'answers.$.savedAt': savedAt } }
+    );
+
+    let update = await replace();
+    if (update.matchedCount === 0) {
+      update = await Attempt.updateOne(
+        { ...open, 'answers.question': { $ne: questionId } },
+        { $push: { answers: { question: questionId, answer: req.body.answer, savedAt } } }
+      );
+    }
+    // A save of the same question may have added it in between
+    if (update.matchedCount === 0) update = await replace();
+
+    if (update.matchedCount === 0) {
+      return res.status(409).json({ success: false, message: 'This attempt no longer accepts answers' });
+    }
+
+    res.json({
+      success: true,
+      savedAt,
+      remainingSeconds: remainingSeconds(attempt)
+    });
+  } catch (error) {
+    console.error('Save answer error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/tests/:testId/attempts/:attemptId/submit - Hand in an attempt
+export const submitOwnAttempt = async (req, res) => {
+  try {
+    const test = await loadOnlineTest(res, req.params.testId);
+    if (!test) return;
+
+    const attempt = await loadOwnAttempt(req, res, test);
+    if (!attempt) return;
+
+    const auto = attempt.deadline <= new Date();
+    const outcome = attempt.status === 'in_progress' ? await submitAttempt(attempt._id, { auto }) : null;
+    if (!outcome) {
+      return res.status(409).json({ success: false, message: 'This attempt has already been submitted' });
+    }
+
+    console.log(`✅ Attempt ${outcome.attempt.number} submitted: ${req.user.email} for ${test.title}`);
+
+    res.json({
+      success: true,
+      message: auto ? 'Time was up; the attempt was submitted as of the deadline' : 'Attempt submitted',
+      ...(await studentAttemptView(test, outcome.attempt))
+    });
+  } catch (error) {
+    console.error('Submit attempt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// GET /api/tests/:testId/attempts - Every attempt at the test for staff, own attempts for students
+export const getAttempts = async (req, res) => {
+  try {
+    const test = await loadOnlineTest(res, req.params.testId);
+    if (!test) return;
+
+    if (isStaff(req.user)) {
+      const scope = await getAccessScope(req.user);
+      if (!isTestInScope(scope, test)) {
+        return denyOutOfScope(req, res, { entityType: 'test', entityId: test._id, reason: 'attempts' });
+      }
+
+      await submitExpiredAttempts({ test: test._id });
+      const attempts = await Attempt.find({ test: test._id })
+        .select('-answers -responses')
+        .populate('student', 'name email rollNumber department')
+        .sort({ student: 1, number: 1 });
+
+      return res.json({ success: true, attempts });
+    }
+
+    await submitOwnExpiredAttempts(req, test);
+    const attempts = await Attempt.find({ test: test._id, student: req.user._id })
+      .select('-answers -responses')
+      .sort({ number: 1 });
+    const published = resultStatusOf(test) === 'published';
+
+    res.json({
+      success: true,
+      maxAttempts: test.maxAttempts || 1,
+      attempts: attempts.map(attempt => {
+        const plain = attempt.toObject();
+        if (!published) delete plain.marksObtained;
+        return plain;
+      })
+    });
+  } catch (error) {
+    console.error('Get attempts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// GET /api/tests/:testId/attempts/:attemptId - One attempt: its answers, graded
+// against the answer key for staff
+export const getAttempt = async (req, res) => {
+  try {
+    const test = await loadOnlineTest(res, req.params.testId);
+    if (!test) return;
+
+    if (!isStaff(req.user)) {
+      await submitOwnExpiredAttempts(req, test);
+      const attempt = await loadOwnAttempt(req, res, test);
+      if (!attempt) return;
+
+      return res.json({ success: true, ...(await studentAttemptView(test, attempt)) });
+    }
+
+    const scope = await getAccessScope(req.user);
+    if (!isTestInScope(scope, test)) {
+      return denyOutOfScope(req, res, { entityType: 'test', entityId: test._id, reason: 'attempts' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.attemptId)) {
+      return res.status(400).json({ success: false, message: 'Invalid attempt ID' });
+    }
+
+    const attempt = await Attempt.findOne({ _id: req.params.attemptId, test: test._id })
+      .populate('student', 'name email rollNumber department');
+    if (!attempt) {
+      return res.status(404).json({ success: false, message: 'Attempt not found' });
+    }
+
+    // The student's paper rebuilt from the attempt's seed, in the order they saw it
+    const questionsById = await loadPaperQuestions(test);
+    res.json({
+      success: true,
+      attempt,
+      questions: buildPaper(test, questionsById, attempt.seed)
+        .map(entry => reviewQuestionView(questionsById.get(entry.question.toString()), entry))
+    });
+  } catch (error) {
+    console.error('Get attempt error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
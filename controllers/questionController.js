@@ -0,0 +1,221 @@
+import mongoose from 'mongoose';
+import Question from '../models/Question.js';
+import Subject from '../models/Subject.js';
+import TestResult from '../models/TestResult.js';
+import Test from '../models/Test.js';
+import Attempt from '../models/Attempt.js';
+import { getAccessScope, denyOutOfScope } from '../utils/scope.js';
+import { describeAudit } from '../utils/audit.js';
+
+const EDITABLE_FIELDS = [
+  'subject', 'topic', 'difficulty', 'type', 'text', 'options',
+  'numericAnswer', 'tolerance', 'correctAnswer', 'marks', 'explanation', 'tags'
+];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Teachers keep questions for the subjects they teach; institute scope reaches every subject
+const isSubjectInScope = (scope, subjectId) =>
+  scope.unrestricted || scope.subjects.some(subject => subject._id.toString() === String(subjectId));
+
+const handleQuestionError = (res, error) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Load a question of a subject in the user's scope
+const loadQuestion = async (req, res, scope) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid question ID' });
+    return null;
+  }
+
+  const question = await Question.findById(req.params.id);
+  if (!question) {
+    res.status(404).json({ success: false, message: 'Question not found' });
+    return null;
+  }
+
+  if (!isSubjectInScope(scope, question.subject)) {
+    denyOutOfScope(req, res, { entityType: 'question', entityId: question._id, reason: 'question bank' });
+    return null;
+  }
+
+  return question;
+};
+
+// GET /api/questions - Question bank, filterable by subject, topic, difficulty, type, tag and text
+export const getQuestions = async (req, res) => {
+  try {
+    const { subject, topic, difficulty, type, tag, search, includeInactive, page = 1, limit = 50 } = req.query;
+
+    const scope = await getAccessScope(req.user);
+    const filter = includeInactive === 'true' ? {} : { isActive: true };
+    if (!scope.unrestricted) filter.subject = { $in: scope.subjects.map(entry => entry._id) };
+
+    if (subject) {
+      if (!isSubjectInScope(scope, subject)) {
+        return denyOutOfScope(req, res, { entityType: 'subject', entityId: subject, reason: 'question bank' });
+      }
+      filter.subject = subject;
+    }
+    if (topic) filter.topic = topic;
+    if (difficulty) filter.difficulty = difficulty;
+    if (type) filter.type = type;
+    if (tag) filter.tags = String(tag).toLowerCase();
+    if (search) filter.text = { $regex: escapeRegex(search), $options: 'i' };
+
+    const [questions, total] = await Promise.all([
+      Question.find(filter)
+        .populate('subject', 'name code')
+        .populate('createdBy', 'name')
+        .sort({ subject: 1, topic: 1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      Question.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      questions,
+      pagination: {
+        totalPages: Math.ceil(total / limit),
+        currentPage: parseInt(page),
+        total,
+        hasNext: page * limit < total,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get questions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// GET /api/questions/:id - One question with its answer key
+export const getQuestionById = async (req, res) => {
+  try {
+    const question = await loadQuestion(req, res, await getAccessScope(req.user));
+    if (!question) return;
+
+    await question.populate('subject', 'name code');
+    res.json({ success: true, question });
+  } catch (error) {
+    console.error('Get question error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/questions - Add a question to the bank
+export const createQuestion = async (req, res) => {
+  try {
+    const scope = await getAccessScope(req.user);
+    if (!(await Subject.exists({ _id: req.body.subject, isActive: true }))) {
+      return res.status(400).json({ success: false, message: 'Subject not found' });
+    }
+    if (!isSubjectInScope(scope, req.body.subject)) {
+      return denyOutOfScope(req, res, { entityType: 'subject', entityId: req.body.subject, reason: 'question bank' });
+    }
+
+    const question = new Question({ createdBy: req.user._id });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) question[field] = req.body[field];
+    });
+    await question.save();
+
+    console.log(`✅ Question added to the bank: ${question.topic} (${question.type})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Question created successfully',
+      question
+    });
+  } catch (error) {
+    console.error('Create question error:', error);
+    handleQuestionError(res, error);
+  }
+};
+
+// PUT /api/questions/:id - Edit a question that no student has answered yet
+export const updateQuestion = async (req, res) => {
+  try {
+    const scope = await getAccessScope(req.user);
+    const question = await loadQuestion(req, res, scope);
+    if (!question) return;
+
+    // Answers already given or graded against this question would no longer match its key
+    const paperTestIds = await Test.find({ 'questions.question': question._id }).distinct('_id');
+    if (
+      await TestResult.exists({ 'responses.question': question._id }) ||
+      (paperTestIds.length > 0 && await Attempt.exists({ test: { $in: paperTestIds } }))
+    ) {
+      return res.status(409).json({
+        success: false,
+        message: 'This question has already been answered in a test; add a new question instead'
+      });
+    }
+
+    if (req.body.subject !== undefined && req.body.subject?.toString() !== question.subject.toString()) {
+      if (!(await Subject.exists({ _id: req.body.subject, isActive: true }))) {
+        return res.status(400).json({ success: false, message: 'Subject not found' });
+      }
+      if (!isSubjectInScope(scope, req.body.subject)) {
+        return denyOutOfScope(req, res, { entityType: 'subject', entityId: req.body.subject, reason: 'question bank' });
+      }
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) question[field] = req.body[field];
+    });
+    await question.save();
+
+    res.json({
+      success: true,
+      message: 'Question updated successfully',
+      question
+    });
+  } catch (error) {
+    console.error('Update question error:', error);
+    handleQuestionError(res, error);
+  }
+};
+
+// DELETE /api/questions/:id - Retire a question (papers that use it keep it)
+export const deleteQuestion = async (req, res) => {
+  try {
+    const question = await loadQuestion(req, res, await getAccessScope(req.user));
+    if (!question) return;
+
+    question.isActive = false;
+    describeAudit(req, 'question', { action: 'question.deactivate' });
+    await question.save();
+
+    res.json({
+      success: true,
+      message: 'Question removed from the bank'
+    });
+  } catch (error) {
+    console.error('Delete question error:', error);
+    handleQuestionError(res, error);
+  }
+};
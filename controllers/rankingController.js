@@ -0,0 +1,70 @@
+import User from '../models/User.js';
+import { computeGpaForStudents } from '../utils/gpa.js';
+import { getAccessScope, isStudentInScope, studentScopeFilter, denyOutOfScope } from '../utils/scope.js';
+
+// GET /api/admin/rankings - Students ranked by CGPA within each department and year
+export const getRankings = async (req, res) => {
+  try {
+    const { department, year, limit = 50 } = req.query;
+
+    const scope = await getAccessScope(req.user);
+    if (department && !isStudentInScope(scope, { department })) {
+      return denyOutOfScope(req, res, { entityType: 'user', reason: `rankings for department ${department}` });
+    }
+
+    const filter = { role: 'student', isActive: true, ...studentScopeFilter(scope) };
+    if (department) filter.department = department;
+    if (year) filter.year = parseInt(year);
+
+    const students = await User.find(filter).select('name rollNumber department year').lean();
+    const gpaByStudent = await computeGpaForStudents(students.map(student => student._id));
+
+    // Group by department and year; students without graded credits are not ranked
+    const groups = new Map();
+    students.forEach(student => {
+      const gpa = gpaByStudent.get(student._id.toString());
+      if (gpa?.cgpa === null || gpa?.cgpa === undefined) return;
+
+      const key = `${student.department}:${student.year}`;
+      if (!groups.has(key)) groups.set(key, { department: student.department, year: student.year, students: [] });
+      groups.get(key).students.push({
+        student,
+        cgpa: gpa.cgpa,
+        totalCredits: gpa.totalCredits,
+        earnedCredits: gpa.earnedCredits
+      });
+    });
+
+    const rankings = [...groups.values()]
+      .sort((a, b) => String(a.department).localeCompare(String(b.department)) || a.year - b.year)
+      .map(group => {
+        const ranked = group.students.sort((a, b) =>
+          b.cgpa - a.cgpa || String(a.student.rollNumber).localeCompare(String(b.student.rollNumber), undefined, { numeric: true })
+        );
+        // Equal CGPAs share a rank (1, 1, 3, ...)
+        ranked.forEach((entry, index) => {
+          entry.rank = index > 0 && ranked[index - 1].cgpa === entry.cgpa ? ranked[index - 1].rank : index + 1;
+        });
+
+        return {
+          department: group.department,
+          year: group.year,
+          rankedStudents: ranked.length,
+          students: ranked.slice(0, parseInt(limit) || 50)
+        };
+      });
+
+    res.json({
+      success: true,
+      rankings,
+      unranked: students.length - rankings.reduce((sum, group) => sum + group.rankedStudents, 0)
+    });
+  } catch (error) {
+    console.error('Get rankings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
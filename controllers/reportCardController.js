@@ -0,0 +1,193 @@
+import crypto from 'crypto';
+import User from '../models/User.js';
+import TestResult from '../models/TestResult.js';
+import ReportCard from '../models/ReportCard.js';
+import { hasPermission } from '../utils/permissions.js';
+import { getAccessScope, isStudentInScope, denyOutOfScope } from '../utils/scope.js';
+import { calculateGrade, getGradingScheme } from '../utils/grading.js';
+import { base32Encode } from '../utils/totp.js';
+import { buildReportCardPdf } from '../utils/pdf.js';
+import { recordAudit } from '../utils/audit.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// RC-XXXX-XXXX-XXXX (base32, no ambiguous lowercase), easy to read off a printout
+const generateVerificationCode = () => {
+  const code = base32Encode(crypto.randomBytes(8)).slice(0, 12);
+  return `RC-${code.match(/.{4}/g).join('-')}`;
+};
+
+// Subject-wise figures and the credit-weighted aggregate for one student
+const buildSnapshot = async (student) => {
+  const performance = await TestResult.getSubjectWisePerformance(student._id, { publishedOnly: true });
+  const [schemes, departmentScheme] = await Promise.all([
+    Promise.all(performance.map(entry => getGradingScheme({ subject: entry.subject }))),
+    getGradingScheme({ department: student.department })
+  ]);
+
+  const subjects = performance
+    .map((entry, index) => ({
+      name: entry.subject.name,
+      code: entry.subject.code,
+      credits: entry.subject.credits || 0,
+      totalTests: entry.totalTests,
+      passedTests: entry.passedTests,
+      percentage: round(entry.percentage),
+      passRate: round(entry.passRate),
+      grade: calculateGrade(entry.percentage, schemes[index])
+    }))
+    .sort((a, b) => a.code.localeCompare(b.code));
+
+  const totalCredits = subjects.reduce((sum, subject) => sum + subject.credits, 0);
+  const weightedPercentage = totalCredits > 0
+    ? round(subjects.reduce((sum, subject) => sum + subject.percentage * subject.credits, 0) / totalCredits)
+    : 0;
+  const totalTests = subjects.reduce((sum, subject) => sum + subject.totalTests, 0);
+  const passedTests = subjects.reduce((sum, subject) => sum + subject.passedTests, 0);
+
+  return {
+    student: {
+      name: student.name,
+      rollNumber: student.rollNumber,
+      department: student.department,
+      year: student.year
+    },
+    subjects,
+    totalCredits,
+    weightedPercentage,
+    overallGrade: calculateGrade(weightedPercentage, departmentScheme),
+    passRate: totalTests > 0 ? round((passedTests / totalTests) * 100) : 0
+  };
+};
+
+// Reuse the latest code while the figures are unchanged, otherwise issue a new one
+const issueReportCard = async (req, student, snapshot) => {
+  const contentHash = crypto.createHash('sha256').update(JSON.stringify(snapshot)).digest('hex');
+
+  const existing = await ReportCard.findOne({ student: student._id, contentHash }).sort({ createdAt: -1 });
+  if (existing) return existing;
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    try {
+      const reportCard = await ReportCard.create({
+        code: generateVerificationCode(),
+        student: student._id,
+        issuedBy: req.user._id,
+        contentHash,
+        snapshot
+      });
+
+      recordAudit(req, {
+        action: 'reportcard.issue',
+        entityType: 'user',
+        entityId: student._id,
+        metadata: { code: reportCard.code }
+      });
+      return reportCard;
+    } catch (error) {
+      // Retry only on a (very unlikely) code collision
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error('Could not generate a unique verification code');
+};
+
+// GET /api/students/:id/report-card - Report card PDF (GET /api/students/me/report-card for own)
+export const getStudentReportCard = async (req, res) => {
+  try {
+    const studentId = req.params.id;
+    const isOwn = studentId === req.user._id.toString();
+
+    const student = await User.findOne({
+      _id: studentId,
+      role: 'student',
+      isActive: true
+    }).select('name rollNumber department year');
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        message: 'Student not found'
+      });
+    }
+
+    if (!isOwn) {
+      if (!hasPermission(req.user, 'results:read')) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const scope = await getAccessScope(req.user);
+      if (!isStudentInScope(scope, student)) {
+        return denyOutOfScope(req, res, { entityType: 'user', entityId: student._id, reason: 'report card' });
+      }
+    }
+
+    const snapshot = await buildSnapshot(student);
+    const reportCard = await issueReportCard(req, student, snapshot);
+
+    const pdf = await buildReportCardPdf({
+      snapshot: reportCard.snapshot,
+      code: reportCard.code,
+      issuedAt: reportCard.createdAt,
+      verifyUrl: `${req.protocol}://${req.get('host')}/api/verify/report/${reportCard.code}`
+    });
+
+    const fileName = `${(student.rollNumber || student._id.toString()).replace(/[^a-zA-Z0-9_-]+/g, '_')}-report-card`;
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('❌ Report card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// GET /api/verify/report/:code - Public check that a printed report card is genuine
+export const verifyReportCard = async (req, res) => {
+  try {
+    const reportCard = await ReportCard.findOne({ code: req.params.code.trim().toUpperCase() });
+
+    if (!reportCard) {
+      return res.status(404).json({
+        success: false,
+        valid: false,
+        message: 'No report card was issued with this verification code'
+      });
+    }
+
+    const { snapshot } = reportCard;
+    res.json({
+      success: true,
+      valid: true,
+      reportCard: {
+        code: reportCard.code,
+        issuedAt: reportCard.createdAt,
+        student: snapshot.student,
+        subjects: snapshot.subjects.map(subject => ({
+          name: subject.name,
+          code: subject.code,
+          credits: subject.credits,
+          percentage: subject.percentage,
+          grade: subject.grade
+        })),
+        totalCredits: snapshot.totalCredits,
+        weightedPercentage: snapshot.weightedPercentage,
+        overallGrade: snapshot.overallGrade
+      }
+    });
+  } catch (error) {
+    console.error('Verify report card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,261 @@
+import mongoose from 'mongoose';
+import Test from '../models/Test.js';
+import TestResult from '../models/TestResult.js';
+import Attempt from '../models/Attempt.js';
+import { getAccessScope, isTestInScope, denyOutOfScope } from '../utils/scope.js';
+import { resolveSubjectRefs, subjectRefKey } from '../utils/subjects.js';
+import { gradeResult, getGradingSchemeForTest } from '../utils/grading.js';
+import { resultStatusOf, moderateMarks } from '../utils/resultWorkflow.js';
+import { historyEntries } from '../utils/markHistory.js';
+import { describeAudit } from '../utils/audit.js';
+import { testEndsAt } from '../utils/onlineTests.js';
+import { submitExpiredAttempts } from '../utils/attempts.js';
+
+// Allowed moves of a test's results between lifecycle states
+const TRANSITIONS = {
+  submit: { from: ['draft', 'withdrawn'], to: 'submitted', label: 'submitted' },
+  return: { from: ['submitted', 'moderated'], to: 'draft', label: 'returned' },
+  moderate: { from: ['submitted', 'moderated'], to: 'moderated', label: 'moderated' },
+  publish: { from: ['submitted', 'moderated'], to: 'published', label: 'published' },
+  withdraw: { from: ['published'], to: 'withdrawn', label: 'withdrawn' }
+};
+
+const workflowSummary = (test) => ({
+  _id: test._id,
+  title: test.title,
+  resultStatus: resultStatusOf(test),
+  resultHistory: test.resultHistory,
+  moderation: test.moderation
+});
+
+// Load a test the current user may act on. Teachers submit the results of tests in
+// their scope; approvers (HODs) also review every test of their own department.
+const loadWorkflowTest = async (req, res, { approval }) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid test ID format' });
+    return null;
+  }
+
+  const test = await Test.findOne({ _id: req.params.id, isActive: true });
+  if (!test) {
+    res.status(404).json({ success: false, message: 'Test not found' });
+    return null;
+  }
+
+  const scope = await getAccessScope(req.user);
+  let allowed = isTestInScope(scope, test);
+  if (!allowed && approval && req.user.department) {
+    const subjects = await resolveSubjectRefs([test.subject]);
+    allowed = subjects.get(subjectRefKey(test.subject))?.department === req.user.department;
+  }
+
+  if (!allowed) {
+    denyOutOfScope(req, res, { entityType: 'test', entityId: test._id, reason: approval ? 'result approval' : 'result submission' });
+    return null;
+  }
+
+  return test;
+};
+
+// Move a test's results to the next state. The state is checked again in the update
+// so that two reviewers acting at once cannot both succeed.
+const transition = async (req, test, action, extraSet = {}) => {
+  const { from, to } = TRANSITIONS[action];
+  describeAudit(req, 'test', { action: `test.results.${action}`, metadata: req.body.note ? { note: req.body.note } : undefined });
+  return Test.findOneAndUpdate(
+    { _id: test._id, resultStatus: { $in: from.includes('draft') ? [...from, null] : from } },
+    {
+      $set: { resultStatus: to, ...extraSet },
+      $push: { resultHistory: { status: to, by: req.user._id, at: new Date(), note: req.body.note } }
+    },
+    { new: true }
+  );
+};
+
+const conflict = (res, test, action) => res.status(409).json({
+  success: false,
+  message: `Results that are ${resultStatusOf(test)} cannot be ${TRANSITIONS[action].label}`,
+  resultStatus: resultStatusOf(test)
+});
+
+// Why the results of an online test cannot be submitted yet, if so: students may
+// still be writing it, and their attempts are graded only when submitted
+const onlineTestStillOpen = async (test) => {
+  if (test.mode !== 'online') return null;
+  if (new Date() < testEndsAt(test)) {
+    return 'Results cannot be submitted before the test window has ended';
+  }
+  // Attempts past their deadline are submitted now rather than on the next sweep
+  await submitExpiredAttempts({ test: test._id });
+  if (await Attempt.exists({ test: test._id, status: 'in_progress' })) {
+    return 'Results cannot be submitted while attempts are still in progress';
+  }
+  return null;
+};
+
+// Shared handler for the plain state changes (everything except moderation)
+const changeResultStatus = (action, { approval, requireResults = false, extraSet, successMessage }) => async (req, res) => {
+  try {
+    const test = await loadWorkflowTest(req, res, { approval });
+    if (!test) return;
+
+    if (!TRANSITIONS[action].from.includes(resultStatusOf(test))) {
+      return conflict(res, test, action);
+    }
+
+    if (action === 'submit') {
+      const openMessage = await onlineTestStillOpen(test);
+      if (openMessage) {
+        return res.status(409).json({ success: false, message: openMessage, resultStatus: resultStatusOf(test) });
+      }
+    }
+
+    if (requireResults && !(await TestResult.exists({ test: test._id }))) {
+      return res.status(400).json({ success: false, message: 'Enter marks before submitting the results' });
+    }
+
+    const updated = await transition(req, test, action, extraSet?.());
+    if (!updated) {
+      return conflict(res, await Test.findById(test._id), action);
+    }
+
+    console.log(`✅ Results of ${test.title}: ${resultStatusOf(test)} -> ${updated.resultStatus}`);
+
+    res.json({
+      success: true,
+      message: successMessage,
+      test: workflowSummary(updated)
+    });
+  } catch (error) {
+    console.error(`Results ${action} error:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/tests/:id/results/submit - Teacher submits entered marks for review
+export const submitResults = changeResultStatus('submit', {
+  approval: false,
+  requireResults: true,
+  successMessage: 'Results submitted for review'
+});
+
+// POST /api/tests/:id/results/return - Reviewer sends results back to the teacher for corrections
+export const returnResults = changeResultStatus('return', {
+  approval: true,
+  successMessage: 'Results returned to draft'
+});
+
+// POST /api/tests/:id/results/publish - Reviewer approves results; students can now see them
+export const publishResults = changeResultStatus('publish', {
+  approval: true,
+  extraSet: () => ({ publishedAt: new Date() }),
+  successMessage: 'Results published'
+});
+
+// POST /api/tests/:id/results/withdraw - Hide published results from students again
+export const withdrawResults = changeResultStatus('withdraw', {
+  approval: true,
+  successMessage: 'Results withdrawn'
+});
+
+// POST /api/tests/:id/results/moderate - Apply grace marks or scaling to every graded result.
+// Moderation always starts from the marks as entered, so moderating again replaces
+// the previous adjustment instead of adding to it.
+export const moderateResults = async (req, res) => {
+  try {
+    const test = await loadWorkflowTest(req, res, { approval: true });
+    if (!test) return;
+
+    if (!TRANSITIONS.moderate.from.includes(resultStatusOf(test))) {
+      return conflict(res, test, 'moderate');
+    }
+
+    const moderation = {
+      mode: req.body.mode,
+      ...(req.body.mode === 'grace'
+        ? { graceMarks: Number(req.body.graceMarks), onlyToPass: req.body.onlyToPass === true || req.body.onlyToPass === 'true' }
+        : { factor: Number(req.body.factor) })
+    };
+
+    const [results, scheme] = await Promise.all([
+      TestResult.find({ test: test._id, markStatus: { $in: ['graded', null] } })
+        .select('student marksObtained originalMarks markStatus remarks percentage grade gradePoint isPassed gradedBy gradedAt history')
+        .lean(),
+      getGradingSchemeForTest(test)
+    ]);
+
+    const changes = results
+      .map(result => {
+        const entered = result.originalMarks ?? result.marksObtained;
+        const marksObtained = moderateMarks(test, entered, moderation);
+        return {
+          result,
+          values: {
+            marksObtained,
+            originalMarks: marksObtained === entered ? null : entered,
+            ...gradeResult(test, marksObtained, scheme)
+          }
+        };
+      })
+      .filter(({ result, values }) => Object.keys(values).some(field => (result[field] ?? null) !== values[field]));
+
+    const updated = await transition(req, test, 'moderate', {
+      moderation: { ...moderation, affected: changes.length, moderatedBy: req.user._id, moderatedAt: new Date() }
+    });
+    if (!updated) {
+      return conflict(res, await Test.findById(test._id), 'moderate');
+    }
+
+    if (changes.length > 0) {
+      const at = new Date();
+      describeAudit(req, 'result', { action: 'result.moderate' });
+      await TestResult.bulkWrite(changes.map(({ result, values }) => ({
+        updateOne: {
+          filter: { _id: result._id },
+          update: {
+            $set: values,
+            // Only a change of the marks themselves is a new version
+            ...(values.marksObtained !== result.marksObtained && {
+              $push: {
+                history: {
+                  $each: historyEntries(result, { ...result, ...values }, {
+                    by: req.user._id,
+                    reason: req.body.note || `Moderation (${moderation.mode})`,
+                    source: 'moderation',
+                    at
+                  })
+                }
+              },
+              // Saves holding the history as it was now fail instead of reusing version numbers
+              $inc: { __v: 1 }
+            })
+          }
+        }
+      })));
+    }
+
+    console.log(`✅ Results of ${test.title} moderated (${moderation.mode}): ${changes.length} results changed`);
+
+    res.json({
+      success: true,
+      message: 'Results moderated',
+      test: workflowSummary(updated),
+      summary: {
+        graded: results.length,
+        changed: changes.length,
+        newlyPassed: changes.filter(({ result, values }) => !result.isPassed && values.isPassed).length
+      }
+    });
+  } catch (error) {
+    console.error('Results moderate error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
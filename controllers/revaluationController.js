@@ -0,0 +1,311 @@
+import mongoose from 'mongoose';
+import RevaluationRequest from '../models/RevaluationRequest.js';
+import TestResult from '../models/TestResult.js';
+import Test from '../models/Test.js';
+import { getAccessScope, denyOutOfScope } from '../utils/scope.js';
+import { isTermArchived } from '../utils/terms.js';
+import { resultStatusOf, revaluationDeadline } from '../utils/resultWorkflow.js';
+import { historyEntries } from '../utils/markHistory.js';
+import { describeAudit } from '../utils/audit.js';
+import { sendMail, frontendLink } from '../utils/mailer.js';
+
+// Tell the student how their request was decided. Mail problems are only logged;
+// the decision itself stands.
+const notifyStudent = async (request) => {
+  try {
+    const accepted = request.status === 'accepted';
+    await sendMail({
+      to: request.student.email,
+      subject: `Re-evaluation ${accepted ? 'accepted' : 'rejected'}: ${request.test.title}`,
+      text: `Hi ${request.student.name},\n\nYour re-evaluation request for ${request.test.title} was ` +
+        (accepted
+          ? `accepted. Your marks were revised from ${request.originalMarks ?? request.originalStatus} to ${request.revisedMarks}.`
+          : 'rejected. Your marks stay unchanged.') +
+        (request.reviewRemarks ? `\n\nRemarks from your teacher: ${request.reviewRemarks}` : '') +
+        `\n\n${frontendLink(`/results/${request.test._id}`)}`
+    });
+  } catch (error) {
+    console.error('Re-evaluation notification error:', error);
+  }
+};
+
+const populateRequest = (query) => query
+  .populate('student', 'name email rollNumber department')
+  .populate('test', 'title subject testType testDate maxMarks passingMarks')
+  .populate('result', 'marksObtained markStatus grade isPassed')
+  .populate('reviewedBy', 'name');
+
+// Load a pending request the current user may decide: the grading teacher, or anyone with institute scope
+const loadReviewableRequest = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400).json({ success: false, message: 'Invalid request ID' });
+    return null;
+  }
+
+  const request = await RevaluationRequest.findById(req.params.id);
+  if (!request) {
+    res.status(404).json({ success: false, message: 'Re-evaluation request not found' });
+    return null;
+  }
+
+  const scope = await getAccessScope(req.user);
+  if (!scope.unrestricted && request.teacher.toString() !== req.user._id.toString()) {
+    denyOutOfScope(req, res, { entityType: 'result', entityId: request.result, reason: `re-evaluation ${request._id} of another teacher` });
+    return null;
+  }
+
+  if (request.status !== 'pending') {
+    res.status(409).json({ success: false, message: `This request has already been ${request.status}` });
+    return null;
+  }
+
+  return request;
+};
+
+// Mark the request as decided, unless someone else decided it in the meantime
+const claimRequest = (req, request, decision) => RevaluationRequest.findOneAndUpdate(
+  { _id: request._id, status: 'pending' },
+  {
+    $set: {
+      ...decision,
+      reviewRemarks: req.body.remarks,
+      reviewedBy: req.user._id,
+      reviewedAt: new Date()
+    }
+  },
+  { new: true }
+);
+
+// POST /api/revaluations - Student asks for a published mark to be re-evaluated
+export const createRevaluationRequest = async (req, res) => {
+  try {
+    const result = await TestResult.findOne({ test: req.body.test, student: req.user._id })
+      .populate('test', 'title createdBy term resultStatus publishedAt resultHistory isActive');
+
+    // Unpublished results are reported as missing, as in the student's own result view
+    if (!result || !result.test?.isActive || resultStatusOf(result.test) !== 'published') {
+      return res.status(404).json({
+        success: false,
+        message: 'Test result not found'
+      });
+    }
+
+    const deadline = revaluationDeadline(result.test);
+    if (!deadline || deadline < new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'The re-evaluation window for this result has closed',
+        deadline
+      });
+    }
+
+    if (await isTermArchived(result.test.term)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Marks cannot be changed after the term is closed'
+      });
+    }
+
+    const request = await RevaluationRequest.create({
+      result: result._id,
+      test: result.test._id,
+      student: req.user._id,
+      teacher: result.gradedBy || result.test.createdBy,
+      reason: req.body.reason,
+      originalMarks: result.marksObtained,
+      originalStatus: result.markStatus || 'graded'
+    });
+
+    console.log(`✅ Re-evaluation requested: ${req.user.email} for ${result.test.title}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Re-evaluation requested',
+      request
+    });
+  } catch (error) {
+    console.error('Create re-evaluation request error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A re-evaluation has already been requested for this result'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// GET /api/revaluations/mine - The student's own requests and their outcome
+export const getMyRevaluationRequests = async (req, res) => {
+  try {
+    const requests = await RevaluationRequest.find({ student: req.user._id })
+      .populate('test', 'title subject testType testDate maxMarks')
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      requests
+    });
+  } catch (error) {
+    console.error('Get my re-evaluation requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// GET /api/revaluations - Queue of requests for the grading teacher (every teacher's with institute scope)
+export const getRevaluationQueue = async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    const filter = status === 'all' ? {} : { status };
+
+    const scope = await getAccessScope(req.user);
+    if (!scope.unrestricted) filter.teacher = req.user._id;
+
+    const requests = await populateRequest(RevaluationRequest.find(filter))
+      .populate('teacher', 'name email')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      requests,
+      total: requests.length
+    });
+  } catch (error) {
+    console.error('Get re-evaluation queue error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/revaluations/:id/accept - Revise the mark; the change is kept in the result's history
+export const acceptRevaluation = async (req, res) => {
+  try {
+    const request = await loadReviewableRequest(req, res);
+    if (!request) return;
+
+    const [result, test] = await Promise.all([
+      TestResult.findById(request.result),
+      Test.findById(request.test)
+    ]);
+    if (!result || !test) {
+      return res.status(404).json({ success: false, message: 'Test result not found' });
+    }
+
+    if (await isTermArchived(test.term)) {
+      return res.status(400).json({ success: false, message: 'Marks cannot be changed after the term is closed' });
+    }
+
+    const revisedMarks = Number(req.body.revisedMarks);
+    if (revisedMarks > test.maxMarks) {
+      return res.status(400).json({ success: false, message: `Marks must be between 0 and ${test.maxMarks}` });
+    }
+
+    describeAudit(req, 'revaluation', { action: 'revaluation.accept' });
+    const decided = await claimRequest(req, request, { status: 'accepted', revisedMarks });
+    if (!decided) {
+      return res.status(409).json({ success: false, message: 'This request has already been decided' });
+    }
+
+    result.history.push(...historyEntries(result.toObject(), { ...result.toObject(), markStatus: 'graded', marksObtained: revisedMarks }, {
+      by: req.user._id,
+      reason: req.body.remarks || request.reason,
+      source: 'revaluation',
+      revaluation: request._id
+    }));
+    result.markStatus = 'graded';
+    result.marksObtained = revisedMarks;
+    // The revised mark replaces any earlier moderation
+    result.originalMarks = null;
+    result.gradedBy = req.user._id;
+    result.gradedAt = new Date();
+    describeAudit(req, 'result', { action: 'result.revaluate', metadata: { revaluation: request._id.toString() } });
+    try {
+      await result.save();
+    } catch (error) {
+      // The mark was not revised: reopen the request so it can be decided again
+      describeAudit(req, 'revaluation', { action: 'revaluation.reopen' });
+      await RevaluationRequest.updateOne(
+        { _id: request._id, status: 'accepted' },
+        { $set: { status: 'pending' }, $unset: { revisedMarks: 1, reviewRemarks: 1, reviewedBy: 1, reviewedAt: 1 } }
+      );
+      throw error;
+    }
+
+    const populated = await populateRequest(RevaluationRequest.findById(request._id));
+    await notifyStudent(populated);
+
+    console.log(`✅ Re-evaluation accepted for ${test.title}: ${request.originalMarks ?? request.originalStatus} -> ${revisedMarks}`);
+
+    res.json({
+      success: true,
+      message: 'Re-evaluation accepted and marks revised',
+      request: populated
+    });
+  } catch (error) {
+    // The marks changed while the request was decided; it has been reopened
+    if (error.name === 'VersionError') {
+      return res.status(409).json({ success: false, message: 'The marks were changed while deciding; review the request again' });
+    }
+    console.error('Accept re-evaluation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/revaluations/:id/reject - Keep the mark and explain why
+export const rejectRevaluation = async (req, res) => {
+  try {
+    const request = await loadReviewableRequest(req, res);
+    if (!request) return;
+
+    describeAudit(req, 'revaluation', { action: 'revaluation.reject' });
+    const decided = await claimRequest(req, request, { status: 'rejected' });
+    if (!decided) {
+      return res.status(409).json({ success: false, message: 'This request has already been decided' });
+    }
+
+    const populated = await populateRequest(RevaluationRequest.findById(request._id));
+    await notifyStudent(populated);
+
+    console.log(`✅ Re-evaluation rejected: ${request._id}`);
+
+    res.json({
+      success: true,
+      message: 'Re-evaluation rejected',
+      request: populated
+    });
+  } catch (error) {
+    console.error('Reject re-evaluation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
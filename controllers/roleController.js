@@ -0,0 +1,259 @@
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { invalidateRoleCache } from '../utils/permissions.js';
+import { describeAudit } from '../utils/audit.js';
+
+// GET /api/admin/permissions - Catalog of all permissions
+export const listPermissions = async (req, res) => {
+  res.json({
+    success: true,
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+  });
+};
+
+// GET /api/admin/roles - Get all roles with the number of users holding them
+export const getRoles = async (req, res) => {
+  try {
+    const roles = await Role.find()
+      .populate('createdBy', 'name email')
+      .sort({ isSystem: -1, name: 1 })
+      .lean();
+
+    const assignedCounts = await User.aggregate([
+      { $match: { roles: { $exists: true, $ne: [] } } },
+      { $unwind: '$roles' },
+      { $group: { _id: '$roles', count: { $sum: 1 } } }
+    ]);
+    const countByRole = new Map(assignedCounts.map(entry => [entry._id.toString(), entry.count]));
+
+    res.json({
+      success: true,
+      roles: roles.map(role => ({
+        ...role,
+        assignedUsers: countByRole.get(role._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/admin/roles - Create a custom role
+export const createRole = async (req, res) => {
+  try {
+    const { name, description, permissions = [] } = req.body;
+
+    const role = await Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: req.user._id
+    });
+    invalidateRoleCache();
+
+    console.log('✅ Role created:', role.name);
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Create role error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// PUT /api/admin/roles/:id - Update a role
+export const updateRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.name === 'admin') {
+      return res.status(400).json({
+        success: false,
+        message: 'The admin role always has every permission and cannot be edited'
+      });
+    }
+
+    const { name, description, permissions } = req.body;
+
+    if (name !== undefined && name !== role.name) {
+      if (role.isSystem) {
+        return res.status(400).json({
+          success: false,
+          message: 'System roles cannot be renamed'
+        });
+      }
+      role.name = name;
+    }
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = [...new Set(permissions)];
+
+    await role.save();
+    invalidateRoleCache();
+
+    console.log('✅ Role updated:', role.name);
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      role
+    });
+  } catch (error) {
+    console.error('Update role error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'A role with this name already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// DELETE /api/admin/roles/:id - Delete a custom role and unassign it
+export const deleteRole = async (req, res) => {
+  try {
+    const role = await Role.findById(req.params.id);
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.isSystem) {
+      return res.status(400).json({
+        success: false,
+        message: 'System roles cannot be deleted'
+      });
+    }
+
+    describeAudit(req, 'user', { action: 'user.roles.unassign', metadata: { role: role.name } });
+    const { modifiedCount } = await User.updateMany(
+      { roles: role._id },
+      { $pull: { roles: role._id } }
+    );
+    describeAudit(req, 'role', { metadata: { unassignedUsers: modifiedCount } });
+    await role.deleteOne();
+    invalidateRoleCache();
+
+    console.log('✅ Role deleted:', role.name, 'Unassigned from', modifiedCount, 'users');
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully',
+      unassignedUsers: modifiedCount
+    });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// PUT /api/admin/users/:id/roles - Replace the extra roles assigned to a user
+export const assignUserRoles = async (req, res) => {
+  try {
+    const roleIds = [...new Set(req.body.roles.map(String))];
+
+    const roles = await Role.find({ _id: { $in: roleIds } }).select('name isSystem');
+    if (roles.length !== roleIds.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more roles do not exist'
+      });
+    }
+
+    // Base roles come from User.role; only custom roles are assignable
+    if (roles.some(role => role.isSystem)) {
+      return res.status(400).json({
+        success: false,
+        message: 'System roles cannot be assigned; change the user role instead'
+      });
+    }
+
+    describeAudit(req, 'user', { action: 'user.roles.assign' });
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { roles: roleIds },
+      { new: true }
+    )
+      .select('-password')
+      .populate('roles', 'name description permissions');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    console.log('✅ Roles assigned to:', user.email, roles.map(role => role.name));
+
+    res.json({
+      success: true,
+      message: 'Roles updated successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Assign roles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -2,14 +2,52 @@ import TestResult from '../models/TestResult.js';
 import Test from '../models/Test.js';
 import Subject from '../models/Subject.js';
 import User from '../models/User.js';
+import RevaluationRequest from '../models/RevaluationRequest.js';
 import mongoose from 'mongoose';
+import { hasPermission } from '../utils/permissions.js';
+import { getAccessScope, isStudentInScope, isTestInScope, studentScopeFilter, denyOutOfScope } from '../utils/scope.js';
+import { computeStudentGpa } from '../utils/gpa.js';
+import { resolveTermQuery, termTestFilter, termSummary } from '../utils/terms.js';
+import { getStudentSubjectIds, findOfferingForTest, getEnrolledStudentIds } from '../utils/enrollment.js';
+import { publishedResultFilter, revaluationDeadline } from '../utils/resultWorkflow.js';
+
+// Exempt entries carry no marks: they are listed, but left out of every count,
+// sum and average (as in TestResult.getSubjectWisePerformance)
+const isCounted = (result) => result.markStatus !== 'exempt';
 
 // GET /api/students - Get all students (for MarksEntryModal.jsx)
 export const getAllStudents = async (req, res) => {
   try {
     const { department, year, search, page = 1, limit = 50 } = req.query;
 
-    const filter = { role: 'student', isActive: true };
+    const scope = await getAccessScope(req.user);
+    if (department && !isStudentInScope(scope, { department })) {
+      return denyOutOfScope(req, res, { entityType: 'user', reason: `department ${department} not taught` });
+    }
+
+    const filter = { role: 'student', isActive: true, ...studentScopeFilter(scope) };
+    if (req.query.includeGraduated !== 'true') filter.graduatedAt = null;
+
+    // For marks entry on a test of an offered subject, list exactly the students
+    // enrolled in the offering (whatever their department)
+    if (req.query.test) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.test)) {
+        return res.status(400).json({ success: false, message: 'Invalid test ID format' });
+      }
+      const test = await Test.findOne({ _id: req.query.test, isActive: true });
+      if (!test) {
+        return res.status(404).json({ success: false, message: 'Test not found' });
+      }
+      if (!isTestInScope(scope, test)) {
+        return denyOutOfScope(req, res, { entityType: 'test', entityId: test._id, reason: 'student list for marks entry' });
+      }
+
+      const offering = await findOfferingForTest(test);
+      if (offering) {
+        delete filter.department;
+        filter._id = { $in: [...await getEnrolledStudentIds(offering._id)] };
+      }
+    }
 
     if (department) filter.department = department;
     if (year) filter.year = parseInt(year);
@@ -55,8 +93,16 @@ export const getStudentDashboard = async (req, res) => {
   try {
     const studentId = req.user._id;
 
+    // Defaults to the active term; ?term=all shows every term
+    const { term, status, message } = await resolveTermQuery(req.query.term);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+    // Students only ever see published results
+    const resultFilter = { student: studentId, ...(await publishedResultFilter(term)) };
+
     // Get recent test results
-    const recentResults = await TestResult.find({ student: studentId })
+    const recentResults = await TestResult.find(resultFilter)
       .populate({
         path: 'test',
         populate: {
@@ -67,50 +113,49 @@ export const getStudentDashboard = async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(5);
 
-    // Get upcoming tests for student's department
+    // Subjects the student is enrolled in (department subjects for students never enrolled)
+    const { subjectIds } = await getStudentSubjectIds(req.user, term);
+
+    // Get upcoming tests of those subjects (Test.subject may hold the id as a string)
     const upcomingTests = await Test.find({
       testDate: { $gte: new Date() },
-      isActive: true
+      isActive: true,
+      subject: { $in: [...subjectIds, ...subjectIds.map(String)] },
+      ...termTestFilter(term)
     })
       .populate('subject', 'name code department')
       .populate('createdBy', 'name')
       .sort({ testDate: 1 })
       .limit(5);
 
-    // Get subjects for student's department
-    const subjects = await Subject.find({
-      $or: [
-        { department: req.user.department },
-        { isGlobal: true }
-      ],
-      isActive: true
-    })
+    const subjects = await Subject.find({ _id: { $in: subjectIds }, isActive: true })
       .populate('teachers', 'name employeeId')
       .sort({ name: 1 });
 
     // Calculate overall performance
-    const allResults = await TestResult.find({ student: studentId })
+    const allResults = await TestResult.find({ ...resultFilter, markStatus: { $ne: 'exempt' } })
       .populate('test', 'maxMarks passingMarks');
 
     let totalMarks = 0;
     let totalMaxMarks = 0;
     let passedTests = 0;
     let totalTests = allResults.length;
-    const gradeCount = { 'A+': 0, 'A': 0, 'B+': 0, 'B': 0, 'C+': 0, 'C': 0, 'D': 0, 'F': 0 };
+    // Grades depend on each subject's grading scheme, so only grades actually awarded are counted
+    const gradeCount = {};
 
     allResults.forEach(result => {
       totalMarks += result.marksObtained;
       totalMaxMarks += result.test.maxMarks;
       if (result.isPassed) passedTests++;
-      if (result.grade) gradeCount[result.grade]++;
+      if (result.grade) gradeCount[result.grade] = (gradeCount[result.grade] || 0) + 1;
     });
 
-    const overallPercentage = totalTests > 0 ? (totalMarks / totalMaxMarks) * 100 : 0;
+    const overallPercentage = totalMaxMarks > 0 ? (totalMarks / totalMaxMarks) * 100 : 0;
     const passRate = totalTests > 0 ? (passedTests / totalTests) * 100 : 0;
 
     // Get subject-wise performance
     const subjectPerformance = await TestResult.aggregate([
-      { $match: { student: new mongoose.Types.ObjectId(studentId) } },
+      { $match: { ...resultFilter, student: new mongoose.Types.ObjectId(studentId), markStatus: { $ne: 'exempt' } } },
       {
         $lookup: {
           from: 'tests',
@@ -167,6 +212,7 @@ export const getStudentDashboard = async (req, res) => {
           department: req.user.department,
           year: req.user.year
         },
+        term: termSummary(term),
         performance: {
           overallPercentage: parseFloat(overallPercentage.toFixed(1)),
           passRate: parseFloat(passRate.toFixed(1)),
@@ -174,6 +220,7 @@ export const getStudentDashboard = async (req, res) => {
           passedTests,
           gradeDistribution: gradeCount
         },
+        gpa: await computeStudentGpa(studentId),
         recentResults,
         upcomingTests,
         subjects: subjects.slice(0, 6), // Limit for dashboard
@@ -209,6 +256,7 @@ export const getStudentResults = async (req, res) => {
         }
       },
       { $unwind: '$test' },
+      { $match: { 'test.resultStatus': 'published' } },
       {
         $lookup: {
           from: 'subjects',
@@ -294,6 +342,8 @@ export const getMyResults = async (req, res) => {
         }
       },
       { $unwind: '$test' },
+      // Results stay hidden until the test's results are published
+      { $match: { 'test.resultStatus': 'published' } },
       {
         $lookup: {
           from: 'users',
@@ -315,6 +365,7 @@ export const getMyResults = async (req, res) => {
             passingMarks: '$test.passingMarks'
           },
           student: '$student',
+          markStatus: 1,
           marksObtained: 1,
           percentage: 1,
           grade: 1,
@@ -343,17 +394,18 @@ export const getMyResults = async (req, res) => {
     const results = await TestResult.aggregate(pipeline);
 
     // Calculate statistics
+    const counted = results.filter(isCounted);
     const stats = {
-      totalTests: results.length,
-      passedTests: results.filter(r => r.status === 'passed').length,
-      averagePercentage: results.length > 0 
-        ? parseFloat((results.reduce((sum, r) => sum + r.percentage, 0) / results.length).toFixed(1))
+      totalTests: counted.length,
+      passedTests: counted.filter(r => r.status === 'passed').length,
+      averagePercentage: counted.length > 0 
+        ? parseFloat((counted.reduce((sum, r) => sum + r.percentage, 0) / counted.length).toFixed(1))
         : 0,
-      highestScore: results.length > 0 
-        ? Math.max(...results.map(r => r.percentage))
+      highestScore: counted.length > 0 
+        ? Math.max(...counted.map(r => r.percentage))
         : 0,
-      lowestScore: results.length > 0 
-        ? Math.min(...results.map(r => r.percentage))
+      lowestScore: counted.length > 0 
+        ? Math.min(...counted.map(r => r.percentage))
         : 0
     };
 
@@ -379,7 +431,7 @@ export const getStudentResultsById = async (req, res) => {
     const { studentId } = req.params;
 
     // Check if user has permission
-    if (req.user.role === 'student' && req.user._id.toString() !== studentId) {
+    if (!hasPermission(req.user, 'results:read') && req.user._id.toString() !== studentId) {
       return res.status(403).json({
         success: false,
         message: 'Access denied: You can only view your own results'
@@ -395,6 +447,13 @@ export const getStudentResultsById = async (req, res) => {
       });
     }
 
+    if (req.user._id.toString() !== studentId) {
+      const scope = await getAccessScope(req.user);
+      if (!isStudentInScope(scope, student)) {
+        return denyOutOfScope(req, res, { entityType: 'user', entityId: student._id, reason: 'student results' });
+      }
+    }
+
     const results = await TestResult.find({ student: studentId })
       .populate({
         path: 'test',
@@ -453,17 +512,21 @@ export const getMyTestResult = async (req, res) => {
     })
       .populate({
         path: 'test',
-        select: 'title subject testType testDate maxMarks passingMarks instructions'
+        select: 'title subject testType testDate maxMarks passingMarks instructions resultStatus publishedAt resultHistory'
       })
       .populate('gradedBy', 'name role');
 
-    if (!result) {
+    // Unpublished results are reported as missing rather than as hidden
+    if (!result || result.test?.resultStatus !== 'published') {
       return res.status(404).json({
         success: false,
         message: 'Test result not found'
       });
     }
 
+    const revaluation = await RevaluationRequest.findOne({ result: result._id })
+      .select('status reason revisedMarks reviewRemarks reviewedAt createdAt');
+
     const transformedResult = {
       _id: result._id,
       test: {
@@ -482,7 +545,10 @@ export const getMyTestResult = async (req, res) => {
       status: result.isPassed ? 'passed' : 'failed',
       remarks: result.remarks,
       submittedAt: result.createdAt,
-      gradedBy: result.gradedBy
+      gradedBy: result.gradedBy,
+      // Re-evaluation already requested, or until when one may be
+      revaluation,
+      revaluationDeadline: revaluation ? null : revaluationDeadline(result.test)
     };
 
     res.json({
@@ -504,8 +570,14 @@ export const getResultsAnalysis = async (req, res) => {
   try {
     const studentId = req.user._id;
 
+    // Results of different terms are not blended: defaults to the active term, ?term=all for everything
+    const { term, status, message } = await resolveTermQuery(req.query.term);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
     // Get all results
-    const results = await TestResult.find({ student: studentId })
+    const results = await TestResult.find({ student: studentId, markStatus: { $ne: 'exempt' }, ...(await publishedResultFilter(term)) })
       .populate({
         path: 'test',
         select: 'title subject testType testDate maxMarks'
@@ -515,6 +587,7 @@ export const getResultsAnalysis = async (req, res) => {
     if (results.length === 0) {
       return res.json({
         success: true,
+        term: termSummary(term),
         analysis: {
           totalTests: 0,
           averageScore: 0,
@@ -528,7 +601,7 @@ export const getResultsAnalysis = async (req, res) => {
     // Calculate monthly progress
     const monthlyData = {};
     const subjectData = {};
-    const gradeDistribution = { 'A+': 0, 'A': 0, 'B+': 0, 'B': 0, 'C+': 0, 'C': 0, 'D': 0, 'F': 0 };
+    const gradeDistribution = {};
 
     results.forEach(result => {
       const month = result.createdAt.toISOString().slice(0, 7);
@@ -551,7 +624,7 @@ export const getResultsAnalysis = async (req, res) => {
       subjectData[subject].count++;
 
       // Grade distribution
-      if (result.grade) gradeDistribution[result.grade]++;
+      if (result.grade) gradeDistribution[result.grade] = (gradeDistribution[result.grade] || 0) + 1;
     });
 
     // Calculate improvement trend (comparing first 3 and last 3 results)
@@ -564,7 +637,7 @@ export const getResultsAnalysis = async (req, res) => {
     // Find strengths and weaknesses
     const subjectPerformances = Object.values(subjectData).map(s => ({
       subject: s.name,
-      percentage: (s.totalMarks / s.totalMaxMarks) * 100
+      percentage: s.totalMaxMarks > 0 ? (s.totalMarks / s.totalMaxMarks) * 100 : 0
     }));
 
     const strengths = subjectPerformances
@@ -577,6 +650,7 @@ export const getResultsAnalysis = async (req, res) => {
 
     res.json({
       success: true,
+      term: termSummary(term),
       analysis: {
         totalTests: results.length,
         averageScore: results.reduce((sum, r) => sum + r.percentage, 0) / results.length,
@@ -584,7 +658,7 @@ export const getResultsAnalysis = async (req, res) => {
         gradeDistribution,
         monthlyProgress: Object.entries(monthlyData).map(([month, data]) => ({
           month,
-          percentage: (data.totalMarks / data.totalMaxMarks) * 100,
+          percentage: data.totalMaxMarks > 0 ? (data.totalMarks / data.totalMaxMarks) * 100 : 0,
           testsCount: data.count
         })).sort((a, b) => a.month.localeCompare(b.month)),
         subjectPerformance: subjectPerformances,
@@ -626,18 +700,26 @@ export const getStudentPerformance = async (req, res) => {
       });
     }
 
-    // Check permissions (students can only view their own performance)
+    // Check permissions (without results:read only own performance is visible)
     const currentUserId = (req.user && (req.user._id?.toString?.() || req.user.id)) || '';
     const targetUserId = (studentId && (studentId.toString ? studentId.toString() : String(studentId))) || '';
-    if (req.user.role === 'student' && targetUserId !== currentUserId) {
+    if (!hasPermission(req.user, 'results:read') && targetUserId !== currentUserId) {
       return res.status(403).json({
         success: false,
         message: 'Access denied'
       });
     }
 
-    // Get all test results for this student
-    const results = await TestResult.find({ student: studentId })
+    if (targetUserId !== currentUserId) {
+      const scope = await getAccessScope(req.user);
+      if (!isStudentInScope(scope, student)) {
+        return denyOutOfScope(req, res, { entityType: 'user', entityId: student._id, reason: 'student performance' });
+      }
+    }
+
+    // Get all test results for this student (students viewing their own only see published ones)
+    const ownView = targetUserId === currentUserId;
+    const results = await TestResult.find({ student: studentId, ...(ownView && await publishedResultFilter()) })
       .populate({
         path: 'test',
         populate: {
@@ -670,13 +752,15 @@ export const getStudentPerformance = async (req, res) => {
       }
 
       const perf = subjectPerformance[subjectId];
+      perf.results.push(result);
+      if (!isCounted(result)) return;
+
       const marks = Number(result?.marksObtained) || 0;
       const maxMarks = Number(result?.test?.maxMarks) || 0;
       perf.totalMarks += marks;
       perf.totalMaxMarks += maxMarks;
       perf.totalTests++;
       if (result?.isPassed) perf.passedTests++;
-      perf.results.push(result);
 
       // Monthly performance
       if (!monthlyPerformance[month]) {
@@ -712,6 +796,7 @@ export const getStudentPerformance = async (req, res) => {
     res.json({
       success: true,
       student,
+      gpa: await computeStudentGpa(student._id),
       overallResults: results,
       subjectPerformance: Object.values(subjectPerformance),
       monthlyPerformance: Object.values(monthlyPerformance)
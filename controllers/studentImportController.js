@@ -0,0 +1,333 @@
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import ImportJob from '../models/ImportJob.js';
+import { readSpreadsheet, pickColumn } from '../utils/spreadsheet.js';
+import { validateStudentRegistration } from '../utils/registrationPolicy.js';
+import { generateInitialPassword } from '../utils/passwordPolicy.js';
+import { generateOpaqueToken } from '../utils/tokens.js';
+import { sendMail, frontendLink } from '../utils/mailer.js';
+import { describeAudit } from '../utils/audit.js';
+
+// Accepted column names (matched case-insensitively, ignoring spaces and punctuation)
+const COLUMNS = {
+  name: ['name', 'full name', 'student name'],
+  email: ['email', 'email address'],
+  rollNumber: ['roll number', 'roll no', 'roll'],
+  department: ['department', 'dept', 'branch'],
+  year: ['year'],
+  phone: ['phone', 'mobile']
+};
+
+const maxRows = () => parseInt(process.env.STUDENT_IMPORT_MAX_ROWS) || 2000;
+const setupLinkHours = () => parseInt(process.env.STUDENT_IMPORT_LINK_EXPIRE_HOURS) || 72;
+
+// Validate every row against the User schema, the registration policy and
+// uniqueness (within the file and against existing users)
+const validateRows = async (rows) => {
+  const students = rows.map(({ rowNumber, values }) => {
+    const yearValue = pickColumn(values, COLUMNS.year);
+    return {
+      row: rowNumber,
+      name: pickColumn(values, COLUMNS.name) || '',
+      email: (pickColumn(values, COLUMNS.email) || '').toLowerCase(),
+      rollNumber: pickColumn(values, COLUMNS.rollNumber) || '',
+      department: pickColumn(values, COLUMNS.department) || '',
+      year: yearValue ? Number(yearValue) : undefined,
+      phone: pickColumn(values, COLUMNS.phone) || undefined
+    };
+  });
+
+  const existing = await User.find({
+    $or: [
+      { email: { $in: students.map(student => student.email).filter(Boolean) } },
+      { rollNumber: { $in: students.map(student => student.rollNumber).filter(Boolean) } }
+    ]
+  }).select('email rollNumber').lean();
+  const takenEmails = new Set(existing.map(user => user.email));
+  const takenRollNumbers = new Set(existing.map(user => user.rollNumber).filter(Boolean));
+
+  const seenEmails = new Map();
+  const seenRollNumbers = new Map();
+
+  return students.map(student => {
+    const errors = [];
+
+    // Schema rules (name length, email format, year range)
+    const validationError = new User({ ...student, role: 'student', password: 'placeholder' }).validateSync();
+    if (validationError) {
+      errors.push(...Object.values(validationError.errors).map(err => err.message));
+    }
+
+    if (!validationError?.errors.year && !Number.isInteger(student.year)) {
+      errors.push('Year is required and must be a whole number between 1 and 4');
+    }
+    errors.push(...validateStudentRegistration(student));
+
+    if (takenEmails.has(student.email)) errors.push('A user with this email already exists');
+    if (takenRollNumbers.has(student.rollNumber)) errors.push('A user with this roll number already exists');
+
+    if (student.email && seenEmails.has(student.email)) {
+      errors.push(`Duplicate email (also in row ${seenEmails.get(student.email)})`);
+    } else if (student.email) {
+      seenEmails.set(student.email, student.row);
+    }
+    if (student.rollNumber && seenRollNumbers.has(student.rollNumber)) {
+      errors.push(`Duplicate roll number (also in row ${seenRollNumbers.get(student.rollNumber)})`);
+    } else if (student.rollNumber) {
+      seenRollNumbers.set(student.rollNumber, student.row);
+    }
+
+    return { ...student, status: errors.length > 0 ? 'invalid' : 'valid', errors: [...new Set(errors)] };
+  });
+};
+
+const sendCredentials = async ({ user, password, token }) => {
+  if (password) {
+    return sendMail({
+      to: user.email,
+      subject: 'Your Placement Readiness account',
+      text: `Hello ${user.name},\n\nAn account has been created for you (roll number ${user.rollNumber}).\n\n` +
+        `Email: ${user.email}\nInitial password: ${password}\n\n` +
+        `Sign in at ${frontendLink('/login')} and change your password right away.`
+    });
+  }
+
+  return sendMail({
+    to: user.email,
+    subject: 'Set up your Placement Readiness account',
+    text: `Hello ${user.name},\n\nAn account has been created for you (roll number ${user.rollNumber}).\n\n` +
+      `Choose your password using the link below. It expires in ${setupLinkHours()} hours.\n\n` +
+      frontendLink('/reset-password', { token })
+  });
+};
+
+// Create all accounts, or none: a failure part-way removes the users created so far
+const runStudentImport = async (req, job, students) => {
+  job.status = 'running';
+  job.startedAt = new Date();
+  await job.save();
+
+  const metadata = { job: job._id.toString(), credentials: job.credentials };
+  describeAudit(req, 'user', { action: 'user.import', metadata });
+
+  const created = [];
+  try {
+    for (const student of students) {
+      const password = job.credentials === 'password' ? generateInitialPassword() : undefined;
+      const user = new User({
+        name: student.name,
+        email: student.email,
+        rollNumber: student.rollNumber,
+        department: student.department,
+        year: student.year,
+        phone: student.phone,
+        role: 'student',
+        // Invited students choose their own password through the setup link
+        password: password || generateOpaqueToken(24).token,
+        createdBy: req.user._id,
+        importJob: job._id
+      });
+      const token = password ? undefined : user.createPasswordResetToken(setupLinkHours() * 60);
+      await user.save();
+
+      created.push({ row: student.row, user, password, token });
+      job.processedRows = created.length;
+      if (created.length % 25 === 0) await job.save();
+    }
+  } catch (error) {
+    console.error('❌ Student import failed, rolling back:', error.message);
+    describeAudit(req, 'user', { action: 'user.import.rollback', metadata });
+    await User.deleteMany({ importJob: job._id, role: 'student' });
+
+    job.status = 'failed';
+    job.processedRows = 0;
+    job.error = error.code === 11000
+      ? `Row ${students[created.length]?.row}: ${Object.keys(error.keyPattern || {})[0] || 'value'} already exists`
+      : error.message;
+    job.finishedAt = new Date();
+    await job.save();
+    return;
+  }
+
+  // Accounts exist now; a mail failure is reported per row but does not undo the import
+  job.processedRows = created.length;
+  job.accountsCreatedAt = new Date();
+  await job.save();
+
+  job.results = [];
+  for (const entry of created) {
+    let emailSent = true;
+    let mailError;
+    try {
+      await sendCredentials(entry);
+    } catch (error) {
+      emailSent = false;
+      mailError = `Account created but the email could not be sent: ${error.message}`;
+    }
+    job.results.push({
+      row: entry.row,
+      email: entry.user.email,
+      rollNumber: entry.user.rollNumber,
+      user: entry.user._id,
+      emailSent,
+      error: mailError
+    });
+  }
+
+  job.status = 'completed';
+  job.finishedAt = new Date();
+  await job.save();
+
+  console.log('✅ Student import completed:', created.length, 'students');
+};
+
+// Imports run inside the server process, so one cut short by a restart is finished
+// here at startup: accounts of a job that had not created them all are removed
+// (keeping the import all-or-nothing); a job that was only sending credentials is
+// completed, listing its accounts. Assumes a single server process.
+export const recoverStudentImports = async () => {
+  const jobs = await ImportJob.find({ kind: 'students', status: { $in: ['queued', 'running'] } });
+
+  for (const job of jobs) {
+    if (job.accountsCreatedAt) {
+      const users = await User.find({ importJob: job._id }).select('email rollNumber').lean();
+      job.status = 'completed';
+      job.results = users.map(user => ({ email: user.email, rollNumber: user.rollNumber, user: user._id }));
+      job.error = 'The server restarted while sending credentials; some students may not have received their email';
+    } else {
+      const { deletedCount } = await User.deleteMany({ importJob: job._id, role: 'student' });
+      console.log(`↩️ Interrupted student import ${job._id} rolled back: ${deletedCount} accounts removed`);
+      job.status = 'failed';
+      job.processedRows = 0;
+      job.error = 'The server restarted during the import; no students were imported';
+    }
+    job.finishedAt = new Date();
+    await job.save();
+  }
+
+  return jobs.length;
+};
+
+// POST /api/admin/students/import - Import students from CSV/XLSX (dryRun=true previews)
+export const importStudents = async (req, res) => {
+  try {
+    const dryRun = [req.query.dryRun, req.body.dryRun].includes('true');
+    const credentials = req.body.credentials || 'invite';
+
+    if (!['invite', 'password'].includes(credentials)) {
+      return res.status(400).json({
+        success: false,
+        message: 'credentials must be "invite" or "password"'
+      });
+    }
+
+    let sheet;
+    try {
+      sheet = await readSpreadsheet(req.file);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file could not be read as CSV or XLSX'
+      });
+    }
+
+    if (sheet.rows.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The file contains no student rows'
+      });
+    }
+    if (sheet.rows.length > maxRows()) {
+      return res.status(400).json({
+        success: false,
+        message: `A single import is limited to ${maxRows()} rows`
+      });
+    }
+
+    const rows = await validateRows(sheet.rows);
+    const invalidRows = rows.filter(row => row.status === 'invalid').length;
+    const summary = {
+      totalRows: rows.length,
+      validRows: rows.length - invalidRows,
+      invalidRows
+    };
+
+    if (dryRun) {
+      return res.json({ success: true, dryRun: true, summary, rows });
+    }
+
+    if (invalidRows > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some rows are invalid; nothing was imported',
+        summary,
+        rows
+      });
+    }
+
+    const job = await ImportJob.create({
+      kind: 'students',
+      credentials,
+      fileName: req.file.originalname,
+      totalRows: rows.length,
+      createdBy: req.user._id
+    });
+
+    // Hashing hundreds of passwords takes a while, so the import runs after responding
+    runStudentImport(req, job, rows).catch(async (error) => {
+      console.error('Student import job error:', error);
+      await ImportJob.updateOne({ _id: job._id }, { status: 'failed', error: error.message, finishedAt: new Date() })
+        .catch(() => {});
+    });
+
+    console.log('✅ Student import queued:', rows.length, 'rows by', req.user.email);
+
+    res.status(202).json({
+      success: true,
+      message: 'Import started',
+      summary,
+      job
+    });
+  } catch (error) {
+    console.error('Import students error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// GET /api/admin/students/import/:jobId - Progress and outcome of an import
+export const getImportJob = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid import job ID'
+      });
+    }
+
+    const job = await ImportJob.findOne({ _id: req.params.jobId, kind: 'students' })
+      .populate('createdBy', 'name email');
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Import job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    console.error('Get import job error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,459 @@
+import AcademicTerm from '../models/AcademicTerm.js';
+import Enrollment from '../models/Enrollment.js';
+import SubjectOffering from '../models/SubjectOffering.js';
+import Subject from '../models/Subject.js';
+import Test from '../models/Test.js';
+import TestResult from '../models/TestResult.js';
+import User from '../models/User.js';
+import { FINAL_TEST_TYPES } from '../utils/gpa.js';
+import { subjectRefKey, resolveSubjectRefs } from '../utils/subjects.js';
+import { describeAudit } from '../utils/audit.js';
+
+const defaultMaxBacklogs = () => {
+  const value = parseInt(process.env.PROMOTION_MAX_BACKLOGS);
+  return Number.isNaN(value) ? 0 : value;
+};
+
+const handleTermError = (res, error) => {
+  if (error.code === 11000) {
+    return res.status(400).json({
+      success: false,
+      message: error.keyPattern?.name
+        ? 'A term with this name already exists'
+        : 'Another term is already active'
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    return res.status(400).json({
+      success: false,
+      message: 'Validation error',
+      errors
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message: 'Internal server error',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Number of subjects each student failed in the term, judged by their latest
+// final or supplementary result in the subject
+const countBacklogs = async (term, studentIds) => {
+  const tests = await Test.find({
+    term: term._id,
+    testType: { $in: FINAL_TEST_TYPES },
+    isActive: true
+  }).select('subject testDate').lean();
+
+  const [results, subjects] = await Promise.all([
+    TestResult.find({ test: { $in: tests.map(test => test._id) }, student: { $in: studentIds } })
+      .select('student test isPassed').lean(),
+    resolveSubjectRefs(tests.map(test => test.subject))
+  ]);
+  const testById = new Map(tests.map(test => [test._id.toString(), test]));
+
+  const latest = new Map();
+  results.forEach(result => {
+    const test = testById.get(result.test.toString());
+    const subjectKey = subjects.get(subjectRefKey(test.subject))?._id.toString() || subjectRefKey(test.subject);
+    const key = `${result.student}:${subjectKey}`;
+    const current = latest.get(key);
+    if (!current || new Date(current.testDate) < new Date(test.testDate)) {
+      latest.set(key, { student: result.student.toString(), isPassed: result.isPassed, testDate: test.testDate });
+    }
+  });
+
+  const backlogs = new Map();
+  latest.forEach(({ student, isPassed }) => {
+    if (!isPassed) backlogs.set(student, (backlogs.get(student) || 0) + 1);
+  });
+  return backlogs;
+};
+
+// Students who took part in the term: enrolled in one of its offerings or with a
+// result for one of its tests
+const termParticipants = async (term) => {
+  const [enrolled, testIds] = await Promise.all([
+    Enrollment.distinct('student', { term: term._id, status: 'enrolled' }),
+    Test.distinct('_id', { term: term._id, isActive: true })
+  ]);
+  const withResults = await TestResult.distinct('student', { test: { $in: testIds } });
+  return new Set([...enrolled, ...withResults].map(String));
+};
+
+// GET /api/terms - All academic terms, newest first
+export const getTerms = async (req, res) => {
+  try {
+    const terms = await AcademicTerm.find()
+      .populate('closedBy', 'name email')
+      .sort({ startDate: -1 });
+
+    res.json({
+      success: true,
+      terms,
+      activeTerm: terms.find(term => term.isActive) || null
+    });
+  } catch (error) {
+    console.error('Get terms error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/admin/terms - Create an academic term (isActive=true makes it the current term)
+export const createTerm = async (req, res) => {
+  try {
+    const { name, startDate, endDate, isActive = false, endsAcademicYear } = req.body;
+
+    if (isActive) {
+      await AcademicTerm.updateMany({ isActive: true }, { isActive: false });
+    }
+
+    const term = await AcademicTerm.create({
+      name,
+      startDate,
+      endDate,
+      isActive,
+      endsAcademicYear,
+      createdBy: req.user._id
+    });
+
+    console.log('✅ Academic term created:', term.name);
+
+    res.status(201).json({
+      success: true,
+      message: 'Term created successfully',
+      term
+    });
+  } catch (error) {
+    console.error('Create term error:', error);
+    handleTermError(res, error);
+  }
+};
+
+// PUT /api/admin/terms/:id - Update an open term or make it the active term
+export const updateTerm = async (req, res) => {
+  try {
+    const term = await AcademicTerm.findById(req.params.id);
+    if (!term) {
+      return res.status(404).json({
+        success: false,
+        message: 'Term not found'
+      });
+    }
+
+    if (term.status === 'archived') {
+      return res.status(400).json({
+        success: false,
+        message: 'Archived terms cannot be changed'
+      });
+    }
+
+    const { name, startDate, endDate, isActive, endsAcademicYear } = req.body;
+
+    if (name !== undefined) term.name = name;
+    if (endsAcademicYear !== undefined) term.endsAcademicYear = endsAcademicYear;
+    if (startDate !== undefined) term.startDate = startDate;
+    if (endDate !== undefined) term.endDate = endDate;
+    if (isActive !== undefined) {
+      if (isActive && !term.isActive) {
+        await AcademicTerm.updateMany({ _id: { $ne: term._id }, isActive: true }, { isActive: false });
+      }
+      term.isActive = isActive;
+    }
+
+    await term.save();
+
+    console.log('✅ Academic term updated:', term.name);
+
+    res.json({
+      success: true,
+      message: 'Term updated successfully',
+      term
+    });
+  } catch (error) {
+    console.error('Update term error:', error);
+    handleTermError(res, error);
+  }
+};
+
+// POST /api/admin/terms/:id/close - Promote eligible students, graduate final-year
+// students and archive the term (dryRun=true previews the outcome)
+export const closeTerm = async (req, res) => {
+  try {
+    const dryRun = [req.query.dryRun, req.body.dryRun].includes('true') || req.body.dryRun === true;
+    const maxBacklogs = req.body.maxBacklogs !== undefined ? parseInt(req.body.maxBacklogs) : defaultMaxBacklogs();
+
+    const term = await AcademicTerm.findById(req.params.id).lean();
+    if (!term) {
+      return res.status(404).json({
+        success: false,
+        message: 'Term not found'
+      });
+    }
+
+    if (term.status === 'archived') {
+      return res.status(400).json({
+        success: false,
+        message: 'This term has already been closed'
+      });
+    }
+
+    // Only the term that ends the academic year moves students up, and only those
+    // who took part in it
+    const students = term.endsAcademicYear === false
+      ? []
+      : await User.find({ role: 'student', isActive: true, graduatedAt: null })
+        .select('name rollNumber department year promotionTerm')
+        .lean();
+    const [participants, backlogs] = await Promise.all([
+      termParticipants(term),
+      countBacklogs(term, students.map(student => student._id))
+    ]);
+
+    const rows = students.map(student => {
+      const studentBacklogs = backlogs.get(student._id.toString()) || 0;
+      // Already moved up by an earlier attempt to close this term
+      const alreadyPromoted = student.promotionTerm?.toString() === term._id.toString();
+      let outcome = 'promote';
+      let reason;
+
+      if (alreadyPromoted) {
+        // Keeps the promotion; the year was already raised
+      } else if (!participants.has(student._id.toString())) {
+        outcome = 'skip';
+        reason = 'No enrollment or results in this term';
+      } else if (!student.year) {
+        outcome = 'hold';
+        reason = 'Year is not set';
+      } else if (studentBacklogs > maxBacklogs) {
+        outcome = 'hold';
+        reason = `${studentBacklogs} backlog(s), more than the ${maxBacklogs} allowed`;
+      } else if (student.year >= 4) {
+        outcome = 'graduate';
+      }
+
+      return {
+        student,
+        backlogs: studentBacklogs,
+        outcome,
+        newYear: outcome === 'promote' && !alreadyPromoted ? student.year + 1 : student.year,
+        reason
+      };
+    });
+
+    const summary = {
+      endsAcademicYear: term.endsAcademicYear !== false,
+      students: rows.length,
+      promoted: rows.filter(row => row.outcome === 'promote').length,
+      graduated: rows.filter(row => row.outcome === 'graduate').length,
+      heldBack: rows.filter(row => row.outcome === 'hold').length,
+      notEnrolled: rows.filter(row => row.outcome === 'skip').length,
+      maxBacklogs
+    };
+
+    if (dryRun) {
+      return res.json({ success: true, dryRun: true, term, summary, rows });
+    }
+
+    // Promote before archiving, so a failure leaves the term open to be closed again.
+    // Each student moves up at most once per term (promotionTerm, graduatedAt), which
+    // also keeps a retry or a second close request from promoting anyone twice.
+    const graduatedAt = new Date();
+    const updates = {
+      graduate: row => ({
+        filter: { _id: row.student._id, graduatedAt: null },
+        update: { $set: { graduatedAt, graduationTerm: term._id } }
+      }),
+      promote: row => ({
+        filter: { _id: row.student._id, promotionTerm: { $ne: term._id } },
+        update: { $set: { year: row.newYear, promotionTerm: term._id } }
+      })
+    };
+    for (const [outcome, update] of Object.entries(updates)) {
+      const bulkOps = rows
+        .filter(row => row.outcome === outcome)
+        .map(row => ({ updateOne: update(row) }));
+      if (bulkOps.length > 0) {
+        describeAudit(req, 'user', { action: `user.${outcome}`, metadata: { term: term._id.toString() } });
+        await User.bulkWrite(bulkOps);
+      }
+    }
+
+    describeAudit(req, 'term', { action: 'term.close' });
+    const archivedTerm = await AcademicTerm.findOneAndUpdate(
+      { _id: term._id, status: 'open' },
+      {
+        status: 'archived',
+        isActive: false,
+        archivedAt: new Date(),
+        closedBy: req.user._id,
+        promotion: {
+          promoted: summary.promoted,
+          graduated: summary.graduated,
+          heldBack: summary.heldBack,
+          notEnrolled: summary.notEnrolled,
+          maxBacklogs
+        }
+      },
+      { new: true }
+    );
+    if (!archivedTerm) {
+      return res.status(409).json({
+        success: false,
+        message: 'This term has already been closed'
+      });
+    }
+
+    await SubjectOffering.updateMany({ term: term._id }, { isActive: false });
+
+    console.log(`✅ Term closed: ${term.name} (${summary.promoted} promoted, ${summary.graduated} graduated, ${summary.heldBack} held back, ${summary.notEnrolled} not enrolled)`);
+
+    res.json({
+      success: true,
+      message: 'Term closed successfully',
+      term: archivedTerm,
+      summary,
+      rows
+    });
+  } catch (error) {
+    console.error('Close term error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// GET /api/admin/terms/:id/offerings - Subjects offered in a term
+export const getTermOfferings = async (req, res) => {
+  try {
+    const offerings = await SubjectOffering.find({ term: req.params.id })
+      .populate('subject', 'name code department credits')
+      .populate('teachers', 'name email employeeId')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      offerings
+    });
+  } catch (error) {
+    console.error('Get term offerings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/admin/terms/:id/offerings - Offer a subject in a term (teachers default to the subject's)
+export const createOffering = async (req, res) => {
+  try {
+    const term = await AcademicTerm.findById(req.params.id);
+    if (!term) {
+      return res.status(404).json({
+        success: false,
+        message: 'Term not found'
+      });
+    }
+    if (term.status === 'archived') {
+      return res.status(400).json({
+        success: false,
+        message: 'Subjects cannot be offered in an archived term'
+      });
+    }
+
+    const subject = await Subject.findOne({ _id: req.body.subject, isActive: true });
+    if (!subject) {
+      return res.status(400).json({
+        success: false,
+        message: 'Subject not found'
+      });
+    }
+
+    const teacherIds = req.body.teachers || subject.teachers;
+    const teacherCount = await User.countDocuments({ _id: { $in: teacherIds }, role: 'teacher', isActive: true });
+    if (teacherCount !== new Set(teacherIds.map(String)).size) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more teachers do not exist'
+      });
+    }
+
+    const offering = await SubjectOffering.create({
+      subject: subject._id,
+      term: term._id,
+      teachers: teacherIds,
+      createdBy: req.user._id
+    });
+    await offering.populate('subject', 'name code department credits');
+    await offering.populate('teachers', 'name email employeeId');
+
+    console.log('✅ Subject offered:', subject.code, 'in', term.name);
+
+    res.status(201).json({
+      success: true,
+      message: 'Subject offering created successfully',
+      offering
+    });
+  } catch (error) {
+    console.error('Create offering error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        message: 'This subject is already offered in the term'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// DELETE /api/admin/terms/:id/offerings/:offeringId - Withdraw a subject offering
+export const deleteOffering = async (req, res) => {
+  try {
+    const offering = await SubjectOffering.findOne({ _id: req.params.offeringId, term: req.params.id })
+      .populate('term', 'status');
+
+    if (!offering) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subject offering not found'
+      });
+    }
+    if (offering.term?.status === 'archived') {
+      return res.status(400).json({
+        success: false,
+        message: 'Offerings of an archived term cannot be changed'
+      });
+    }
+
+    await offering.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Subject offering deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete offering error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -5,6 +5,21 @@ import Test from '../models/Test.js';
 import TestResult from '../models/TestResult.js';
 import User from '../models/User.js';
 import Subject from '../models/Subject.js';
+import AcademicTerm from '../models/AcademicTerm.js';
+import { hasPermission } from '../utils/permissions.js';
+import { getAccessScope, isTestInScope, testScopeFilter, denyOutOfScope } from '../utils/scope.js';
+import { describeAudit } from '../utils/audit.js';
+import { gradeResult, getGradingSchemeForTest, recomputeResultGrades } from '../utils/grading.js';
+import { toCsv } from '../utils/csv.js';
+import { writeXlsx } from '../utils/spreadsheet.js';
+import { buildMarkSheetPdf } from '../utils/pdf.js';
+import { getActiveTerm, isTermArchived } from '../utils/terms.js';
+import { areMarksEditable, marksLockedMessage, resultStatusOf } from '../utils/resultWorkflow.js';
+import { historyEntries } from '../utils/markHistory.js';
+
+// Teachers (and other staff without institute scope) only reach the tests of the
+// subjects they teach or created; students are not scoped by what they teach
+const isScopedStaff = (user) => hasPermission(user, 'tests:write') || hasPermission(user, 'marks:write');
 
 // GET /api/tests - Get all tests with filtering and pagination
 export const getAllTests = async (req, res) => {
@@ -16,6 +31,8 @@ export const getAllTests = async (req, res) => {
       limit = 50,
       subject,
       testType,
+      semester,
+      term,
       department,
       search,
       sortBy = 'createdAt',
@@ -34,6 +51,14 @@ export const getAllTests = async (req, res) => {
       filter.testType = testType;
     }
 
+    if (semester) {
+      filter.semester = parseInt(semester);
+    }
+
+    if (term && mongoose.Types.ObjectId.isValid(term)) {
+      filter.term = term;
+    }
+
     if (department) {
       filter.department = department;
     }
@@ -50,6 +75,13 @@ export const getAllTests = async (req, res) => {
       ];
     }
 
+    if (isScopedStaff(req.user)) {
+      const scopeFilter = testScopeFilter(await getAccessScope(req.user));
+      if (scopeFilter.$or) {
+        filter.$and = [scopeFilter];
+      }
+    }
+
     // Build sort
     const sortDirection = sortOrder === 'asc' ? 1 : -1;
     const sort = { [sortBy]: sortDirection };
@@ -126,6 +158,10 @@ export const getTestById = async (req, res) => {
       });
     }
 
+    if (isScopedStaff(req.user) && !isTestInScope(await getAccessScope(req.user), test)) {
+      return denyOutOfScope(req, res, { entityType: 'test', entityId: test._id, reason: 'test details' });
+    }
+
     // Get result count
     const resultCount = await TestResult.countDocuments({ 
       test: test._id, 
@@ -159,12 +195,16 @@ export const createTest = async (req, res) => {
       title,
       subject,
       testType,
+      semester,
+      term,
       maxMarks,
       passingMarks,
       testDate,
       examTime,
       duration,
       venue,
+      mode,
+      maxAttempts,
       instructions,
       syllabus,
       description
@@ -191,6 +231,18 @@ export const createTest = async (req, res) => {
     if (maxMarksNum && passingMarksNum && passingMarksNum > maxMarksNum) {
       errors.push('Passing marks must be less than or equal to maximum marks');
     }
+    if (semester !== undefined && semester !== '' && !(parseInt(semester) >= 1 && parseInt(semester) <= 8)) {
+      errors.push('Semester must be between 1 and 8');
+    }
+    if (term && !mongoose.Types.ObjectId.isValid(term)) {
+      errors.push('Invalid term ID');
+    }
+    if (mode !== undefined && !['offline', 'online'].includes(mode)) {
+      errors.push('Mode must be offline or online');
+    }
+    if (maxAttempts !== undefined && !(parseInt(maxAttempts) >= 1 && parseInt(maxAttempts) <= 10)) {
+      errors.push('Maximum attempts must be between 1 and 10');
+    }
 
     if (errors.length > 0) {
       console.log('❌ Validation errors:', errors);
@@ -201,17 +253,36 @@ export const createTest = async (req, res) => {
       });
     }
 
+    // Tests go into the active term unless another open term is given
+    const testTerm = term ? await AcademicTerm.findById(term).lean() : await getActiveTerm();
+    if (term && !testTerm) {
+      return res.status(400).json({
+        success: false,
+        message: 'Term not found'
+      });
+    }
+    if (testTerm?.status === 'archived') {
+      return res.status(400).json({
+        success: false,
+        message: 'Tests cannot be added to an archived term'
+      });
+    }
+
     // Create test document
     const testData = {
       title: title.trim(),
       subject: subject.trim(),
       testType,
+      semester: semester ? parseInt(semester) : undefined,
+      term: testTerm?._id,
       maxMarks: maxMarksNum,
       passingMarks: passingMarksNum,
       testDate: new Date(testDate),
       examTime: examTime || '09:00',
       duration: parseInt(duration) || 180,
-      venue: venue?.trim() || 'TBD',
+      mode: mode || 'offline',
+      maxAttempts: maxAttempts !== undefined ? parseInt(maxAttempts) : 1,
+      venue: venue?.trim() || (mode === 'online' ? 'Online' : 'TBD'),
       instructions: instructions?.trim() || '',
       syllabus: syllabus?.trim() || '',
       description: description?.trim() || '',
@@ -288,18 +359,58 @@ export const updateTest = async (req, res) => {
       });
     }
 
-    // Check permissions (only creator or admin can update)
-    if (req.user.role !== 'admin' && test.createdBy.toString() !== req.user.id.toString()) {
+    // Check permissions (only creator or holders of tests:manage can update)
+    if (!hasPermission(req.user, 'tests:manage') && test.createdBy.toString() !== req.user.id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to update this test'
       });
     }
 
+    if (!isTestInScope(await getAccessScope(req.user), test)) {
+      return denyOutOfScope(req, res, { entityType: 'test', entityId: test._id, reason: 'test update' });
+    }
+
+    if (await isTermArchived(test.term)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tests of an archived term cannot be changed'
+      });
+    }
+
     const updateData = { ...req.body };
     delete updateData._id;
+    // The result lifecycle only moves through its own endpoints
+    ['resultStatus', 'resultHistory', 'moderation'].forEach(field => delete updateData[field]);
+    // The paper is set through PUT /api/tests/:id/paper, and the mode cannot change under it
+    ['questions', 'paperRules', 'shuffleQuestions', 'shuffleOptions', 'mode'].forEach(field => delete updateData[field]);
     updateData.updatedAt = new Date();
 
+    if (test.questions?.length > 0 && ['maxMarks', 'subject'].some(field => updateData[field] !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Maximum marks and subject of an online test follow its question paper'
+      });
+    }
+
+    // Changing these regrades every result, which is only allowed while marks are editable
+    if (['maxMarks', 'passingMarks', 'subject'].some(field => updateData[field] !== undefined) && !areMarksEditable(test)) {
+      return res.status(409).json({
+        success: false,
+        message: marksLockedMessage(test),
+        resultStatus: resultStatusOf(test)
+      });
+    }
+
+    if (updateData.term !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(updateData.term) || !(await AcademicTerm.exists({ _id: updateData.term, status: 'open' }))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Term not found or archived'
+        });
+      }
+    }
+
     // Validate if marks are being updated
     if (updateData.maxMarks && updateData.passingMarks) {
       const maxMarks = parseInt(updateData.maxMarks);
@@ -321,6 +432,11 @@ export const updateTest = async (req, res) => {
       .populate('subject', 'name code')
       .populate('createdBy', 'name email role');
 
+    // Stored percentages, grades and pass/fail depend on these fields
+    if (['maxMarks', 'passingMarks', 'subject'].some(field => updateData[field] !== undefined)) {
+      await recomputeResultGrades({ _id: test._id });
+    }
+
     console.log(`✅ Test updated: ${updatedTest.title}`);
 
     res.json({
@@ -373,13 +489,24 @@ export const deleteTest = async (req, res) => {
     }
 
     // Check permissions
-    if (req.user.role !== 'admin' && test.createdBy.toString() !== req.user.id.toString()) {
+    if (!hasPermission(req.user, 'tests:manage') && test.createdBy.toString() !== req.user.id.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to delete this test'
       });
     }
 
+    if (!isTestInScope(await getAccessScope(req.user), test)) {
+      return denyOutOfScope(req, res, { entityType: 'test', entityId: test._id, reason: 'test deletion' });
+    }
+
+    if (await isTermArchived(test.term)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Tests of an archived term cannot be deleted'
+      });
+    }
+
     // Check if test has results
     const hasResults = await TestResult.exists({ test: req.params.id, isActive: true });
     if (hasResults) {
@@ -390,6 +517,7 @@ export const deleteTest = async (req, res) => {
     }
 
     // Soft delete
+    describeAudit(req, 'test', { action: 'test.delete' });
     await Test.findByIdAndUpdate(req.params.id, { 
       isActive: false,
       deletedAt: new Date(),
@@ -450,6 +578,14 @@ export const addTestMarks = async (req, res) => {
       });
     }
 
+    if (!areMarksEditable(test)) {
+      return res.status(409).json({
+        success: false,
+        message: marksLockedMessage(test),
+        resultStatus: resultStatusOf(test)
+      });
+    }
+
     const savedResults = [];
     const errors = [];
 
@@ -493,8 +629,15 @@ export const addTestMarks = async (req, res) => {
           student: studentId
         });
 
+        const historyOptions = { by: req.user._id, reason: markData.reason || req.body.reason, source: 'entry' };
+
         if (testResult) {
-          // Update existing result
+          // Update existing result, keeping the previous marks as a version
+          if (testResult.marksObtained !== marksNum || (testResult.markStatus || 'graded') !== 'graded') {
+            const previous = testResult.toObject();
+            testResult.history.push(...historyEntries(previous, { ...previous, markStatus: 'graded', marksObtained: marksNum }, historyOptions));
+          }
+          testResult.markStatus = 'graded';
           testResult.marksObtained = marksNum;
           testResult.isPassed = isPassed;
           testResult.gradedBy = req.user.id;
@@ -510,7 +653,8 @@ export const addTestMarks = async (req, res) => {
             isPassed,
             gradedBy: req.user.id,
             gradedAt: new Date(),
-            submittedAt: new Date()
+            submittedAt: new Date(),
+            history: historyEntries(null, { marksObtained: marksNum }, historyOptions)
           });
           await testResult.save();
           console.log('✅ Created new result');
@@ -579,6 +723,11 @@ export const getTestResults = async (req, res) => {
       });
     }
 
+    const scope = await getAccessScope(req.user);
+    if (!isTestInScope(scope, test)) {
+      return denyOutOfScope(req, res, { entityType: 'test', entityId: test._id, reason: 'test results' });
+    }
+
     // Get results with populated student data
     const results = await TestResult.find({ test: req.params.id })
       .populate('student', 'name rollNumber email')
@@ -588,11 +737,13 @@ export const getTestResults = async (req, res) => {
     console.log(`✅ Found ${results.length} results`);
 
     // Calculate summary statistics
+    const graded = results.filter(r => (r.markStatus || 'graded') === 'graded');
     const summary = {
       totalStudents: results.length,
-      passedStudents: results.filter(r => r.isPassed).length,
-      averageMarks: results.length > 0 
-        ? (results.reduce((sum, r) => sum + r.marksObtained, 0) / results.length).toFixed(2)
+      passedStudents: results.filter(r => r.isPassed && r.markStatus !== 'exempt').length,
+      absentStudents: results.filter(r => r.markStatus === 'absent').length,
+      averageMarks: graded.length > 0
+        ? (graded.reduce((sum, r) => sum + r.marksObtained, 0) / graded.length).toFixed(2)
         : 0
     };
 
@@ -613,6 +764,54 @@ export const getTestResults = async (req, res) => {
   }
 };
 
+const MARK_STATUS_LABELS = { absent: 'Absent', exempt: 'Exempt', malpractice: 'Malpractice' };
+
+// Summary statistics of a test's results (shared by the statistics endpoint and exports)
+const calculateTestStatistics = (test, results, scheme) => {
+  // Marks statistics cover graded entries; pass rate and grades also count absence
+  // and malpractice (as failures); exempt entries are left out of both
+  const graded = results.filter(r => (r.markStatus || 'graded') === 'graded');
+  const assessed = results.filter(r => r.markStatus !== 'exempt');
+  const statusCounts = ['absent', 'exempt', 'malpractice'].reduce((counts, status) => {
+    counts[status] = results.filter(r => r.markStatus === status).length;
+    return counts;
+  }, {});
+
+  if (graded.length === 0) {
+    return {
+      totalStudents: results.length,
+      averageMarks: 0,
+      averagePercentage: 0,
+      passRate: 0,
+      highestMarks: 0,
+      lowestMarks: 0,
+      ...statusCounts,
+      gradingScheme: scheme.name,
+      gradeDistribution: {}
+    };
+  }
+
+  const totalMarks = graded.reduce((sum, r) => sum + r.marksObtained, 0);
+  const passedCount = assessed.filter(r => r.isPassed).length;
+
+  return {
+    totalStudents: results.length,
+    averageMarks: (totalMarks / graded.length).toFixed(1),
+    averagePercentage: ((totalMarks / (graded.length * test.maxMarks)) * 100).toFixed(1),
+    passRate: assessed.length > 0 ? ((passedCount / assessed.length) * 100).toFixed(1) : '0.0',
+    highestMarks: Math.max(...graded.map(r => r.marksObtained)),
+    lowestMarks: Math.min(...graded.map(r => r.marksObtained)),
+    ...statusCounts,
+    gradingScheme: scheme.name,
+    // Grades are the ones stored with the results (kept current by the grading scheme)
+    gradeDistribution: assessed.reduce((dist, r) => {
+      const grade = r.grade || gradeResult(test, r.marksObtained, scheme, r.markStatus).grade;
+      dist[grade] = (dist[grade] || 0) + 1;
+      return dist;
+    }, Object.fromEntries(scheme.bands.map(band => [band.grade, 0])))
+  };
+};
+
 // GET /api/tests/:id/statistics - Get detailed test statistics
 export const getTestStatistics = async (req, res) => {
   try {
@@ -635,54 +834,13 @@ export const getTestStatistics = async (req, res) => {
       });
     }
 
-    // Get all results for statistics
-    const results = await TestResult.find({ test: req.params.id });
-    
-    if (results.length === 0) {
-      return res.json({
-        success: true,
-        test: {
-          title: test.title,
-          subject: test.subject,
-          maxMarks: test.maxMarks,
-          passingMarks: test.passingMarks
-        },
-        statistics: {
-          totalStudents: 0,
-          averageMarks: 0,
-          averagePercentage: 0,
-          passRate: 0,
-          highestMarks: 0,
-          lowestMarks: 0,
-          gradeDistribution: {}
-        }
-      });
+    const scope = await getAccessScope(req.user);
+    if (!isTestInScope(scope, test)) {
+      return denyOutOfScope(req, res, { entityType: 'test', entityId: test._id, reason: 'test statistics' });
     }
 
-    // Calculate statistics
-    const totalMarks = results.reduce((sum, r) => sum + r.marksObtained, 0);
-    const passedCount = results.filter(r => r.isPassed).length;
-    
-    const stats = {
-      totalStudents: results.length,
-      averageMarks: (totalMarks / results.length).toFixed(1),
-      averagePercentage: ((totalMarks / (results.length * test.maxMarks)) * 100).toFixed(1),
-      passRate: ((passedCount / results.length) * 100).toFixed(1),
-      highestMarks: Math.max(...results.map(r => r.marksObtained)),
-      lowestMarks: Math.min(...results.map(r => r.marksObtained)),
-      gradeDistribution: results.reduce((dist, r) => {
-        const percentage = (r.marksObtained / test.maxMarks) * 100;
-        let grade = 'F';
-        if (percentage >= 90) grade = 'A+';
-        else if (percentage >= 80) grade = 'A';
-        else if (percentage >= 70) grade = 'B';
-        else if (percentage >= 60) grade = 'C';
-        else if (percentage >= 50) grade = 'D';
-        
-        dist[grade] = (dist[grade] || 0) + 1;
-        return dist;
-      }, {})
-    };
+    // Get all results for statistics
+    const results = await TestResult.find({ test: req.params.id });
 
     res.json({
       success: true,
@@ -692,7 +850,7 @@ export const getTestStatistics = async (req, res) => {
         maxMarks: test.maxMarks,
         passingMarks: test.passingMarks
       },
-      statistics: stats
+      statistics: calculateTestStatistics(test, results, await getGradingSchemeForTest(test))
     });
 
   } catch (error) {
@@ -703,4 +861,123 @@ export const getTestStatistics = async (req, res) => {
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
-};
\ No newline at end of file
+};
+// GET /api/tests/:id/results/export?format=csv|xlsx|pdf - Download the mark sheet
+export const exportTestResults = async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'xlsx', 'pdf'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Format must be csv, xlsx or pdf'
+      });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid test ID format'
+      });
+    }
+
+    const test = await Test.findOne({ 
+      _id: req.params.id, 
+      isActive: true 
+    }).populate('subject', 'name code');
+
+    if (!test) {
+      return res.status(404).json({
+        success: false,
+        message: 'Test not found'
+      });
+    }
+
+    const scope = await getAccessScope(req.user);
+    if (!isTestInScope(scope, test)) {
+      return denyOutOfScope(req, res, { entityType: 'test', entityId: test._id, reason: 'test results export' });
+    }
+
+    const results = await TestResult.find({ test: test._id })
+      .populate('student', 'name rollNumber');
+
+    // Subjects stored as a plain ID are not populated by Mongoose
+    let subject = test.subject;
+    if (typeof subject === 'string' && mongoose.Types.ObjectId.isValid(subject)) {
+      subject = await Subject.findById(subject).select('name code').lean() || subject;
+    }
+    const subjectLabel = subject?.name ? `${subject.name} (${subject.code})` : String(subject ?? '');
+
+    const scheme = await getGradingSchemeForTest(test);
+    const rows = results
+      .map(result => {
+        const markStatus = result.markStatus || 'graded';
+        const { percentage, grade, isPassed } = gradeResult(test, result.marksObtained, scheme, markStatus);
+        return {
+          name: result.student?.name || 'Unknown student',
+          rollNumber: result.student?.rollNumber || '',
+          marksObtained: markStatus === 'graded' ? result.marksObtained : grade,
+          percentage: percentage === null ? '' : percentage.toFixed(2),
+          grade,
+          result: markStatus === 'graded' ? (isPassed ? 'Pass' : 'Fail') : MARK_STATUS_LABELS[markStatus],
+          remarks: result.remarks || ''
+        };
+      })
+      .sort((a, b) => a.rollNumber.localeCompare(b.rollNumber, undefined, { numeric: true }))
+      .map((row, index) => ({ index: index + 1, ...row }));
+
+    const statistics = calculateTestStatistics(test, results, scheme);
+    const baseName = `${test.title.replace(/[^a-zA-Z0-9_-]+/g, '_')}-marks`;
+
+    const columns = [
+      { header: 'Roll Number', value: row => row.rollNumber, width: 15 },
+      { header: 'Student Name', value: row => row.name, width: 28 },
+      { header: 'Marks', value: row => row.marksObtained, width: 10 },
+      { header: 'Percentage', value: row => row.percentage, width: 12 },
+      { header: 'Grade', value: row => row.grade, width: 8 },
+      { header: 'Result', value: row => row.result, width: 8 },
+      { header: 'Remarks', value: row => row.remarks, width: 40 }
+    ];
+
+    if (format === 'pdf') {
+      const pdf = await buildMarkSheetPdf({ test, subjectLabel, rows, statistics, generatedBy: req.user.name });
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="${baseName}.pdf"`);
+      return res.send(pdf);
+    }
+
+    if (format === 'xlsx') {
+      const workbook = await writeXlsx({
+        sheetName: 'Marks',
+        columns,
+        rows: rows.map(row => ({ ...row, percentage: row.percentage === '' ? '' : Number(row.percentage) })),
+        summary: {
+          Test: test.title,
+          Subject: subjectLabel,
+          'Maximum Marks': test.maxMarks,
+          'Passing Marks': test.passingMarks,
+          Students: statistics.totalStudents,
+          'Average Marks': Number(statistics.averageMarks),
+          'Average Percentage': Number(statistics.averagePercentage),
+          'Pass Rate (%)': Number(statistics.passRate),
+          'Highest Marks': statistics.highestMarks,
+          'Lowest Marks': statistics.lowestMarks,
+          ...Object.fromEntries(Object.entries(statistics.gradeDistribution).map(([grade, count]) => [`Grade ${grade}`, count]))
+        }
+      });
+      res.set('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.set('Content-Disposition', `attachment; filename="${baseName}.xlsx"`);
+      return res.send(workbook);
+    }
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${baseName}.csv"`);
+    res.send(toCsv(rows, columns));
+  } catch (error) {
+    console.error('❌ Export results error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export results',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
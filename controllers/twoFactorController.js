@@ -0,0 +1,350 @@
+import jwt from 'jsonwebtoken';
+import { body } from 'express-validator';
+import User from '../models/User.js';
+import SecuritySettings from '../models/SecuritySettings.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+import { issueAuthTokens, authUserPayload } from './authController.js';
+import { hashToken } from '../utils/tokens.js';
+import {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes
+} from '../utils/totp.js';
+import { reserveLoginAttempt, recordLoginFailure, recordLoginSuccess } from '../utils/loginThrottle.js';
+
+const TWO_FACTOR_ROLES = ['teacher', 'admin'];
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const normalizeRecoveryCode = (code) => String(code).trim().toLowerCase();
+
+// Check a TOTP code or a recovery code against the user's enrolled secret.
+// Marks the code as used on the document; the caller saves the user.
+const consumeSecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotp(user.twoFactor.secret, code);
+    if (step === null || step <= (user.twoFactor.lastUsedStep ?? -1)) return false;
+    user.twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const remaining = user.twoFactor.recoveryCodes || [];
+    if (!remaining.includes(hash)) return false;
+    user.twoFactor.recoveryCodes = remaining.filter(stored => stored !== hash);
+    return true;
+  }
+
+  return false;
+};
+
+const issueRecoveryCodes = (user) => {
+  const codes = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = codes.map(code => hashToken(normalizeRecoveryCode(code)));
+  return codes;
+};
+
+// Validation rules
+export const twoFactorCodeValidation = [
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('A 6-digit code is required'),
+  handleValidationErrors
+];
+
+export const twoFactorVerifyValidation = [
+  body('challengeToken')
+    .isString()
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body()
+    .custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('Provide either a code or a recovery code'),
+  handleValidationErrors
+];
+
+export const twoFactorDisableValidation = [
+  body('password')
+    .isString()
+    .notEmpty()
+    .withMessage('Password is required'),
+  body('code')
+    .matches(/^\d{6}$/)
+    .withMessage('A 6-digit code is required'),
+  handleValidationErrors
+];
+
+// GET /api/auth/2fa - Two-factor status of the current user
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const [user, settings] = await Promise.all([
+      User.findById(req.user._id).select('role twoFactor.enabled twoFactor.enabledAt +twoFactor.recoveryCodes'),
+      SecuritySettings.getSettings()
+    ]);
+
+    res.json({
+      success: true,
+      twoFactor: {
+        available: TWO_FACTOR_ROLES.includes(user.role),
+        enabled: Boolean(user.twoFactor?.enabled),
+        enabledAt: user.twoFactor?.enabledAt,
+        required: settings.twoFactorRequiredRoles.includes(user.role),
+        recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0
+      }
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/auth/2fa/setup - Start enrollment: generate a secret and otpauth URI
+export const setupTwoFactor = async (req, res) => {
+  try {
+    if (!TWO_FACTOR_ROLES.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Two-factor authentication is available for teacher and admin accounts'
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    const issuer = process.env.TWO_FACTOR_ISSUER || 'Placement Readiness';
+
+    res.json({
+      success: true,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer })
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/auth/2fa/enable - Confirm enrollment with a first code
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    console.log('✅ Two-factor enabled for:', user.email);
+
+    const response = {
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are shown only once.',
+      recoveryCodes
+    };
+
+    // Enrollment forced at login completes the sign-in
+    if (req.twoFactorSetupChallenge) {
+      const fullUser = await User.findById(user._id).populate('subjects', 'name code');
+      await recordLoginSuccess({ email: fullUser.email });
+      const { token, refreshToken } = await issueAuthTokens(fullUser, req);
+      Object.assign(response, { token, refreshToken, user: authUserPayload(fullUser) });
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/auth/2fa/verify - Second login step: exchange challenge + code for tokens
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (err) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired challenge token' });
+    }
+    if (decoded.purpose !== '2fa-verify') {
+      return res.status(401).json({ success: false, message: 'Invalid challenge token' });
+    }
+
+    const user = await User.findOne({ _id: decoded.id, isActive: true })
+      .select(SECRET_FIELDS)
+      .populate('subjects', 'name code');
+
+    if (!user || !user.twoFactor?.enabled) {
+      return res.status(401).json({ success: false, message: 'Invalid challenge token' });
+    }
+
+    // Code guessing counts towards the same lockout as password guessing
+    const throttle = await reserveLoginAttempt({ email: user.email, ip: req.ip });
+    if (!throttle.allowed) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(throttle.reason === 'locked' ? 423 : 429).json({
+        success: false,
+        message: 'Too many failed attempts, please wait before trying again',
+        retryAfter: throttle.retryAfter
+      });
+    }
+
+    if (!consumeSecondFactor(user, { code, recoveryCode })) {
+      console.log('❌ Invalid two-factor code for:', user.email);
+      await recordLoginFailure({ reservation: throttle.reservation, userId: user._id });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+    await user.save();
+    await recordLoginSuccess({ email: user.email, reservation: throttle.reservation });
+
+    const { token, refreshToken } = await issueAuthTokens(user, req);
+
+    console.log('✅ Login successful (2FA):', user.email, 'Role:', user.role);
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      token,
+      refreshToken,
+      user: authUserPayload(user),
+      ...(recoveryCode && { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length })
+    });
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/auth/2fa/disable - Turn off 2FA (password and current code required)
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(`+password ${SECRET_FIELDS}`);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const settings = await SecuritySettings.getSettings();
+    if (settings.twoFactorRequiredRoles.includes(user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Two-factor authentication is mandatory for ${user.role} accounts`
+      });
+    }
+
+    const isPasswordValid = await user.comparePassword(req.body.password);
+    if (!isPasswordValid || !consumeSecondFactor(user, { code: req.body.code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid password or authentication code'
+      });
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    console.log('✅ Two-factor disabled for:', user.email);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// POST /api/auth/2fa/recovery-codes - Replace all recovery codes
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!consumeSecondFactor(user, { code: req.body.code })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid authentication code'
+      });
+    }
+
+    const recoveryCodes = issueRecoveryCodes(user);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated; the previous ones no longer work',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,14 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+const requestContext = new AsyncLocalStorage();
+
+// Make the current request reachable from model hooks, so every write made while
+// handling it is audited with its actor, IP and user agent (see auditTrail in utils/audit.js)
+export const auditContext = (req, res, next) => {
+  requestContext.run({ req }, next);
+};
+
+// The request being handled, or undefined for startup tasks, migrations and timers
+export const currentRequest = () => requestContext.getStore()?.req;
+
+export default auditContext;
@@ -1,9 +1,11 @@
 import jwt from 'jsonwebtoken';
 import express from 'express';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 import Test from '../models/Test.js';
 import Subject from '../models/Subject.js';
 import TestResult from '../models/TestResult.js';
+import { resolvePermissions } from '../utils/permissions.js';
 
 // Middleware definitions
 
@@ -20,12 +22,28 @@ export const authenticate = async (req, res, next) => {
     if (!userId) {
       return res.status(401).json({ success: false, message: 'Invalid token payload' });
     }
+    // Tokens must belong to a live server-side session
+    if (!decoded.sid) {
+      return res.status(401).json({ success: false, message: 'Session expired, please log in again' });
+    }
     // Hydrate user for downstream handlers that expect req.user fields
-    const user = await User.findById(userId)
-      .select('name email role rollNumber employeeId department year subjects');
+    const [user, session] = await Promise.all([
+      User.findById(userId)
+        .select('name email role roles rollNumber employeeId department year subjects isActive passwordChangedAt emailVerified'),
+      Session.findById(decoded.sid).select('user revokedAt expiresAt')
+    ]);
     if (!user) {
       return res.status(401).json({ success: false, message: 'User not found for token' });
     }
+    if (!session || !session.isValid() || session.user.toString() !== user._id.toString()) {
+      return res.status(401).json({ success: false, message: 'Session has been revoked' });
+    }
+    if (!user.isActive) {
+      return res.status(401).json({ success: false, message: 'Account is deactivated' });
+    }
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ success: false, message: 'Password was changed, please log in again' });
+    }
     // Attach both _id and id for compatibility
     req.user = {
       _id: user._id,
@@ -38,6 +56,10 @@ export const authenticate = async (req, res, next) => {
       department: user.department,
       year: user.year,
       subjects: user.subjects,
+      emailVerified: user.emailVerified,
+      roles: user.roles,
+      permissions: await resolvePermissions(user),
+      sessionId: session._id,
     };
     next();
   } catch (err) {
@@ -45,48 +67,55 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
-// Roles middleware
-export const studentOrTeacherAdmin = (req, res, next) => {
-  if (['student', 'teacher', 'admin'].includes(req.user.role)) {
-    return next();
+// For two-factor enrollment: accept either a normal session or the short-lived
+// setup challenge handed out by login when 2FA is mandatory but not yet enabled
+export const authenticateOrTwoFactorSetup = async (req, res, next) => {
+  const challengeToken = req.body?.challengeToken;
+  if (!challengeToken) {
+    return authenticate(req, res, next);
   }
-  return res.status(403).json({ success: false, message: 'Access denied' });
-};
-
-export const teacherOrAdmin = (req, res, next) => {
-  if (['teacher', 'admin'].includes(req.user.role)) {
-    return next();
-  }
-  return res.status(403).json({ success: false, message: 'Teacher or admin access required' });
-};
-
-export const adminOnly = (req, res, next) => {
-  if (req.user.role === 'admin') {
-    return next();
-  }
-  return res.status(403).json({ success: false, message: 'Admin access required' });
-};
-
-export const studentOnly = (req, res, next) => {
-  if (req.user.role === 'student') {
-    return next();
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    if (decoded.purpose !== '2fa-setup') {
+      return res.status(401).json({ success: false, message: 'Invalid challenge token' });
+    }
+    const user = await User.findById(decoded.id).select('name email role isActive');
+    if (!user || !user.isActive) {
+      return res.status(401).json({ success: false, message: 'User not found for token' });
+    }
+    req.user = {
+      _id: user._id,
+      id: user._id.toString(),
+      name: user.name,
+      email: user.email,
+      role: user.role
+    };
+    req.twoFactorSetupChallenge = true;
+    next();
+  } catch (err) {
+    return res.status(401).json({ success: false, message: 'Invalid or expired challenge token' });
   }
-  return res.status(403).json({ success: false, message: 'Student access required' });
 };
 
-export const teacherOnly = (req, res, next) => {
-  if (req.user.role === 'teacher') {
+// Permission middleware: every listed permission must be granted
+export const requirePermission = (...permissions) => (req, res, next) => {
+  const granted = req.user?.permissions || [];
+  if (permissions.every(permission => granted.includes(permission))) {
     return next();
   }
-  return res.status(403).json({ success: false, message: 'Teacher access required' });
+  return res.status(403).json({
+    success: false,
+    message: 'You do not have permission to perform this action',
+    requiredPermissions: permissions
+  });
 };
 
 const router = express.Router();
 
 router.use(authenticate);
 
-// Student Dashboard - accessible by student, teacher, admin
-router.get('/student', studentOrTeacherAdmin, async (req, res) => {
+// Student Dashboard
+router.get('/student', requirePermission('dashboard:student'), async (req, res) => {
   try {
     const studentId = req.user.id;
 
@@ -157,8 +186,8 @@ router.get('/student', studentOrTeacherAdmin, async (req, res) => {
   }
 });
 
-// Teacher Dashboard - only teacher role allowed
-router.get('/teacher', teacherOnly, async (req, res) => {
+// Teacher Dashboard
+router.get('/teacher', requirePermission('dashboard:teacher'), async (req, res) => {
   try {
     const teacherId = req.user.id;
 
@@ -215,8 +244,8 @@ router.get('/teacher', teacherOnly, async (req, res) => {
   }
 });
 
-// Admin Dashboard - only admin role allowed
-router.get('/admin', adminOnly, async (req, res) => {
+// Admin Dashboard
+router.get('/admin', requirePermission('dashboard:admin'), async (req, res) => {
   try {
     const [studentCount, teacherCount, subjectCount, testCount] = await Promise.all([
       User.countDocuments({ role: 'student', isActive: true }),
@@ -0,0 +1,33 @@
+import path from 'path';
+import multer from 'multer';
+
+// CSV/XLSX uploads are parsed straight from memory and never written to disk
+const ALLOWED_EXTENSIONS = ['.csv', '.xlsx'];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: (parseInt(process.env.SPREADSHEET_MAX_SIZE_MB) || 5) * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (ALLOWED_EXTENSIONS.includes(extension)) cb(null, true);
+    else cb(new Error('Only .csv and .xlsx files are supported'));
+  }
+});
+
+export const uploadSpreadsheet = (fieldName = 'file') => (req, res, next) => {
+  upload.single(fieldName)(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE' ? 'File is too large' : err.message
+      });
+    }
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: `Upload a CSV or XLSX file in the "${fieldName}" field`
+      });
+    }
+    next();
+  });
+};
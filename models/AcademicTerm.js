@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+
+const academicTermSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Term name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Term name cannot exceed 100 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  // The current term; dashboards default to it and new tests are attached to it
+  isActive: {
+    type: Boolean,
+    default: false
+  },
+  // Closing a term that ends the academic year promotes students; other terms
+  // (e.g. the first semester of a year) are only archived
+  endsAcademicYear: {
+    type: Boolean,
+    default: true
+  },
+  // Archived terms are read-only: no new tests, no marks changes
+  status: {
+    type: String,
+    enum: ['open', 'archived'],
+    default: 'open'
+  },
+  archivedAt: {
+    type: Date
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Outcome of the "close term and promote" operation
+  promotion: {
+    promoted: Number,
+    graduated: Number,
+    heldBack: Number,
+    notEnrolled: Number,
+    maxBacklogs: Number
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// At most one active term
+academicTermSchema.index({ isActive: 1 }, { unique: true, partialFilterExpression: { isActive: true } });
+academicTermSchema.index({ startDate: -1 });
+
+academicTermSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'End date must be after the start date');
+  }
+  if (this.status === 'archived' && this.isActive) {
+    this.invalidate('isActive', 'An archived term cannot be the active term');
+  }
+  next();
+});
+
+academicTermSchema.plugin(auditTrail, { entityType: 'term' });
+
+export default mongoose.model('AcademicTerm', academicTermSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
 
 const announcementSchema = new mongoose.Schema({
   title: { type: String, required: true, trim: true },
@@ -12,4 +13,6 @@ const announcementSchema = new mongoose.Schema({
   targetDepartments: [{ type: String, trim: true }] // if not global, restrict to these departments
 }, { timestamps: true });
 
+announcementSchema.plugin(auditTrail, { entityType: 'announcement' });
+
 export default mongoose.model('Announcement', announcementSchema);
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+
+// A student's sitting of an online test. Answers are saved while it is in
+// progress; submitting (or running out of time) grades it.
+const attemptSchema = new mongoose.Schema({
+  test: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Test',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 1 for the first attempt, 2 for the first retake, ...
+  number: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Seeds the student's individual paper (see buildPaper in utils/onlineTests.js)
+  seed: {
+    type: Number
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'submitted'],
+    default: 'in_progress'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // End of the test's window; answers are not accepted after it
+  deadline: {
+    type: Date,
+    required: true
+  },
+  answers: [{
+    _id: false,
+    question: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+    answer: mongoose.Schema.Types.Mixed,
+    savedAt: { type: Date, default: Date.now }
+  }],
+  submittedAt: {
+    type: Date
+  },
+  // Submitted by the server when the deadline passed
+  autoSubmitted: {
+    type: Boolean,
+    default: false
+  },
+  marksObtained: {
+    type: Number,
+    min: 0
+  },
+  responses: [{
+    _id: false,
+    question: { type: mongoose.Schema.Types.ObjectId, ref: 'Question' },
+    answer: mongoose.Schema.Types.Mixed,
+    isCorrect: Boolean,
+    marksAwarded: Number,
+    maxMarks: Number
+  }]
+}, {
+  timestamps: true
+});
+
+// The attempt number also keeps two attempts from being started at once
+attemptSchema.index({ test: 1, student: 1, number: 1 }, { unique: true });
+attemptSchema.index({ status: 1, deadline: 1 });
+
+attemptSchema.plugin(auditTrail, {
+  entityType: 'attempt',
+  // Saved answers are the student's working; the submission is recorded
+  ignore: ['answers'],
+  metadata: ['test', 'student']
+});
+
+export default mongoose.model('Attempt', attemptSchema);
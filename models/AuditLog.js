@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// Append-only record of administrative and grading actions: who did what to
+// which entity, with a field-level before/after diff
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    trim: true
+  },
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  entityType: {
+    type: String,
+    required: true,
+    enum: ['user', 'subject', 'test', 'result', 'announcement', 'invitation', 'role', 'settings', 'gradingScheme', 'term', 'enrollment', 'revaluation', 'question', 'attempt', 'offering']
+  },
+  entityId: {
+    type: String,
+    trim: true
+  },
+  // { field: { before, after } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+export default mongoose.model('AuditLog', auditLogSchema);
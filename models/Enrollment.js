@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+
+// A student taking a subject offering in a term
+const enrollmentSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student is required']
+  },
+  offering: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubjectOffering',
+    required: [true, 'Subject offering is required']
+  },
+  // Copied from the offering for direct lookups by term or subject
+  term: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicTerm',
+    required: true
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['enrolled', 'dropped'],
+    default: 'enrolled'
+  },
+  enrolledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  droppedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+enrollmentSchema.index({ offering: 1, student: 1 }, { unique: true });
+enrollmentSchema.index({ student: 1, term: 1, status: 1 });
+
+enrollmentSchema.plugin(auditTrail, {
+  entityType: 'enrollment',
+  metadata: ['offering', 'student']
+});
+
+export default mongoose.model('Enrollment', enrollmentSchema);
@@ -0,0 +1,130 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+
+const bandSchema = new mongoose.Schema({
+  grade: {
+    type: String,
+    required: [true, 'Grade is required'],
+    trim: true,
+    maxlength: [5, 'Grade cannot exceed 5 characters']
+  },
+  // Lowest percentage (inclusive) that earns this grade
+  minPercentage: {
+    type: Number,
+    required: [true, 'Minimum percentage is required'],
+    min: [0, 'Minimum percentage cannot be negative'],
+    max: [100, 'Minimum percentage cannot exceed 100']
+  },
+  gradePoint: {
+    type: Number,
+    required: [true, 'Grade point is required'],
+    min: [0, 'Grade point cannot be negative'],
+    max: [10, 'Grade point cannot exceed 10']
+  }
+}, { _id: false });
+
+const gradingSchemeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Scheme name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Scheme name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // Where the scheme applies: a subject scheme wins over a department scheme,
+  // which wins over the institute default
+  scope: {
+    type: String,
+    enum: {
+      values: ['default', 'department', 'subject'],
+      message: 'Scope must be default, department or subject'
+    },
+    required: true,
+    default: 'department'
+  },
+  department: {
+    type: String,
+    trim: true
+  },
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject'
+  },
+  bands: {
+    type: [bandSchema],
+    validate: [
+      {
+        validator: bands => bands.length > 0,
+        message: 'At least one grade band is required'
+      },
+      {
+        validator: bands => bands.some(band => band.minPercentage === 0),
+        message: 'One grade band must start at 0%'
+      },
+      {
+        validator: bands => new Set(bands.map(band => band.grade)).size === bands.length &&
+          new Set(bands.map(band => band.minPercentage)).size === bands.length,
+        message: 'Grades and minimum percentages must be unique'
+      }
+    ]
+  },
+  // How pass/fail is decided for a single result
+  passRule: {
+    mode: {
+      type: String,
+      enum: {
+        values: ['passingMarks', 'percentage', 'both'],
+        message: 'Pass rule must be passingMarks, percentage or both'
+      },
+      default: 'passingMarks'
+    },
+    minPercentage: {
+      type: Number,
+      min: [0, 'Pass percentage cannot be negative'],
+      max: [100, 'Pass percentage cannot exceed 100']
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One active scheme per target
+gradingSchemeSchema.index(
+  { scope: 1, department: 1, subject: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+gradingSchemeSchema.pre('validate', function(next) {
+  if (this.scope === 'department' && !this.department) {
+    this.invalidate('department', 'Department is required for a department scheme');
+  }
+  if (this.scope === 'subject' && !this.subject) {
+    this.invalidate('subject', 'Subject is required for a subject scheme');
+  }
+  if (this.passRule?.mode !== 'passingMarks' && this.passRule?.minPercentage === undefined) {
+    this.invalidate('passRule.minPercentage', 'Pass percentage is required for this pass rule');
+  }
+  if (this.scope !== 'department') this.department = undefined;
+  if (this.scope !== 'subject') this.subject = undefined;
+
+  // Highest band first, which is the order grades are looked up in
+  this.bands.sort((a, b) => b.minPercentage - a.minPercentage);
+  next();
+});
+
+gradingSchemeSchema.plugin(auditTrail, { entityType: 'gradingScheme' });
+
+export default mongoose.model('GradingScheme', gradingSchemeSchema);
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+// A bulk import committed in the background; polled by the admin UI for progress
+const importJobSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['students'],
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // How new accounts receive their credentials
+  credentials: {
+    type: String,
+    enum: ['invite', 'password'],
+    default: 'invite'
+  },
+  fileName: {
+    type: String,
+    trim: true
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  processedRows: {
+    type: Number,
+    default: 0
+  },
+  results: [{
+    _id: false,
+    row: Number,
+    email: String,
+    rollNumber: String,
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    emailSent: Boolean,
+    error: String
+  }],
+  error: {
+    type: String
+  },
+  // Set once every account exists; only credential emails remain after it
+  accountsCreatedAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+importJobSchema.index({ createdBy: 1, createdAt: -1 });
+
+export default mongoose.model('ImportJob', importJobSchema);
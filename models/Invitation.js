@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+
+// Admin-issued, single-use invitation to create a teacher or admin account
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  role: {
+    type: String,
+    enum: {
+      values: ['teacher', 'admin'],
+      message: 'Invitations can only be issued for teacher or admin accounts'
+    },
+    required: [true, 'Role is required']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // Optional details pre-filled by the admin
+  employeeId: {
+    type: String,
+    trim: true
+  },
+  department: {
+    type: String,
+    trim: true
+  },
+  subjects: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject'
+  }],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  usedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+invitationSchema.index({ email: 1, usedAt: 1 });
+
+invitationSchema.virtual('status').get(function() {
+  if (this.usedAt) return 'accepted';
+  if (this.expiresAt <= new Date()) return 'expired';
+  return 'pending';
+});
+
+invitationSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+invitationSchema.plugin(auditTrail, { entityType: 'invitation' });
+
+export default mongoose.model('Invitation', invitationSchema);
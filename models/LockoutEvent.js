@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// Recorded every time an account gets locked after repeated failed logins
+const lockoutEventSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  ip: {
+    type: String,
+    trim: true
+  },
+  failures: {
+    type: Number,
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  },
+  unlockedAt: {
+    type: Date,
+    default: null
+  },
+  unlockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+lockoutEventSchema.index({ createdAt: -1 });
+lockoutEventSchema.index({ email: 1, lockedUntil: -1 });
+
+export default mongoose.model('LockoutEvent', lockoutEventSchema);
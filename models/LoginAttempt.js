@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+// Failed-login counter per key ("email:<address>" or "ip:<address>")
+const loginAttemptSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date
+  },
+  // Exponential back-off: no attempt accepted before this time
+  nextAttemptAt: {
+    type: Date
+  },
+  lockedUntil: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Counters disappear on their own once the failure window has passed
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+
+// A question bank entry used to assemble the papers of online tests
+const questionSchema = new mongoose.Schema({
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: [true, 'Subject is required']
+  },
+  topic: {
+    type: String,
+    required: [true, 'Topic is required'],
+    trim: true,
+    maxlength: [100, 'Topic cannot exceed 100 characters']
+  },
+  difficulty: {
+    type: String,
+    enum: {
+      values: ['easy', 'medium', 'hard'],
+      message: 'Difficulty must be easy, medium, or hard'
+    },
+    default: 'medium'
+  },
+  type: {
+    type: String,
+    required: [true, 'Question type is required'],
+    enum: {
+      values: ['mcq_single', 'mcq_multi', 'numeric', 'true_false'],
+      message: 'Question type must be mcq_single, mcq_multi, numeric, or true_false'
+    }
+  },
+  text: {
+    type: String,
+    required: [true, 'Question text is required'],
+    trim: true,
+    maxlength: [2000, 'Question text cannot exceed 2000 characters']
+  },
+  // Multiple choice only
+  options: [{
+    text: {
+      type: String,
+      required: [true, 'Option text is required'],
+      trim: true,
+      maxlength: [500, 'Option text cannot exceed 500 characters']
+    },
+    isCorrect: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // Numeric only: answers within tolerance of numericAnswer are correct
+  numericAnswer: {
+    type: Number
+  },
+  tolerance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tolerance cannot be negative']
+  },
+  // True/false only
+  correctAnswer: {
+    type: Boolean
+  },
+  // Default marks when the question is put on a paper
+  marks: {
+    type: Number,
+    default: 1,
+    min: [0.5, 'Marks must be at least 0.5'],
+    max: [100, 'Marks cannot exceed 100']
+  },
+  explanation: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Explanation cannot exceed 2000 characters'],
+    default: ''
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+questionSchema.index({ subject: 1, topic: 1, difficulty: 1, isActive: 1 });
+questionSchema.index({ tags: 1 });
+
+// Each type needs its own kind of answer key
+questionSchema.pre('validate', function(next) {
+  const correctOptions = this.options.filter(option => option.isCorrect).length;
+
+  if (this.type === 'mcq_single' || this.type === 'mcq_multi') {
+    if (this.options.length < 2) {
+      this.invalidate('options', 'Multiple choice questions need at least 2 options');
+    } else if (this.type === 'mcq_single' && correctOptions !== 1) {
+      this.invalidate('options', 'Single choice questions need exactly one correct option');
+    } else if (this.type === 'mcq_multi' && correctOptions < 1) {
+      this.invalidate('options', 'Multiple choice questions need at least one correct option');
+    }
+  } else if (this.options.length > 0) {
+    this.invalidate('options', 'Only multiple choice questions have options');
+  }
+
+  if (this.type === 'numeric' && typeof this.numericAnswer !== 'number') {
+    this.invalidate('numericAnswer', 'Numeric questions need a numeric answer');
+  }
+
+  if (this.type === 'true_false' && typeof this.correctAnswer !== 'boolean') {
+    this.invalidate('correctAnswer', 'True/false questions need the correct answer');
+  }
+
+  next();
+});
+
+questionSchema.plugin(auditTrail, { entityType: 'question' });
+
+export default mongoose.model('Question', questionSchema);
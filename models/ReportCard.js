@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// Issued report card. The snapshot is what was printed on the PDF, so the public
+// verification endpoint can confirm a printed copy has not been altered.
+const reportCardSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // SHA-256 of the snapshot, used to reuse the code when nothing has changed
+  contentHash: {
+    type: String,
+    required: true
+  },
+  snapshot: {
+    student: {
+      name: String,
+      rollNumber: String,
+      department: String,
+      year: Number
+    },
+    subjects: [{
+      _id: false,
+      name: String,
+      code: String,
+      credits: Number,
+      totalTests: Number,
+      passedTests: Number,
+      percentage: Number,
+      passRate: Number,
+      grade: String
+    }],
+    totalCredits: Number,
+    weightedPercentage: Number,
+    overallGrade: String,
+    passRate: Number
+  }
+}, {
+  timestamps: true
+});
+
+reportCardSchema.index({ student: 1, contentHash: 1 });
+
+export default mongoose.model('ReportCard', reportCardSchema);
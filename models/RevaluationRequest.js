@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+
+// A student's request to have a published mark re-evaluated by the grading teacher
+const revaluationRequestSchema = new mongoose.Schema({
+  result: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TestResult',
+    required: [true, 'Result is required']
+  },
+  // Copied from the result for the student's list and the teacher's queue
+  test: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Test',
+    required: true
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Teacher who graded the result (the test's creator if nobody is recorded)
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [1000, 'Reason cannot exceed 1000 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'rejected'],
+    default: 'pending'
+  },
+  // Mark and status when the request was filed
+  originalMarks: {
+    type: Number
+  },
+  originalStatus: {
+    type: String
+  },
+  revisedMarks: {
+    type: Number,
+    min: 0
+  },
+  reviewRemarks: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Remarks cannot exceed 500 characters']
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// A result can be disputed once
+revaluationRequestSchema.index({ result: 1 }, { unique: true });
+revaluationRequestSchema.index({ teacher: 1, status: 1, createdAt: 1 });
+revaluationRequestSchema.index({ student: 1, createdAt: -1 });
+
+revaluationRequestSchema.plugin(auditTrail, { entityType: 'revaluation' });
+
+export default mongoose.model('RevaluationRequest', revaluationRequestSchema);
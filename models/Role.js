@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+import { ALL_PERMISSIONS } from '../config/permissions.js';
+
+// Named bundle of permissions. System roles mirror User.role; custom roles
+// (e.g. "placement-officer") are assigned to users on top of their base role.
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_-]{2,40}$/, 'Role name may only contain letters, numbers, dashes and underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  permissions: [{
+    type: String,
+    enum: {
+      values: ALL_PERMISSIONS,
+      message: 'Unknown permission: {VALUE}'
+    }
+  }],
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+roleSchema.plugin(auditTrail, { entityType: 'role' });
+
+export default mongoose.model('Role', roleSchema);
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+
+// Institute-wide security settings, stored as a single document
+const securitySettingsSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'global',
+    unique: true
+  },
+  // Roles that must use two-factor authentication to sign in
+  twoFactorRequiredRoles: [{
+    type: String,
+    enum: {
+      values: ['teacher', 'admin'],
+      message: 'Two-factor authentication can only be required for teacher or admin roles'
+    }
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+securitySettingsSchema.statics.getSettings = async function() {
+  return this.findOneAndUpdate(
+    { key: 'global' },
+    { $setOnInsert: { key: 'global' } },
+    { upsert: true, new: true }
+  );
+};
+
+securitySettingsSchema.plugin(auditTrail, { entityType: 'settings' });
+
+export default mongoose.model('SecuritySettings', securitySettingsSchema);
@@ -0,0 +1,72 @@
+import mongoose from 'mongoose';
+
+// One document per signed-in device. The refresh token rotates on every use;
+// access tokens carry the session id so revoking the session kills them too.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hash of the token that was rotated out, kept to detect replay of a stolen token
+  previousRefreshTokenHash: {
+    type: String,
+    index: true,
+    sparse: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 300
+  },
+  ip: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB purge sessions once the refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isValid = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+sessionSchema.methods.revoke = async function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Revoke every active session of a user, optionally keeping one (the caller's)
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return this.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+export default mongoose.model('Session', sessionSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
 
 const subjectSchema = new mongoose.Schema({
   name: {
@@ -60,4 +61,6 @@ subjectSchema.pre('save', function(next) {
   next();
 });
 
+subjectSchema.plugin(auditTrail, { entityType: 'subject' });
+
 export default mongoose.model('Subject', subjectSchema);
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+
+// A subject as taught in a particular term, with the teachers taking it that term
+const subjectOfferingSchema = new mongoose.Schema({
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subject',
+    required: [true, 'Subject is required']
+  },
+  term: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicTerm',
+    required: [true, 'Term is required']
+  },
+  teachers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+subjectOfferingSchema.index({ term: 1, subject: 1 }, { unique: true });
+
+subjectOfferingSchema.plugin(auditTrail, {
+  entityType: 'offering',
+  metadata: ['term', 'subject']
+});
+
+export default mongoose.model('SubjectOffering', subjectOfferingSchema);
@@ -1,6 +1,7 @@
 // models/Test.js - More flexible subject handling
 
 import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
 
 const testSchema = new mongoose.Schema({
   title: {
@@ -21,6 +22,17 @@ const testSchema = new mongoose.Schema({
       message: 'Test type must be midterm, final, supplementary, or practical'
     }
   },
+  // Academic term the test is held in (the active term when created)
+  term: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicTerm'
+  },
+  // Semester of study (1-8) the test belongs to; final tests count towards its SGPA
+  semester: {
+    type: Number,
+    min: [1, 'Semester must be between 1 and 8'],
+    max: [8, 'Semester must be between 1 and 8']
+  },
   testDate: {
     type: Date,
     required: [true, 'Test date is required']
@@ -35,6 +47,47 @@ const testSchema = new mongoose.Schema({
     min: [30, 'Duration must be at least 30 minutes'],
     max: [480, 'Duration cannot exceed 8 hours']
   },
+  // Offline tests are written in a venue and marked by hand; online tests are
+  // taken in the app from a question paper and graded automatically
+  mode: {
+    type: String,
+    enum: {
+      values: ['offline', 'online'],
+      message: 'Mode must be offline or online'
+    },
+    default: 'offline'
+  },
+  // Question paper of an online test (marks per question; they add up to maxMarks).
+  // With paper rules it is the pool each student's paper is drawn from.
+  questions: [{
+    _id: false,
+    question: { type: mongoose.Schema.Types.ObjectId, ref: 'Question', required: true },
+    marks: { type: Number, required: true, min: 0.5 }
+  }],
+  // Each rule draws `count` questions of a topic and/or difficulty from the pool
+  paperRules: [{
+    _id: false,
+    topic: { type: String, trim: true },
+    difficulty: { type: String, enum: ['easy', 'medium', 'hard'] },
+    count: { type: Number, required: true, min: 1 },
+    marks: { type: Number, required: true, min: 0.5 }
+  }],
+  // Shuffle the paper's questions and the options of each question per student
+  shuffleQuestions: {
+    type: Boolean,
+    default: false
+  },
+  shuffleOptions: {
+    type: Boolean,
+    default: false
+  },
+  // Attempts a student may make at an online test; the best one counts
+  maxAttempts: {
+    type: Number,
+    default: 1,
+    min: [1, 'Maximum attempts must be at least 1'],
+    max: [10, 'Maximum attempts cannot exceed 10']
+  },
   venue: {
     type: String,
     required: [true, 'Venue is required'],
@@ -64,6 +117,37 @@ const testSchema = new mongoose.Schema({
     maxlength: [1000, 'Syllabus coverage cannot exceed 1000 characters'],
     default: ''
   },
+  // Result lifecycle: marks are entered in draft (or after a withdrawal), submitted
+  // for review, optionally moderated, and only visible to students once published
+  resultStatus: {
+    type: String,
+    enum: {
+      values: ['draft', 'submitted', 'moderated', 'published', 'withdrawn'],
+      message: 'Result status must be draft, submitted, moderated, published, or withdrawn'
+    },
+    default: 'draft'
+  },
+  // When the results were last published; starts the re-evaluation window
+  publishedAt: {
+    type: Date
+  },
+  resultHistory: [{
+    _id: false,
+    status: String,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now },
+    note: { type: String, trim: true, maxlength: 500 }
+  }],
+  // Last moderation applied to the marks of this test
+  moderation: {
+    mode: { type: String, enum: ['grace', 'scale'] },
+    graceMarks: Number,
+    onlyToPass: Boolean,
+    factor: Number,
+    affected: Number,
+    moderatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    moderatedAt: Date
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -77,6 +161,9 @@ const testSchema = new mongoose.Schema({
   timestamps: true
 });
 
+testSchema.index({ term: 1, testDate: -1 });
+testSchema.index({ resultStatus: 1 });
+
 // Pre-save validation
 testSchema.pre('save', function(next) {
   if (this.passingMarks >= this.maxMarks) {
@@ -88,4 +175,6 @@ testSchema.pre('save', function(next) {
   }
 });
 
+testSchema.plugin(auditTrail, { entityType: 'test', ignore: ['resultHistory'] });
+
 export default mongoose.model('Test', testSchema);
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
+import { gradeResult, getGradingSchemeForTest } from '../utils/grading.js';
 
 const testResultSchema = new mongoose.Schema({
   student: {
@@ -11,9 +13,20 @@ const testResultSchema = new mongoose.Schema({
     ref: 'Test',
     required: true
   },
+  // Absent, exempt and malpractice entries carry no marks
+  markStatus: {
+    type: String,
+    enum: ['graded', 'absent', 'exempt', 'malpractice'],
+    default: 'graded'
+  },
   marksObtained: {
     type: Number,
-    required: true,
+    required: function() { return this.markStatus === 'graded'; },
+    min: 0
+  },
+  // Marks as entered, kept when moderation changed marksObtained
+  originalMarks: {
+    type: Number,
     min: 0
   },
   isPassed: {
@@ -21,6 +34,18 @@ const testResultSchema = new mongoose.Schema({
     required: true,
     default: false
   },
+  // Derived from the marks by the grading scheme of the test's subject
+  percentage: {
+    type: Number,
+    min: 0
+  },
+  grade: {
+    type: String
+  },
+  gradePoint: {
+    type: Number,
+    min: 0
+  },
   submittedAt: {
     type: Date,
     default: Date.now
@@ -29,12 +54,53 @@ const testResultSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  gradedAt: {
+    type: Date
+  },
   remarks: {
     type: String,
     maxLength: 500
-  }
+  },
+  // Online tests: the attempt these marks come from
+  attempt: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attempt'
+  },
+  // Answers of an online test with the marks each one earned
+  responses: [{
+    _id: false,
+    question: { type: mongoose.Schema.Types.ObjectId, ref: 'Question' },
+    answer: mongoose.Schema.Types.Mixed,
+    isCorrect: Boolean,
+    marksAwarded: Number,
+    maxMarks: Number
+  }],
+  // Every version of the marks, oldest first (see utils/markHistory.js)
+  history: [{
+    _id: false,
+    version: Number,
+    markStatus: String,
+    marksObtained: Number,
+    remarks: String,
+    previousStatus: String,
+    previousMarks: Number,
+    previousRemarks: String,
+    reason: String,
+    source: {
+      type: String,
+      enum: ['legacy', 'entry', 'import', 'online', 'moderation', 'revaluation', 'rollback']
+    },
+    revaluation: { type: mongoose.Schema.Types.ObjectId, ref: 'RevaluationRequest' },
+    attempt: { type: mongoose.Schema.Types.ObjectId, ref: 'Attempt' },
+    rolledBackTo: Number,
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedAt: { type: Date, default: Date.now }
+  }]
 }, {
-  timestamps: true
+  timestamps: true,
+  // Version numbers are taken from the history as loaded: a save that adds to it
+  // fails (VersionError) when the history has changed since
+  optimisticConcurrency: ['history']
 });
 
 // Indexes for better query performance
@@ -42,21 +108,14 @@ testResultSchema.index({ student: 1, test: 1 }, { unique: true }); // Prevent du
 testResultSchema.index({ student: 1, createdAt: -1 });
 testResultSchema.index({ test: 1 });
 
-// Virtual for percentage calculation
-testResultSchema.virtual('percentage').get(function() {
-  if (this.test && this.test.maxMarks) {
-    return (this.marksObtained / this.test.maxMarks) * 100;
-  }
-  return 0;
-});
-
-// Pre-save middleware to calculate pass/fail status
+// Pre-save middleware to calculate percentage, grade and pass/fail status
 testResultSchema.pre('save', async function(next) {
-  if (this.isModified('marksObtained') || this.isNew) {
+  if (this.isModified('marksObtained') || this.isModified('markStatus') || this.isNew) {
     try {
       const test = await mongoose.model('Test').findById(this.test);
       if (test) {
-        this.isPassed = this.marksObtained >= test.passingMarks;
+        const scheme = await getGradingSchemeForTest(test);
+        Object.assign(this, gradeResult(test, this.marksObtained, scheme, this.markStatus));
       }
     } catch (error) {
       console.error('Error in TestResult pre-save:', error);
@@ -68,7 +127,8 @@ testResultSchema.pre('save', async function(next) {
 // Static method to get student performance summary
 testResultSchema.statics.getStudentPerformanceSummary = async function(studentId) {
   const results = await this.aggregate([
-    { $match: { student: new mongoose.Types.ObjectId(studentId) } },
+    // Exempt entries count neither as marks nor as attempts
+    { $match: { student: new mongoose.Types.ObjectId(studentId), markStatus: { $ne: 'exempt' } } },
     {
       $lookup: {
         from: 'tests',
@@ -102,9 +162,11 @@ testResultSchema.statics.getStudentPerformanceSummary = async function(studentId
 };
 
 // Static method to get subject-wise performance
-testResultSchema.statics.getSubjectWisePerformance = async function(studentId) {
+// (publishedOnly leaves out tests whose results are not yet published)
+testResultSchema.statics.getSubjectWisePerformance = async function(studentId, { publishedOnly = false } = {}) {
   return await this.aggregate([
-    { $match: { student: new mongoose.Types.ObjectId(studentId) } },
+    // Exempt entries count neither as marks nor as attempts
+    { $match: { student: new mongoose.Types.ObjectId(studentId), markStatus: { $ne: 'exempt' } } },
     {
       $lookup: {
         from: 'tests',
@@ -114,11 +176,26 @@ testResultSchema.statics.getSubjectWisePerformance = async function(studentId) {
       }
     },
     { $unwind: '$testData' },
+    ...(publishedOnly ? [{ $match: { 'testData.resultStatus': 'published' } }] : []),
     {
+      // Test.subject holds an ObjectId, its string form, or a subject code/name
       $lookup: {
         from: 'subjects',
-        localField: 'testData.subject',
-        foreignField: '_id',
+        let: { subjectRef: '$testData.subject' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $or: [
+                  { $eq: [{ $toString: '$_id' }, { $toString: '$$subjectRef' }] },
+                  { $eq: ['$code', { $toUpper: { $toString: '$$subjectRef' } }] },
+                  { $eq: ['$name', '$$subjectRef'] }
+                ]
+              }
+            }
+          },
+          { $limit: 1 }
+        ],
         as: 'subjectData'
       }
     },
@@ -165,6 +242,12 @@ testResultSchema.statics.getSubjectWisePerformance = async function(studentId) {
   ]);
 };
 
+testResultSchema.plugin(auditTrail, {
+  entityType: 'result',
+  ignore: ['history', 'responses'],
+  metadata: ['test', 'student']
+});
+
 const TestResult = mongoose.model('TestResult', testResultSchema);
 
 export default TestResult;
\ No newline at end of file
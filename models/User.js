@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
+import { auditTrail } from '../utils/audit.js';
 import bcrypt from 'bcryptjs';
+import { generateOpaqueToken } from '../utils/tokens.js';
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -58,6 +60,19 @@ const userSchema = new mongoose.Schema({
     min: [1, 'Year must be between 1 and 4'],
     max: [4, 'Year must be between 1 and 4']
   },
+  // Set when a final-year student is graduated by closing a term
+  graduatedAt: {
+    type: Date
+  },
+  graduationTerm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicTerm'
+  },
+  // Term whose closing last moved the student up a year (a student moves up once per term)
+  promotionTerm: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicTerm'
+  },
   // Common fields
   phone: {
     type: String,
@@ -71,9 +86,78 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Extra roles granting permissions on top of the base role
+  roles: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Role'
+  }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  },
+  // Student import that created the account, so an interrupted import can be undone
+  importJob: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ImportJob',
+    index: true,
+    sparse: true
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Email verification (only the hash of the emailed token is stored)
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerificationTokenHash: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  // TOTP two-factor authentication (teacher and admin accounts)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated during enrollment, promoted to `secret` once a code is confirmed
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
+  // Password reset (only the hash of the emailed token is stored)
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true
@@ -88,6 +172,10 @@ userSchema.pre('save', async function(next) {
     // Hash password with cost of 12
     const hashedPassword = await bcrypt.hash(this.password, 12);
     this.password = hashedPassword;
+    // Backdate by a second so a token issued right after the change stays valid
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -100,6 +188,7 @@ userSchema.pre('findOneAndUpdate', async function(next) {
   if (update.password) {
     try {
       update.password = await bcrypt.hash(update.password, 12);
+      update.passwordChangedAt = new Date(Date.now() - 1000);
     } catch (error) {
       return next(error);
     }
@@ -112,11 +201,56 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// True if the password was changed after the given JWT `iat` (seconds)
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt || !tokenIssuedAt) return false;
+  return tokenIssuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
+// Generate a single-use reset token; caller is responsible for saving the user
+userSchema.methods.createPasswordResetToken = function(expireMinutes) {
+  const { token, hash } = generateOpaqueToken(32);
+  const minutes = expireMinutes || parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+
+  this.passwordResetTokenHash = hash;
+  this.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+  return token;
+};
+
+// Generate an email verification token; caller is responsible for saving the user
+userSchema.methods.createEmailVerificationToken = function() {
+  const { token, hash } = generateOpaqueToken(32);
+  const hours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+  this.emailVerificationTokenHash = hash;
+  this.emailVerificationExpires = new Date(Date.now() + hours * 60 * 60 * 1000);
+  return token;
+};
+
+userSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationTokenHash = undefined;
+  this.emailVerificationExpires = undefined;
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordResetTokenHash;
+  delete user.passwordResetExpires;
+  delete user.emailVerificationTokenHash;
+  delete user.emailVerificationExpires;
+  if (user.twoFactor) {
+    delete user.twoFactor.secret;
+    delete user.twoFactor.pendingSecret;
+    delete user.twoFactor.recoveryCodes;
+    delete user.twoFactor.lastUsedStep;
+  }
   return user;
 };
 
+userSchema.plugin(auditTrail, { entityType: 'user' });
+
 export default mongoose.model('User', userSchema);
@@ -1,23 +1,54 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import {
   getAllUsers,
   getAllTeachers,
   getAllSubjects,
   createTeacher,
   createSubject,
+  createInvitation,
+  getInvitations,
   updateUser,
   deleteUser,
+  unlockUser,
+  getSecuritySettings,
+  updateSecuritySettings,
   getDashboardStats
 } from '../controllers/adminController.js';
-import { authenticate, adminOnly } from '../middleware/auth.js';
+import {
+  listPermissions,
+  getRoles,
+  createRole,
+  updateRole,
+  deleteRole,
+  assignUserRoles
+} from '../controllers/roleController.js';
+import {
+  getGradingSchemes,
+  createGradingScheme,
+  updateGradingScheme,
+  deleteGradingScheme
+} from '../controllers/gradingSchemeController.js';
+import { getAuditLog } from '../controllers/auditController.js';
+import { getRankings } from '../controllers/rankingController.js';
+import {
+  createTerm,
+  updateTerm,
+  closeTerm,
+  getTermOfferings,
+  createOffering,
+  deleteOffering
+} from '../controllers/termController.js';
+import { importStudents, getImportJob } from '../controllers/studentImportController.js';
+import { ALL_PERMISSIONS } from '../config/permissions.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 import { handleValidationErrors } from '../middleware/validation.js';
+import { uploadSpreadsheet } from '../middleware/spreadsheetUpload.js';
 
 const router = express.Router();
 
-// Apply authentication and admin authorization to all routes
+// Apply authentication to all routes; each route checks its own permission
 router.use(authenticate);
-router.use(adminOnly);
 
 // Validation middleware
 const teacherValidation = [
@@ -67,20 +98,271 @@ const subjectValidation = [
   handleValidationErrors
 ];
 
+const invitationValidation = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  body('role')
+    .isIn(['teacher', 'admin'])
+    .withMessage('Role must be teacher or admin'),
+  body('subjects')
+    .optional()
+    .isArray()
+    .withMessage('Subjects must be an array'),
+  handleValidationErrors
+];
+
+const securitySettingsValidation = [
+  body('twoFactorRequiredRoles')
+    .optional()
+    .isArray()
+    .withMessage('twoFactorRequiredRoles must be an array'),
+  body('twoFactorRequiredRoles.*')
+    .isIn(['teacher', 'admin'])
+    .withMessage('Two-factor authentication can only be required for teacher or admin roles'),
+  handleValidationErrors
+];
+
+const roleValidation = [
+  body('name')
+    .trim()
+    .matches(/^[a-zA-Z0-9_-]{2,40}$/)
+    .withMessage('Role name must be 2-40 letters, numbers, dashes or underscores'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(ALL_PERMISSIONS)
+    .withMessage('Unknown permission'),
+  handleValidationErrors
+];
+
+const roleUpdateValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .matches(/^[a-zA-Z0-9_-]{2,40}$/)
+    .withMessage('Role name must be 2-40 letters, numbers, dashes or underscores'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(ALL_PERMISSIONS)
+    .withMessage('Unknown permission'),
+  handleValidationErrors
+];
+
+const auditQueryValidation = [
+  query('actor')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Actor must be a user ID or email'),
+  query('entityType')
+    .optional()
+    .isIn(['user', 'subject', 'test', 'result', 'announcement', 'invitation', 'role', 'settings', 'gradingScheme', 'term', 'enrollment', 'revaluation', 'question', 'attempt', 'offering'])
+    .withMessage('Invalid entity type'),
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be in ISO 8601 format'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+  query('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('Format must be json or csv'),
+  handleValidationErrors
+];
+
+const importJobValidation = [
+  param('jobId')
+    .isMongoId()
+    .withMessage('Invalid import job ID'),
+  handleValidationErrors
+];
+
+const gradingSchemeValidation = (isUpdate = false) => {
+  const optionalOnUpdate = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    optionalOnUpdate(body('name'))
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Scheme name must be between 2 and 100 characters'),
+    optionalOnUpdate(body('scope'))
+      .isIn(['default', 'department', 'subject'])
+      .withMessage('Scope must be default, department or subject'),
+    body('department')
+      .optional()
+      .trim()
+      .isLength({ min: 2 })
+      .withMessage('Department must be at least 2 characters'),
+    body('subject')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid subject ID'),
+    optionalOnUpdate(body('bands'))
+      .isArray({ min: 1 })
+      .withMessage('Bands must be a non-empty array'),
+    body('bands.*.grade')
+      .trim()
+      .isLength({ min: 1, max: 5 })
+      .withMessage('Each band needs a grade of 1-5 characters'),
+    body('bands.*.minPercentage')
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Band minimum percentage must be between 0 and 100'),
+    body('bands.*.gradePoint')
+      .isFloat({ min: 0, max: 10 })
+      .withMessage('Band grade point must be between 0 and 10'),
+    body('passRule.mode')
+      .optional()
+      .isIn(['passingMarks', 'percentage', 'both'])
+      .withMessage('Pass rule must be passingMarks, percentage or both'),
+    body('passRule.minPercentage')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Pass percentage must be between 0 and 100'),
+    handleValidationErrors
+  ];
+};
+
+const rankingsValidation = [
+  query('year')
+    .optional()
+    .isInt({ min: 1, max: 4 })
+    .withMessage('Year must be between 1 and 4'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  handleValidationErrors
+];
+
+const termValidation = (isUpdate = false) => {
+  const optionalOnUpdate = (chain) => (isUpdate ? chain.optional() : chain);
+  return [
+    optionalOnUpdate(body('name'))
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Term name must be between 2 and 100 characters'),
+    optionalOnUpdate(body('startDate'))
+      .isISO8601()
+      .withMessage('Start date must be a valid date'),
+    optionalOnUpdate(body('endDate'))
+      .isISO8601()
+      .withMessage('End date must be a valid date'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false'),
+    body('endsAcademicYear')
+      .optional()
+      .isBoolean()
+      .withMessage('endsAcademicYear must be true or false')
+      .toBoolean(),
+    handleValidationErrors
+  ];
+};
+
+const gradingSchemeIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid grading scheme ID'),
+  handleValidationErrors
+];
+
+const termIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid term ID'),
+  handleValidationErrors
+];
+
+const closeTermValidation = [
+  body('maxBacklogs')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('maxBacklogs must be 0 or more'),
+  handleValidationErrors
+];
+
+const offeringValidation = [
+  body('subject')
+    .isMongoId()
+    .withMessage('Invalid subject ID'),
+  body('teachers')
+    .optional()
+    .isArray()
+    .withMessage('Teachers must be an array'),
+  body('teachers.*')
+    .isMongoId()
+    .withMessage('Invalid teacher ID'),
+  handleValidationErrors
+];
+
+const userRolesValidation = [
+  body('roles')
+    .isArray()
+    .withMessage('Roles must be an array'),
+  body('roles.*')
+    .isMongoId()
+    .withMessage('Invalid role ID'),
+  handleValidationErrors
+];
+
 // GET ROUTES
-router.get('/users', getAllUsers);
-router.get('/teachers', getAllTeachers); // For TeacherManagement.jsx
-router.get('/subjects', getAllSubjects); // For SubjectManagement.jsx  
-router.get('/dashboard', getDashboardStats);
+router.get('/users', requirePermission('users:read'), getAllUsers);
+router.get('/teachers', requirePermission('users:read'), getAllTeachers); // For TeacherManagement.jsx
+router.get('/subjects', requirePermission('subjects:manage'), getAllSubjects); // For SubjectManagement.jsx  
+router.get('/dashboard', requirePermission('dashboard:admin'), getDashboardStats);
+router.get('/invitations', requirePermission('users:manage'), getInvitations);
+router.get('/security', requirePermission('security:manage'), getSecuritySettings);
+router.get('/permissions', requirePermission('roles:manage'), listPermissions);
+router.get('/roles', requirePermission('roles:manage'), getRoles);
+router.get('/audit', requirePermission('audit:read'), auditQueryValidation, getAuditLog);
+router.get('/grading-schemes', requirePermission('grading:manage'), getGradingSchemes);
+router.get('/rankings', requirePermission('results:read'), rankingsValidation, getRankings);
+router.get('/terms/:id/offerings', requirePermission('terms:manage'), termIdValidation, getTermOfferings);
+router.get('/students/import/:jobId', requirePermission('users:manage'), importJobValidation, getImportJob);
 
 // POST ROUTES (Create)
-router.post('/teachers', teacherValidation, createTeacher);
-router.post('/subjects', subjectValidation, createSubject);
+router.post('/teachers', requirePermission('users:manage'), teacherValidation, createTeacher);
+router.post('/subjects', requirePermission('subjects:manage'), subjectValidation, createSubject);
+router.post('/invitations', requirePermission('users:manage'), invitationValidation, createInvitation);
+router.post('/users/:id/unlock', requirePermission('users:manage'), unlockUser);
+router.post('/roles', requirePermission('roles:manage'), roleValidation, createRole);
+router.post('/students/import', requirePermission('users:manage'), uploadSpreadsheet('file'), importStudents);
+router.post('/grading-schemes', requirePermission('grading:manage'), gradingSchemeValidation(), createGradingScheme);
+router.post('/terms', requirePermission('terms:manage'), termValidation(), createTerm);
+router.post('/terms/:id/close', requirePermission('terms:manage'), termIdValidation, closeTermValidation, closeTerm);
+router.post('/terms/:id/offerings', requirePermission('terms:manage'), termIdValidation, offeringValidation, createOffering);
 
 // PUT ROUTES (Update)
-router.put('/users/:id', updateUser);
+router.put('/users/:id', requirePermission('users:manage'), updateUser);
+router.put('/users/:id/roles', requirePermission('roles:manage'), userRolesValidation, assignUserRoles);
+router.put('/security', requirePermission('security:manage'), securitySettingsValidation, updateSecuritySettings);
+router.put('/roles/:id', requirePermission('roles:manage'), roleUpdateValidation, updateRole);
+router.put('/grading-schemes/:id', requirePermission('grading:manage'), gradingSchemeIdValidation, gradingSchemeValidation(true), updateGradingScheme);
+router.put('/terms/:id', requirePermission('terms:manage'), termIdValidation, termValidation(true), updateTerm);
 
 // DELETE ROUTES
-router.delete('/users/:id', deleteUser);
+router.delete('/users/:id', requirePermission('users:manage'), deleteUser);
+router.delete('/roles/:id', requirePermission('roles:manage'), deleteRole);
+router.delete('/grading-schemes/:id', requirePermission('grading:manage'), gradingSchemeIdValidation, deleteGradingScheme);
+router.delete('/terms/:id/offerings/:offeringId', requirePermission('terms:manage'), termIdValidation, deleteOffering);
 
 export default router;
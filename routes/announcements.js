@@ -1,30 +1,30 @@
 import express from 'express';
 import { createAnnouncement, listAnnouncements, updateAnnouncement, deleteAnnouncement, applyToAnnouncement, listApplicants, getAnnouncement, listAnnouncementsWithApplicants, getAllJobsAndApplicants, uploadResume, listJobApplicationsForAnnouncement } from '../controllers/announcementsController.js';
-import { authenticate, adminOnly, studentOnly } from '../middleware/auth.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
 // Public listing (students can view)
 router.get('/', listAnnouncements);
 
-// Admin-only create/update/delete
-router.post('/', authenticate, adminOnly, createAnnouncement);
-router.put('/:id', authenticate, adminOnly, updateAnnouncement);
-router.delete('/:id', authenticate, adminOnly, deleteAnnouncement);
+// Create/update/delete
+router.post('/', authenticate, requirePermission('announcements:manage'), createAnnouncement);
+router.put('/:id', authenticate, requirePermission('announcements:manage'), updateAnnouncement);
+router.delete('/:id', authenticate, requirePermission('announcements:manage'), deleteAnnouncement);
 
-// Admin: list all announcements with applicants (specific before :id)
-router.get('/applicants/all', authenticate, adminOnly, listAnnouncementsWithApplicants);
-// Admin: get all jobs and applicants in one view (specific before :id)
-router.get('/jobs/all-applicants', authenticate, adminOnly, getAllJobsAndApplicants);
-// Admin: list job applications (with resume URLs) for specific announcement
-router.get('/:id/applications', authenticate, adminOnly, listJobApplicationsForAnnouncement);
+// List all announcements with applicants (specific before :id)
+router.get('/applicants/all', authenticate, requirePermission('applications:read'), listAnnouncementsWithApplicants);
+// Get all jobs and applicants in one view (specific before :id)
+router.get('/jobs/all-applicants', authenticate, requirePermission('applications:read'), getAllJobsAndApplicants);
+// List job applications (with resume URLs) for specific announcement
+router.get('/:id/applications', authenticate, requirePermission('resumes:read'), listJobApplicationsForAnnouncement);
 
 // Students can apply to job announcements (specific before :id)
-router.post('/:id/apply', authenticate, studentOnly, applyToAnnouncement);
+router.post('/:id/apply', authenticate, requirePermission('jobs:apply'), applyToAnnouncement);
 // Students can upload resume for a job announcement
-router.post('/:id/upload-resume', authenticate, studentOnly, uploadResume);
-// Admin can list applicants for a specific announcement (specific before :id)
-router.get('/:id/applicants', authenticate, adminOnly, listApplicants);
+router.post('/:id/upload-resume', authenticate, requirePermission('jobs:apply'), uploadResume);
+// List applicants for a specific announcement (specific before :id)
+router.get('/:id/applicants', authenticate, requirePermission('applications:read'), listApplicants);
 
 // Get single announcement (generic last)
 router.get('/:id', getAnnouncement);
@@ -6,10 +6,36 @@ import {
   getProfile,
   updateProfile,
   verifyToken,
+  refresh,
+  logout,
+  logoutAll,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  acceptInvite,
+  verifyEmail,
+  resendVerificationEmail,
   loginValidation,
-  registerValidation
+  registerValidation,
+  refreshValidation,
+  forgotPasswordValidation,
+  resetPasswordValidation,
+  changePasswordValidation,
+  acceptInviteValidation,
+  verifyEmailValidation
 } from '../controllers/authController.js';
-import { authenticate } from '../middleware/auth.js';
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactorLogin,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  twoFactorCodeValidation,
+  twoFactorVerifyValidation,
+  twoFactorDisableValidation
+} from '../controllers/twoFactorController.js';
+import { authenticate, authenticateOrTwoFactorSetup } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -25,10 +51,28 @@ router.get('/test', (req, res) => {
 // Public routes
 router.post('/login', loginValidation, login);
 router.post('/register', registerValidation, register);
+router.post('/accept-invite', acceptInviteValidation, acceptInvite);
+router.post('/refresh', refreshValidation, refresh);
+router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
+router.post('/reset-password', resetPasswordValidation, resetPassword);
+router.post('/verify-email', verifyEmailValidation, verifyEmail);
 
 // Protected routes
 router.get('/profile', authenticate, getProfile);
 router.put('/profile', authenticate, updateProfile);
+router.put('/password', authenticate, changePasswordValidation, changePassword);
 router.get('/verify', authenticate, verifyToken);
+router.post('/verify-email/resend', authenticate, resendVerificationEmail);
+
+// Two-factor authentication
+router.post('/2fa/verify', twoFactorVerifyValidation, verifyTwoFactorLogin);
+router.get('/2fa', authenticate, getTwoFactorStatus);
+router.post('/2fa/setup', authenticateOrTwoFactorSetup, setupTwoFactor);
+router.post('/2fa/enable', authenticateOrTwoFactorSetup, twoFactorCodeValidation, enableTwoFactor);
+router.post('/2fa/disable', authenticate, twoFactorDisableValidation, disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, twoFactorCodeValidation, regenerateRecoveryCodes);
+
+router.post('/logout', authenticate, logout);
+router.post('/logout-all', authenticate, logoutAll);
 
 export default router;
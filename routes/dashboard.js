@@ -3,7 +3,11 @@ import User from '../models/User.js';
 import Test from '../models/Test.js';
 import Subject from '../models/Subject.js';
 import TestResult from '../models/TestResult.js';
-import { authenticate, adminOnly, studentOrTeacherAdmin, teacherOnly } from '../middleware/auth.js';
+import SubjectOffering from '../models/SubjectOffering.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { resolveTermQuery, termTestFilter, termSummary } from '../utils/terms.js';
+import { getStudentSubjectIds } from '../utils/enrollment.js';
+import { publishedResultFilter } from '../utils/resultWorkflow.js';
 
 const router = express.Router();
 
@@ -11,29 +15,33 @@ const router = express.Router();
 router.use(authenticate);
 
 
-router.get('/student', studentOrTeacherAdmin, async (req, res) => {
+router.get('/student', requirePermission('dashboard:student'), async (req, res) => {
   try {
     const studentId = req.user.id;
 
+    // Defaults to the active term; ?term=all shows every term
+    const { term, status, message } = await resolveTermQuery(req.query.term);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
     const student = await User.findById(studentId)
       .select('-password')
       .populate('subjects', 'name code');
 
-    const subjects = await Subject.find({
-      isActive: true,
-      $or: [
-        { department: student.department },
-        { isGlobal: true }
-      ]
-    }).populate('teachers', 'name employeeId');
+    // Enrolled subjects (department subjects for students never enrolled)
+    const { subjectIds } = await getStudentSubjectIds(student, term);
+    const subjects = await Subject.find({ _id: { $in: subjectIds }, isActive: true })
+      .populate('teachers', 'name employeeId');
 
-    const subjectIds = subjects.map(s => s._id);
     const tests = await Test.find({
-      subject: { $in: subjectIds },
-      isActive: true
+      subject: { $in: [...subjectIds, ...subjectIds.map(String)] },
+      isActive: true,
+      ...termTestFilter(term)
     }).populate('subject', 'name code').sort({ testDate: -1 });
 
-    const testResults = await TestResult.find({ student: studentId })
+    // Only published results are shown to students
+    const testResults = await TestResult.find({ student: studentId, ...(await publishedResultFilter(term)) })
       .populate({
         path: 'test',
         select: 'title maxMarks passingMarks subject',
@@ -41,10 +49,12 @@ router.get('/student', studentOrTeacherAdmin, async (req, res) => {
       })
       .sort({ createdAt: -1 });
 
-    const totalTests = testResults.length;
-    const passedTests = testResults.filter(r => r.isPassed).length;
+    // Exempt entries carry no marks and are left out of every count and average
+    const countedResults = testResults.filter(r => r.markStatus !== 'exempt');
+    const totalTests = countedResults.length;
+    const passedTests = countedResults.filter(r => r.isPassed).length;
     const averagePercentage = totalTests > 0
-      ? testResults.reduce((sum, r) => {
+      ? countedResults.reduce((sum, r) => {
           const max = r?.test?.maxMarks || 0;
           const pct = max > 0 ? (r.marksObtained / max) * 100 : 0;
           return sum + pct;
@@ -54,7 +64,7 @@ router.get('/student', studentOrTeacherAdmin, async (req, res) => {
     const stats = {
       totalSubjects: subjects.length,
       totalTests: tests.length,
-      completedTests: testResults.length,
+      completedTests: totalTests,
       passedTests,
       averagePercentage: parseFloat(averagePercentage.toFixed(1)),
       upcomingTests: tests.filter(t => new Date(t.testDate) > new Date()).length
@@ -62,7 +72,7 @@ router.get('/student', studentOrTeacherAdmin, async (req, res) => {
 
     // Build subject-wise performance stats and graph data
     const subjectAggregation = {};
-    testResults.forEach((r) => {
+    countedResults.forEach((r) => {
       const subjectName = r?.test?.subject?.name || 'Unknown';
       if (!subjectAggregation[subjectName]) {
         subjectAggregation[subjectName] = {
@@ -92,7 +102,7 @@ router.get('/student', studentOrTeacherAdmin, async (req, res) => {
     });
 
    
-    const graphData = testResults
+    const graphData = countedResults
       .slice()
       .reverse()
       .map((r) => ({
@@ -117,6 +127,7 @@ router.get('/student', studentOrTeacherAdmin, async (req, res) => {
           department: student.department,
           year: student.year
         },
+        term: termSummary(term),
         stats,
         subjects,
         subjectStats,
@@ -136,18 +147,29 @@ router.get('/student', studentOrTeacherAdmin, async (req, res) => {
   }
 });
 
-// Teacher Dashboard - teacher only
-router.get('/teacher', teacherOnly, async (req, res) => {
+// Teacher Dashboard
+router.get('/teacher', requirePermission('dashboard:teacher'), async (req, res) => {
   try {
     const teacherId = req.user.id;
 
+    const { term, status, message } = await resolveTermQuery(req.query.term);
+    if (status) {
+      return res.status(status).json({ success: false, message });
+    }
+
     const teacher = await User.findById(teacherId)
       .select('-password')
       .populate('subjects', 'name code');
 
-    const subjects = await Subject.find({ teachers: teacherId, isActive: true });
+    // Subjects the teacher takes in the term, falling back to their standing assignments
+    const offerings = term
+      ? await SubjectOffering.find({ term: term._id, teachers: teacherId, isActive: true }).select('subject')
+      : [];
+    const subjects = offerings.length > 0
+      ? await Subject.find({ _id: { $in: offerings.map(offering => offering.subject) }, isActive: true })
+      : await Subject.find({ teachers: teacherId, isActive: true });
 
-    const tests = await Test.find({ createdBy: teacherId, isActive: true })
+    const tests = await Test.find({ createdBy: teacherId, isActive: true, ...termTestFilter(term) })
       .populate('subject', 'name code')
       .sort({ testDate: -1 });
 
@@ -177,6 +199,7 @@ router.get('/teacher', teacherOnly, async (req, res) => {
           email: teacher.email,
           employeeId: teacher.employeeId
         },
+        term: termSummary(term),
         stats,
         subjects,
         recentTests: tests.slice(0, 5),
@@ -194,8 +217,8 @@ router.get('/teacher', teacherOnly, async (req, res) => {
   }
 });
 
-// Admin Dashboard - admin only
-router.get('/admin', adminOnly, async (req, res) => {
+// Admin Dashboard
+router.get('/admin', requirePermission('dashboard:admin'), async (req, res) => {
   try {
     const [studentCount, teacherCount, subjectCount, testCount] = await Promise.all([
       User.countDocuments({ role: 'student', isActive: true }),
@@ -216,6 +239,7 @@ router.get('/admin', adminOnly, async (req, res) => {
       .populate('createdBy', 'name');
 
     const performanceStats = await TestResult.aggregate([
+      { $match: { markStatus: { $ne: 'exempt' } } },
       {
         $group: {
           _id: '$grade',
@@ -0,0 +1,58 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import {
+  getOfferings,
+  getOfferingEnrollments,
+  enrollStudents,
+  dropEnrollment
+} from '../controllers/enrollmentController.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const enrollmentValidation = [
+  body(['students', 'rollNumbers'])
+    .optional()
+    .isArray({ max: 2000 })
+    .withMessage('students and rollNumbers must be arrays of at most 2000 entries'),
+  body('students.*')
+    .isMongoId()
+    .withMessage('Invalid student ID'),
+  body('rollNumbers.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Roll numbers must be non-empty strings'),
+  // Used in the student query, so anything but a plain string is rejected
+  body('department')
+    .optional()
+    .isString()
+    .withMessage('Department must be a string')
+    .trim()
+    .notEmpty()
+    .withMessage('Department cannot be empty'),
+  body('year')
+    .optional()
+    .isInt({ min: 1, max: 4 })
+    .withMessage('Year must be between 1 and 4')
+    .toInt(),
+  handleValidationErrors
+];
+
+const studentParamValidation = [
+  param('studentId')
+    .isMongoId()
+    .withMessage('Invalid student ID'),
+  handleValidationErrors
+];
+
+// Teachers manage the offerings they teach; institute scope manages all
+router.get('/', requirePermission('enrollments:manage'), getOfferings);
+router.get('/:id/enrollments', requirePermission('enrollments:manage'), getOfferingEnrollments);
+router.post('/:id/enrollments', requirePermission('enrollments:manage'), enrollmentValidation, enrollStudents);
+router.delete('/:id/enrollments/:studentId', requirePermission('enrollments:manage'), studentParamValidation, dropEnrollment);
+
+export default router;
@@ -0,0 +1,89 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import {
+  getQuestions,
+  getQuestionById,
+  createQuestion,
+  updateQuestion,
+  deleteQuestion
+} from '../controllers/questionController.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const questionValidation = (isUpdate) => {
+  const field = (name) => (isUpdate ? body(name).optional() : body(name));
+  return [
+    field('subject')
+      .isMongoId()
+      .withMessage('Invalid subject ID'),
+    field('topic')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Topic must be between 1 and 100 characters'),
+    body('difficulty')
+      .optional()
+      .isIn(['easy', 'medium', 'hard'])
+      .withMessage('Difficulty must be easy, medium, or hard'),
+    field('type')
+      .isIn(['mcq_single', 'mcq_multi', 'numeric', 'true_false'])
+      .withMessage('Type must be mcq_single, mcq_multi, numeric, or true_false'),
+    field('text')
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('Question text must be between 1 and 2000 characters'),
+    body('options')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('Options must be an array of at most 10 entries'),
+    body('numericAnswer')
+      .optional()
+      .isFloat()
+      .withMessage('Numeric answer must be a number'),
+    body('tolerance')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Tolerance must be a non-negative number'),
+    body('correctAnswer')
+      .optional()
+      .isBoolean()
+      .withMessage('Correct answer must be true or false'),
+    body('marks')
+      .optional()
+      .isFloat({ min: 0.5, max: 100 })
+      .withMessage('Marks must be between 0.5 and 100'),
+    body('tags')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Tags must be an array of at most 20 entries'),
+    handleValidationErrors
+  ];
+};
+
+const listValidation = [
+  query('subject')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid subject ID'),
+  query('difficulty')
+    .optional()
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('Difficulty must be easy, medium, or hard'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+  handleValidationErrors
+];
+
+// Teachers keep the questions of the subjects they teach; institute scope reaches all
+router.get('/', requirePermission('questions:manage'), listValidation, getQuestions);
+router.post('/', requirePermission('questions:manage'), questionValidation(false), createQuestion);
+router.get('/:id', requirePermission('questions:manage'), getQuestionById);
+router.put('/:id', requirePermission('questions:manage'), questionValidation(true), updateQuestion);
+router.delete('/:id', requirePermission('questions:manage'), deleteQuestion);
+
+export default router;
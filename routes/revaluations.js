@@ -0,0 +1,65 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import {
+  createRevaluationRequest,
+  getMyRevaluationRequests,
+  getRevaluationQueue,
+  acceptRevaluation,
+  rejectRevaluation
+} from '../controllers/revaluationController.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+const requestValidation = [
+  body('test')
+    .isMongoId()
+    .withMessage('Invalid test ID'),
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Reason must be between 10 and 1000 characters'),
+  handleValidationErrors
+];
+
+const queueValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'accepted', 'rejected', 'all'])
+    .withMessage('Status must be pending, accepted, rejected or all'),
+  handleValidationErrors
+];
+
+const acceptValidation = [
+  body('revisedMarks')
+    .isFloat({ min: 0 })
+    .withMessage('Revised marks must be a non-negative number'),
+  body('remarks')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Remarks cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+const rejectValidation = [
+  body('remarks')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Remarks explaining the rejection are required (at most 500 characters)'),
+  handleValidationErrors
+];
+
+// Students dispute their own published marks
+router.post('/', requirePermission('results:own'), requestValidation, createRevaluationRequest);
+router.get('/mine', requirePermission('results:own'), getMyRevaluationRequests);
+
+// Grading teachers work through their queue
+router.get('/', requirePermission('marks:write'), queueValidation, getRevaluationQueue);
+router.post('/:id/accept', requirePermission('marks:write'), acceptValidation, acceptRevaluation);
+router.post('/:id/reject', requirePermission('marks:write'), rejectValidation, rejectRevaluation);
+
+export default router;
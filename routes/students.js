@@ -1,29 +1,46 @@
 import express from 'express';
+import { param } from 'express-validator';
 import { getAllStudents, getStudentDashboard, getStudentResults, getStudentPerformance, getMyResults, getStudentResultsById, getMyTestResult, getResultsAnalysis } from '../controllers/studentController.js';
-import { authenticate, teacherOrAdmin, studentOnly, studentOrTeacherAdmin, adminOnly } from '../middleware/auth.js';
+import { getStudentReportCard } from '../controllers/reportCardController.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
 
 const router = express.Router();
 
+const studentIdValidation = [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid student ID'),
+  handleValidationErrors
+];
+
 router.use(authenticate);
 
-// Student-only routes (specific first)
-router.get('/dashboard', studentOnly, getStudentDashboard);
-router.get('/results', studentOnly, getStudentResults);
-router.get('/my-results', studentOnly, getMyResults);
-router.get('/results/analysis', studentOnly, getResultsAnalysis);
-router.get('/test/:testId/result', studentOnly, getMyTestResult);
+// Own results (specific first)
+router.get('/dashboard', requirePermission('dashboard:student'), getStudentDashboard);
+router.get('/results', requirePermission('results:own'), getStudentResults);
+router.get('/my-results', requirePermission('results:own'), getMyResults);
+router.get('/results/analysis', requirePermission('results:own'), getResultsAnalysis);
+router.get('/test/:testId/result', requirePermission('results:own'), getMyTestResult);
 
 // Student performance (own)
-router.get('/performance', studentOnly, (req, res, next) => {
+router.get('/performance', requirePermission('results:own'), (req, res, next) => {
   req.params.id = req.user.id;
   getStudentPerformance(req, res, next);
 });
 
-// Teacher/Admin-only routes
-router.get('/:studentId/results', teacherOrAdmin, getStudentResultsById);
-router.get('/:id/performance', teacherOrAdmin, getStudentPerformance);
+// Own report card
+router.get('/me/report-card', requirePermission('results:own'), (req, res, next) => {
+  req.params.id = req.user._id.toString();
+  getStudentReportCard(req, res, next);
+});
+
+// Results of any student
+router.get('/:studentId/results', requirePermission('results:read'), getStudentResultsById);
+router.get('/:id/performance', requirePermission('results:read'), getStudentPerformance);
+router.get('/:id/report-card', requirePermission('results:read'), studentIdValidation, getStudentReportCard);
 
-// Get all students (teacher or admin)
-router.get('/', studentOrTeacherAdmin, getAllStudents);
+// Get all students
+router.get('/', requirePermission('students:read'), getAllStudents);
 
 export default router;
@@ -0,0 +1,12 @@
+import express from 'express';
+import { getTerms } from '../controllers/termController.js';
+import { authenticate } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+// Any signed-in user can list terms (e.g. to pick one on a dashboard)
+router.get('/', getTerms);
+
+export default router;
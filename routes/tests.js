@@ -1,4 +1,5 @@
 import express from 'express';
+import { body, param } from 'express-validator';
 import {
   getAllTests,
   getTestById,
@@ -6,30 +7,163 @@ import {
   updateTest,
   deleteTest,
   getTestResults,
-  getTestStatistics
+  getTestStatistics,
+  exportTestResults
 } from '../controllers/testController.js';
-import { authenticate, teacherOrAdmin } from '../middleware/auth.js';
-import { addOrUpdateMarks } from '../controllers/MarksController.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { addOrUpdateMarks, importMarks, getMarkHistory, rollbackMarks } from '../controllers/MarksController.js';
+import {
+  submitResults,
+  returnResults,
+  moderateResults,
+  publishResults,
+  withdrawResults
+} from '../controllers/resultWorkflowController.js';
+import {
+  setTestPaper,
+  getTestPaper,
+  startAttempt,
+  saveAnswer,
+  submitOwnAttempt,
+  getAttempts,
+  getAttempt
+} from '../controllers/onlineTestController.js';
+import { uploadSpreadsheet } from '../middleware/spreadsheetUpload.js';
+import { handleValidationErrors } from '../middleware/validation.js';
 
 const router = express.Router();
 router.use(authenticate);
 
 console.log('🔧 Tests routes loaded successfully');
 
+const noteValidation = (required) => [
+  (required ? body('note').trim().notEmpty().withMessage('A note explaining the reason is required') : body('note').optional().trim()),
+  body('note')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  handleValidationErrors
+];
+
+const moderationValidation = [
+  body('mode')
+    .isIn(['grace', 'scale'])
+    .withMessage('Mode must be grace or scale'),
+  body('graceMarks')
+    .if(body('mode').equals('grace'))
+    .isFloat({ min: 0 })
+    .withMessage('Grace marks must be a non-negative number'),
+  body('onlyToPass')
+    .optional()
+    .isBoolean()
+    .withMessage('onlyToPass must be true or false'),
+  body('factor')
+    .if(body('mode').equals('scale'))
+    .isFloat({ gt: 0, max: 2 })
+    .withMessage('Scaling factor must be greater than 0 and at most 2'),
+  ...noteValidation(false)
+];
+
+const rollbackValidation = [
+  body('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer'),
+  body('reason')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('A reason is required (at most 500 characters)'),
+  handleValidationErrors
+];
+
+const paperValidation = [
+  body('questions')
+    .isArray({ min: 1, max: 200 })
+    .withMessage('Questions must be a list of 1 to 200 entries'),
+  body('questions.*.question')
+    .isMongoId()
+    .withMessage('Invalid question ID'),
+  body('questions.*.marks')
+    .optional()
+    .isFloat({ min: 0.5, max: 100 })
+    .withMessage('Marks must be between 0.5 and 100'),
+  body('passingMarks')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Passing marks must be a non-negative number'),
+  body('rules')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Rules must be a list of at most 50 entries'),
+  body('rules.*.topic')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Rule topic cannot exceed 100 characters'),
+  body('rules.*.difficulty')
+    .optional()
+    .isIn(['easy', 'medium', 'hard'])
+    .withMessage('Rule difficulty must be easy, medium, or hard'),
+  body('rules.*.count')
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Rule count must be between 1 and 200'),
+  body('rules.*.marks')
+    .optional()
+    .isFloat({ min: 0.5, max: 100 })
+    .withMessage('Rule marks must be between 0.5 and 100'),
+  body(['shuffleQuestions', 'shuffleOptions'])
+    .optional()
+    .isBoolean()
+    .withMessage('Shuffle settings must be true or false')
+    .toBoolean(),
+  handleValidationErrors
+];
+
+const answerValidation = [
+  param('questionId')
+    .isMongoId()
+    .withMessage('Invalid question ID'),
+  body('answer')
+    .exists()
+    .withMessage('Answer is required (null clears it)'),
+  handleValidationErrors
+];
+
 // Bulk upsert marks
-router.post('/:testId/marks', teacherOrAdmin, addOrUpdateMarks);
+router.post('/:testId/marks', requirePermission('marks:write'), addOrUpdateMarks);
+router.post('/:testId/marks/import', requirePermission('marks:write'), uploadSpreadsheet('file'), importMarks);
+
+// Versioned mark history of one student's result
+router.get('/:testId/results/:studentId/history', requirePermission('results:read'), getMarkHistory);
+router.post('/:testId/results/:studentId/rollback', requirePermission('marks:rollback'), rollbackValidation, rollbackMarks);
+
+// Result lifecycle: teachers submit, approvers return, moderate, publish or withdraw
+router.post('/:id/results/submit', requirePermission('marks:write'), noteValidation(false), submitResults);
+router.post('/:id/results/return', requirePermission('results:approve'), noteValidation(true), returnResults);
+router.post('/:id/results/moderate', requirePermission('results:approve'), moderationValidation, moderateResults);
+router.post('/:id/results/publish', requirePermission('results:approve'), noteValidation(false), publishResults);
+router.post('/:id/results/withdraw', requirePermission('results:approve'), noteValidation(true), withdrawResults);
+
+// Online tests: question paper and timed attempts
+router.put('/:id/paper', requirePermission('tests:write', 'questions:manage'), paperValidation, setTestPaper);
+router.get('/:id/paper', requirePermission('tests:read'), getTestPaper);
+router.post('/:testId/attempts', requirePermission('results:own'), startAttempt);
+router.get('/:testId/attempts', requirePermission('tests:read'), getAttempts);
+router.get('/:testId/attempts/:attemptId', requirePermission('tests:read'), getAttempt);
+router.put('/:testId/attempts/:attemptId/answers/:questionId', requirePermission('results:own'), answerValidation, saveAnswer);
+router.post('/:testId/attempts/:attemptId/submit', requirePermission('results:own'), submitOwnAttempt);
 
 // Specific routes (order matters)
-router.get('/:testId/statistics', teacherOrAdmin, getTestStatistics);
-router.get('/:testId/results', teacherOrAdmin, getTestResults);
-router.put('/:testId', teacherOrAdmin, updateTest);
-router.delete('/:testId', teacherOrAdmin, deleteTest);
+router.get('/:id/statistics', requirePermission('results:read'), getTestStatistics);
+router.get('/:id/results/export', requirePermission('results:read'), exportTestResults);
+router.get('/:id/results', requirePermission('results:read'), getTestResults);
+router.put('/:id', requirePermission('tests:write'), updateTest);
+router.delete('/:id', requirePermission('tests:write'), deleteTest);
 
 // General test routes
-router.get('/', getAllTests);
-router.post('/', teacherOrAdmin, createTest);
+router.get('/', requirePermission('tests:read'), getAllTests);
+router.post('/', requirePermission('tests:write'), createTest);
 
 // Catch-all get by ID must come last
-router.get('/:testId', getTestById);
+router.get('/:id', requirePermission('tests:read'), getTestById);
 
 export default router;
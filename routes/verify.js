@@ -0,0 +1,20 @@
+import express from 'express';
+import { param } from 'express-validator';
+import { verifyReportCard } from '../controllers/reportCardController.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// Public: anyone holding a printed report card can check it
+router.get('/report/:code',
+  [
+    param('code')
+      .trim()
+      .matches(/^RC-[A-Z2-7]{4}-[A-Z2-7]{4}-[A-Z2-7]{4}$/i)
+      .withMessage('Invalid verification code'),
+    handleValidationErrors
+  ],
+  verifyReportCard
+);
+
+export default router;
@@ -15,7 +15,19 @@ import studentRoutes from './routes/students.js';
 import subjectRoutes from './routes/subjects.js';
 import dashboardRoutes from './routes/dashboard.js';
 import announcementsRoutes from './routes/announcements.js';
+import verifyRoutes from './routes/verify.js';
+import termRoutes from './routes/terms.js';
+import offeringRoutes from './routes/offerings.js';
+import revaluationRoutes from './routes/revaluations.js';
+import questionRoutes from './routes/questions.js';
 import { addOrUpdateMarks } from './controllers/MarksController.js';
+import { auditContext } from './middleware/audit.js';
+import { ensureSystemRoles } from './utils/permissions.js';
+import { recoverStudentImports } from './controllers/studentImportController.js';
+import { startAttemptSweeper } from './utils/attempts.js';
+import { getRegistrationPolicy } from './utils/registrationPolicy.js';
+import { getMailTransport } from './utils/mailer.js';
+import { institutionTimeZone } from './utils/onlineTests.js';
 
 dotenv.config();
 
@@ -47,6 +59,9 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Static serving for uploaded resumes
 app.use('/uploads', express.static(path.join(process.cwd(), 'uploads')));
 
+// Model writes made while handling a request are audited with its actor
+app.use(auditContext);
+
 // Request logging with better formatting
 app.use((req, res, next) => {
   const timestamp = new Date().toISOString();
@@ -93,6 +108,15 @@ app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/students', studentRoutes);
 // Announcements
 app.use('/api/announcements', announcementsRoutes);
+// Academic terms
+app.use('/api/terms', termRoutes);
+app.use('/api/offerings', offeringRoutes);
+// Re-evaluation requests on published marks
+app.use('/api/revaluations', revaluationRoutes);
+// Question bank for online tests
+app.use('/api/questions', questionRoutes);
+// Public document verification
+app.use('/api/verify', verifyRoutes);
 
 
 
@@ -106,7 +130,19 @@ app.get('/api', (req, res) => {
       auth: {
         login: 'POST /api/auth/login',
         register: 'POST /api/auth/register',
-        profile: 'GET /api/auth/profile'
+        acceptInvite: 'POST /api/auth/accept-invite',
+        refresh: 'POST /api/auth/refresh',
+        logout: 'POST /api/auth/logout',
+        logoutAll: 'POST /api/auth/logout-all',
+        forgotPassword: 'POST /api/auth/forgot-password',
+        resetPassword: 'POST /api/auth/reset-password',
+        verifyEmail: 'POST /api/auth/verify-email',
+        resendVerification: 'POST /api/auth/verify-email/resend',
+        profile: 'GET /api/auth/profile',
+        changePassword: 'PUT /api/auth/password',
+        twoFactorVerify: 'POST /api/auth/2fa/verify',
+        twoFactorSetup: 'POST /api/auth/2fa/setup',
+        twoFactorEnable: 'POST /api/auth/2fa/enable'
       },
       tests: {
         list: 'GET /api/tests',
@@ -114,15 +150,71 @@ app.get('/api', (req, res) => {
         update: 'PUT /api/tests/:id',
         delete: 'DELETE /api/tests/:id',
         results: 'GET /api/tests/:id/results',
-        addOrUpdateMarks: 'POST /api/tests/:id/marks'
+        exportResults: 'GET /api/tests/:id/results/export?format=csv|xlsx|pdf',
+        addOrUpdateMarks: 'POST /api/tests/:id/marks',
+        importMarks: 'POST /api/tests/:id/marks/import',
+        markHistory: 'GET /api/tests/:testId/results/:studentId/history',
+        rollbackMarks: 'POST /api/tests/:testId/results/:studentId/rollback',
+        submitResults: 'POST /api/tests/:id/results/submit',
+        returnResults: 'POST /api/tests/:id/results/return',
+        moderateResults: 'POST /api/tests/:id/results/moderate',
+        publishResults: 'POST /api/tests/:id/results/publish',
+        withdrawResults: 'POST /api/tests/:id/results/withdraw',
+        setPaper: 'PUT /api/tests/:id/paper',
+        paper: 'GET /api/tests/:id/paper',
+        startAttempt: 'POST /api/tests/:testId/attempts',
+        attempts: 'GET /api/tests/:testId/attempts',
+        attempt: 'GET /api/tests/:testId/attempts/:attemptId',
+        saveAnswer: 'PUT /api/tests/:testId/attempts/:attemptId/answers/:questionId',
+        submitAttempt: 'POST /api/tests/:testId/attempts/:attemptId/submit'
       },
       students: {
         list: 'GET /api/students',
         myResults: 'GET /api/students/my-results',
         dashboard: 'GET /api/students/dashboard',
-        performance: 'GET /api/students/performance'
+        performance: 'GET /api/students/performance',
+        myReportCard: 'GET /api/students/me/report-card',
+        reportCard: 'GET /api/students/:id/report-card'
       },
       admin: 'GET /api/admin',
+      roles: {
+        permissions: 'GET /api/admin/permissions',
+        list: 'GET /api/admin/roles',
+        create: 'POST /api/admin/roles',
+        assign: 'PUT /api/admin/users/:id/roles'
+      },
+      audit: 'GET /api/admin/audit',
+      gradingSchemes: 'GET /api/admin/grading-schemes',
+      rankings: 'GET /api/admin/rankings',
+      terms: {
+        list: 'GET /api/terms',
+        create: 'POST /api/admin/terms',
+        update: 'PUT /api/admin/terms/:id',
+        closeAndPromote: 'POST /api/admin/terms/:id/close',
+        offerings: 'GET /api/admin/terms/:id/offerings'
+      },
+      enrollments: {
+        offerings: 'GET /api/offerings',
+        list: 'GET /api/offerings/:id/enrollments',
+        enroll: 'POST /api/offerings/:id/enrollments',
+        drop: 'DELETE /api/offerings/:id/enrollments/:studentId'
+      },
+      revaluations: {
+        request: 'POST /api/revaluations',
+        mine: 'GET /api/revaluations/mine',
+        queue: 'GET /api/revaluations',
+        accept: 'POST /api/revaluations/:id/accept',
+        reject: 'POST /api/revaluations/:id/reject'
+      },
+      questions: {
+        list: 'GET /api/questions',
+        create: 'POST /api/questions',
+        get: 'GET /api/questions/:id',
+        update: 'PUT /api/questions/:id',
+        remove: 'DELETE /api/questions/:id'
+      },
+      studentImport: 'POST /api/admin/students/import',
+      verifyReportCard: 'GET /api/verify/report/:code',
       subjects: 'GET /api/subjects',
       dashboard: 'GET /api/dashboard'
     },
@@ -258,6 +350,12 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
 const startServer = async () => {
   try {
     await connectDB();
+    await ensureSystemRoles();
+    await recoverStudentImports();
+    getRegistrationPolicy();
+    getMailTransport();
+    institutionTimeZone();
+    const attemptSweeper = startAttemptSweeper();
     
     const server = app.listen(PORT, () => {
       console.log('\n🎉 SERVER STARTED SUCCESSFULLY!');
@@ -285,13 +383,14 @@ const startServer = async () => {
       console.log('   • Test Creation & Management');
       console.log('   • Student Results & Analytics');
       console.log('   • Marks Entry System');
-      console.log('   • Role-based Access Control');
+      console.log('   • Permission-based Access Control');
       console.log('   • Dashboard Analytics');
     });
 
     // Graceful shutdown handling
     const gracefulShutdown = (signal) => {
       console.log(`\n🔄 Received ${signal}. Starting graceful shutdown...`);
+      clearInterval(attemptSweeper);
       
       server.close(async () => {
         console.log('✅ HTTP server closed');
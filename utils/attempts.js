@@ -0,0 +1,108 @@
+import Attempt from '../models/Attempt.js';
+import Test from '../models/Test.js';
+import TestResult from '../models/TestResult.js';
+import { loadPaperQuestions, buildPaper, gradeResponses } from './onlineTests.js';
+import { areMarksEditable } from './resultWorkflow.js';
+import { isTermArchived } from './terms.js';
+import { historyEntries } from './markHistory.js';
+
+// How often expired attempts are looked for
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Put a submitted attempt's marks into the student's TestResult. Marks entered by
+// hand stand, and a retake only counts when it beats the best attempt so far.
+// Returns the result, or null when it was left alone.
+const recordAttemptResult = async (test, attempt) => {
+  if (!areMarksEditable(test) || await isTermArchived(test.term)) {
+    console.warn(`⚠️ Attempt ${attempt._id} graded but not recorded: marks of ${test.title} are locked`);
+    return null;
+  }
+
+  const existing = await TestResult.findOne({ test: test._id, student: attempt.student });
+  if (existing && (!existing.attempt || (existing.markStatus === 'graded' && existing.marksObtained >= attempt.marksObtained))) {
+    return null;
+  }
+
+  const result = existing || new TestResult({ test: test._id, student: attempt.student });
+
+  result.history.push(...historyEntries(existing ? existing.toObject() : null, {
+    markStatus: 'graded',
+    marksObtained: attempt.marksObtained
+  }, {
+    by: attempt.student,
+    source: 'online',
+    attempt: attempt._id,
+    at: attempt.submittedAt
+  }));
+  result.markStatus = 'graded';
+  result.marksObtained = attempt.marksObtained;
+  result.originalMarks = null;
+  result.responses = attempt.responses;
+  result.attempt = attempt._id;
+  result.submittedAt = attempt.submittedAt;
+  result.gradedAt = new Date();
+  await result.save();
+
+  return result;
+};
+
+// Grade and submit an in-progress attempt. Automatic submissions (the deadline
+// passed) are stamped with the deadline. Returns { attempt, result },
+// or null when the attempt was already submitted.
+export const submitAttempt = async (attemptId, { auto = false } = {}) => {
+  // Answers saved while grading change updatedAt; grade again with them when that happens
+  for (let tries = 0; tries < 3; tries++) {
+    const attempt = await Attempt.findById(attemptId);
+    if (!attempt || attempt.status !== 'in_progress') return null;
+
+    const test = await Test.findById(attempt.test);
+    const questionsById = await loadPaperQuestions(test);
+    const paper = buildPaper(test, questionsById, attempt.seed);
+    const { marksObtained, responses } = gradeResponses(paper, questionsById, attempt.answers);
+
+    const submitted = await Attempt.findOneAndUpdate(
+      { _id: attempt._id, status: 'in_progress', updatedAt: attempt.updatedAt },
+      {
+        $set: {
+          status: 'submitted',
+          submittedAt: auto ? attempt.deadline : new Date(),
+          autoSubmitted: auto,
+          marksObtained,
+          responses
+        }
+      },
+      { new: true }
+    );
+    if (submitted) {
+      return { attempt: submitted, result: await recordAttemptResult(test, submitted) };
+    }
+  }
+
+  return null;
+};
+
+// Submit every in-progress attempt (matching filter) whose deadline has passed.
+// Returns the submitted ones.
+export const submitExpiredAttempts = async (filter = {}) => {
+  const expired = await Attempt.find({ ...filter, status: 'in_progress', deadline: { $lte: new Date() } }).select('_id');
+
+  const submitted = [];
+  for (const { _id } of expired) {
+    const outcome = await submitAttempt(_id, { auto: true });
+    if (outcome) submitted.push(outcome);
+  }
+  return submitted;
+};
+
+// Periodically submit attempts whose students ran out of time without submitting
+export const startAttemptSweeper = () => {
+  const timer = setInterval(() => {
+    submitExpiredAttempts()
+      .then(submitted => {
+        if (submitted.length > 0) console.log(`⏰ Auto-submitted ${submitted.length} expired attempt(s)`);
+      })
+      .catch(error => console.error('Attempt sweeper error:', error));
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
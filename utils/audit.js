@@ -0,0 +1,248 @@
+import mongoose from 'mongoose';
+import AuditLog from '../models/AuditLog.js';
+import { currentRequest } from '../middleware/audit.js';
+
+// Never copied into an audit entry
+const IGNORED_FIELDS = [
+  '_id',
+  '__v',
+  'createdAt',
+  'updatedAt',
+  'password',
+  'passwordResetTokenHash',
+  'passwordResetExpires',
+  'emailVerificationTokenHash',
+  'emailVerificationExpires',
+  'twoFactor',
+  'tokenHash'
+];
+
+// Plain JSON snapshot: ObjectIds become strings, dates ISO strings, populated refs ids
+const snapshot = (doc) => {
+  if (!doc) return {};
+  const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : doc;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+// Field-by-field { before, after } of what changed between two versions of an entity
+export const diffChanges = (before, after, ignore = []) => {
+  const previous = snapshot(before);
+  const next = snapshot(after);
+  const changes = {};
+
+  new Set([...Object.keys(previous), ...Object.keys(next)]).forEach(field => {
+    if (IGNORED_FIELDS.includes(field) || ignore.includes(field)) return;
+    if (JSON.stringify(previous[field]) === JSON.stringify(next[field])) return;
+    changes[field] = { before: previous[field] ?? null, after: next[field] ?? null };
+  });
+
+  return changes;
+};
+
+const buildEntry = (req, { action, entityType, entityId, before, after, changes, metadata }) => ({
+  actor: req?.user?._id,
+  actorRole: req?.user?.role,
+  action,
+  entityType,
+  entityId: entityId?.toString(),
+  changes: changes || (before || after ? diffChanges(before, after) : undefined),
+  metadata,
+  ip: req?.ip,
+  userAgent: req?.get('user-agent')?.slice(0, 300)
+});
+
+// Write audit entries for the current request. Auditing never blocks or
+// fails the request itself; problems are only logged.
+export const recordAudits = (req, entries) => {
+  if (entries.length === 0) return;
+
+  if (mongoose.connection.readyState !== 1) {
+    console.warn('⚠️ Audit entries skipped (database not connected):', entries.map(entry => entry.action).join(', '));
+    return;
+  }
+
+  AuditLog.insertMany(entries.map(entry => buildEntry(req, entry)))
+    .catch(error => console.error('Audit log error:', error));
+};
+
+// For events that are not a model write (denied access, unlocking an account, ...);
+// model writes are recorded by auditTrail
+export const recordAudit = (req, entry) => recordAudits(req, [entry]);
+
+// Name the action (default `<entityType>.create|update|delete`) and add metadata
+// for the writes to one entity type for the rest of the request
+export const describeAudit = (req, entityType, { action, metadata }) => {
+  req.auditLabels = { ...req.auditLabels, [entityType]: { action, metadata } };
+};
+
+const SINGLE_QUERIES = ['updateOne', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'findOneAndDelete'];
+const WRITE_QUERIES = [...SINGLE_QUERIES, 'updateMany', 'deleteMany'];
+const DELETE_QUERIES = ['deleteOne', 'findOneAndDelete', 'deleteMany'];
+const REPLACE_QUERIES = ['replaceOne', 'findOneAndReplace'];
+
+const isConnected = () => mongoose.connection.readyState === 1;
+
+// Top-level fields an update writes, or null when it replaces or removes whole
+// documents (replacements, deletes, aggregation pipeline updates)
+const updatedFields = (update) => {
+  if (!update || Array.isArray(update)) return null;
+  return [...new Set(Object.entries(update)
+    .flatMap(([key, value]) => (key.startsWith('$') ? Object.keys(value || {}) : [key]))
+    .map(path => path.split('.')[0]))];
+};
+
+// Fields a bulkWrite touches (see updatedFields); inserts need no reading before
+const bulkFields = (ops) => {
+  const perOp = ops.map(op => {
+    const [type, spec] = Object.entries(op)[0];
+    if (type === 'insertOne') return [];
+    return ['updateOne', 'updateMany'].includes(type) ? updatedFields(spec.update) : null;
+  });
+  return perOp.includes(null) ? null : [...new Set(perOp.flat())];
+};
+
+const pick = (doc, fields) => (fields ? Object.fromEntries(fields.filter(field => field in doc).map(field => [field, doc[field]])) : doc);
+
+// Mongoose plugin recording every write to a model: document saves and deletes,
+// update/delete queries and bulkWrite. A write is snapshotted (the affected
+// documents read before and after, limited to the fields it touches) only when it
+// changes a field that is not `ignore`d or describeAudit labelled it, so working
+// state such as an attempt's autosaved answers costs no extra reads. One entry is
+// recorded per changed document; `metadata` names fields worth filtering on,
+// copied into every entry (references as id strings).
+export const auditTrail = (schema, { entityType, ignore = [], metadata = [] }) => {
+  const isLabelled = () => Boolean(currentRequest()?.auditLabels?.[entityType]);
+  const isAudited = (fields) => fields === null || fields.some(field => !IGNORED_FIELDS.includes(field) && !ignore.includes(field));
+  // Fields to read: the touched ones plus the metadata (null reads whole documents)
+  const readFields = (fields) => (fields === null ? null : ['_id', ...new Set([...fields, ...metadata])]);
+  const projection = (fields) => (fields === null ? {} : Object.fromEntries(fields.map(field => [field, 1])));
+
+  // Compare only the fields that were read (all when fields is null)
+  const record = (before, after, fields = null) => {
+    const req = currentRequest();
+    const label = req?.auditLabels?.[entityType];
+    const previousById = new Map(before.map(doc => [doc._id.toString(), pick(snapshot(doc), fields)]));
+    const nextById = new Map(after.map(doc => [doc._id.toString(), pick(snapshot(doc), fields)]));
+
+    const entries = [...new Set([...previousById.keys(), ...nextById.keys()])].flatMap(id => {
+      const previous = previousById.get(id);
+      const next = nextById.get(id);
+      const changes = diffChanges(previous, next, ignore);
+      if (previous && next && Object.keys(changes).length === 0) return [];
+
+      const entryMetadata = { ...pick(next || previous, metadata), ...label?.metadata };
+      return [{
+        action: label?.action || `${entityType}.${!previous ? 'create' : !next ? 'delete' : 'update'}`,
+        entityType,
+        entityId: id,
+        changes,
+        metadata: Object.keys(entryMetadata).length > 0 ? entryMetadata : undefined
+      }];
+    });
+
+    recordAudits(req, entries);
+  };
+
+  // Reading what a write touched must not fail the write itself
+  const safely = async (step) => {
+    try {
+      return await step();
+    } catch (error) {
+      console.error('Audit log error:', error);
+      return null;
+    }
+  };
+
+  schema.pre('save', async function () {
+    if (!isConnected()) return;
+    if (this.isNew) {
+      this.$locals.auditBefore = { docs: [], fields: null };
+      return;
+    }
+
+    const fields = [...new Set(this.modifiedPaths().map(path => path.split('.')[0]))];
+    if (!isLabelled() && !isAudited(fields)) return;
+
+    const read = readFields(fields);
+    const docs = await safely(async () => [await this.constructor.findById(this._id, projection(read)).lean()].filter(Boolean));
+    if (docs) this.$locals.auditBefore = { docs, fields: read };
+  });
+
+  schema.post('save', function (doc) {
+    const before = this.$locals.auditBefore;
+    delete this.$locals.auditBefore;
+    if (before) record(before.docs, [doc], before.fields);
+  });
+
+  schema.post('deleteOne', { document: true, query: false }, function () {
+    if (isConnected()) record([this], []);
+  });
+
+  schema.pre(WRITE_QUERIES, { document: false, query: true }, async function () {
+    if (!isConnected()) return;
+
+    const fields = DELETE_QUERIES.includes(this.op) || REPLACE_QUERIES.includes(this.op)
+      ? null
+      : updatedFields(this.getUpdate());
+    if (!isLabelled() && !isAudited(fields)) return;
+
+    // An upsert may create a document: read it whole afterwards
+    const read = this.getOptions().upsert ? null : readFields(fields);
+    const docs = await safely(() => {
+      const affected = this.model.find(this.getFilter(), projection(read)).lean();
+      return SINGLE_QUERIES.includes(this.op) ? affected.sort(this.getOptions().sort).limit(1) : affected;
+    });
+    if (docs) this._auditBefore = { docs, fields: read };
+  });
+
+  schema.post(WRITE_QUERIES, { document: false, query: true }, async function () {
+    const before = this._auditBefore;
+    if (!before) return;
+
+    const after = DELETE_QUERIES.includes(this.op)
+      ? []
+      : await safely(() => this.model.find(
+        // An upsert creates the document the filter describes
+        before.docs.length === 0 && this.getOptions().upsert ? this.getFilter() : { _id: { $in: before.docs.map(doc => doc._id) } },
+        projection(before.fields)
+      ).sort(this.getOptions().sort).limit(SINGLE_QUERIES.includes(this.op) ? 1 : 0).lean());
+    if (after) record(before.docs, after, before.fields);
+  });
+
+  // Mongoose has no bulkWrite middleware
+  schema.static('bulkWrite', async function (ops, options) {
+    const fields = bulkFields(ops);
+    const hasInserts = ops.some(op => op.insertOne || Object.values(op)[0]?.upsert);
+    const audited = isConnected() && (isLabelled() || hasInserts || isAudited(fields));
+    // Inserted and upserted documents are read whole
+    const read = hasInserts ? null : readFields(fields);
+
+    const filters = ops.flatMap(op => Object.values(op).map(spec => spec.filter).filter(Boolean));
+    const before = audited
+      ? (filters.length > 0 ? await safely(() => this.find({ $or: filters }, projection(read)).lean()) : [])
+      : null;
+
+    // An unordered bulkWrite that fails part way has still applied its other operations
+    let result;
+    let failure;
+    try {
+      result = await mongoose.Model.bulkWrite.call(this, ops, options);
+    } catch (error) {
+      failure = error;
+    }
+
+    if (before) {
+      const written = result || failure?.result;
+      const ids = [
+        ...before.map(doc => doc._id),
+        ...Object.values(written?.insertedIds || {}),
+        ...Object.values(written?.upsertedIds || {})
+      ];
+      const after = await safely(() => this.find({ _id: { $in: ids } }, projection(read)).lean());
+      if (after) record(before, after, read);
+    }
+
+    if (failure) throw failure;
+    return result;
+  });
+};
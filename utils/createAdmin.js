@@ -33,6 +33,7 @@ const createAdmin = async () => {
     console.log('   Password:', process.env.ADMIN_PASSWORD || 'admin123');
     console.log('');
     console.log('🔐 Please change the default password after first login!');
+    console.log('🔐 Enable two-factor authentication via POST /api/auth/2fa/setup.');
 
     process.exit(0);
   } catch (error) {
@@ -0,0 +1,62 @@
+// Minimal RFC 4180 CSV writer and reader
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Guard against formula injection when the file is opened in a spreadsheet
+  const safe = /^[=+\-@]/.test(text) ? `'${text}` : text;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+// columns: [{ header, value: row => any }]
+export const toCsv = (rows, columns) => {
+  const lines = [columns.map(column => escapeCell(column.header)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCell(column.value(row))).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+};
+
+// Parse CSV text into an array of rows (arrays of strings). Handles quoted
+// fields, escaped quotes, embedded newlines, CRLF and a leading BOM.
+export const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
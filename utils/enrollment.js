@@ -0,0 +1,53 @@
+import Subject from '../models/Subject.js';
+import SubjectOffering from '../models/SubjectOffering.js';
+import Enrollment from '../models/Enrollment.js';
+import { subjectRefKey, resolveSubjectRefs } from './subjects.js';
+
+// Offering a test belongs to (its subject in its term), or null for tests
+// without a term or subjects not offered through terms
+export const findOfferingForTest = async (test) => {
+  if (!test?.term) return null;
+  const subjects = await resolveSubjectRefs([test.subject], 'name code department');
+  const subject = subjects.get(subjectRefKey(test.subject));
+  if (!subject) return null;
+  return SubjectOffering.findOne({ term: test.term, subject: subject._id }).lean();
+};
+
+// Set of student ids currently enrolled in an offering
+export const getEnrolledStudentIds = async (offeringId) => {
+  const ids = await Enrollment.find({ offering: offeringId, status: 'enrolled' }).distinct('student');
+  return new Set(ids.map(String));
+};
+
+// Subjects a student takes: their enrollments (in the term, when given), or for
+// students without any enrollment the active subjects of their department and
+// global subjects, as before enrollment existed
+export const getStudentSubjectIds = async (student, term) => {
+  const enrollmentFilter = { student: student._id, status: 'enrolled' };
+  if (term) enrollmentFilter.term = term._id;
+
+  const enrolled = await Enrollment.find(enrollmentFilter).distinct('subject');
+  if (enrolled.length > 0 || await Enrollment.exists({ student: student._id })) {
+    return { source: 'enrollment', subjectIds: enrolled };
+  }
+
+  const subjectIds = await Subject.find({
+    isActive: true,
+    $or: [{ department: student.department }, { isGlobal: true }]
+  }).distinct('_id');
+  return { source: 'department', subjectIds };
+};
+
+// Whether a student sits a test: enrolled in its offering, or for subjects not
+// offered through terms, a student of the subject's department (any student for
+// global subjects)
+export const isStudentEligibleForTest = async (student, test) => {
+  const offering = await findOfferingForTest(test);
+  if (offering) {
+    return Boolean(await Enrollment.exists({ offering: offering._id, student: student._id, status: 'enrolled' }));
+  }
+
+  const subjects = await resolveSubjectRefs([test.subject], 'name code department isGlobal');
+  const subject = subjects.get(subjectRefKey(test.subject));
+  return Boolean(subject && (subject.isGlobal || subject.department === student.department));
+};
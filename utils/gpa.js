@@ -0,0 +1,102 @@
+import mongoose from 'mongoose';
+import Test from '../models/Test.js';
+import TestResult from '../models/TestResult.js';
+import { subjectRefKey, resolveSubjectRefs } from './subjects.js';
+import { gradeResult, getGradingSchemesForTests } from './grading.js';
+
+// Test types whose result decides a subject's grade for the semester. A later
+// supplementary exam replaces the final it was taken for.
+export const FINAL_TEST_TYPES = ['final', 'supplementary'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const creditWeighted = (subjects) => {
+  const credits = subjects.reduce((sum, subject) => sum + subject.credits, 0);
+  const points = subjects.reduce((sum, subject) => sum + subject.credits * subject.gradePoint, 0);
+  return {
+    credits,
+    earnedCredits: subjects.filter(subject => subject.isPassed).reduce((sum, subject) => sum + subject.credits, 0),
+    gpa: credits > 0 ? round(points / credits) : null
+  };
+};
+
+// SGPA per semester and CGPA for each student, from credit-weighted grade points of
+// final tests with published results. Tests without a semester or subjects without
+// credits are not counted.
+// Returns Map of student id -> { cgpa, totalCredits, earnedCredits, semesters[] }
+export const computeGpaForStudents = async (studentIds) => {
+  const ids = studentIds.map(id => new mongoose.Types.ObjectId(id));
+  const results = await TestResult.find({ student: { $in: ids } })
+    .select('student test marksObtained markStatus gradePoint grade isPassed')
+    .lean();
+
+  const tests = await Test.find({
+    _id: { $in: [...new Set(results.map(result => result.test.toString()))] },
+    testType: { $in: FINAL_TEST_TYPES },
+    semester: { $exists: true, $ne: null },
+    resultStatus: 'published',
+    isActive: true
+  }).select('title subject semester testType testDate maxMarks passingMarks').lean();
+
+  const testById = new Map(tests.map(test => [test._id.toString(), test]));
+  const [subjects, schemes] = await Promise.all([
+    resolveSubjectRefs(tests.map(test => test.subject)),
+    getGradingSchemesForTests(tests)
+  ]);
+
+  // Latest final/supplementary result per student, semester and subject
+  const latest = new Map();
+  results.forEach(result => {
+    const test = testById.get(result.test.toString());
+    const subject = test && subjects.get(subjectRefKey(test.subject));
+    if (!subject?.credits) return;
+
+    const key = `${result.student}:${test.semester}:${subject._id}`;
+    const current = latest.get(key);
+    if (current && new Date(current.test.testDate) >= new Date(test.testDate)) return;
+    latest.set(key, { result, test, subject });
+  });
+
+  const byStudent = new Map(ids.map(id => [id.toString(), new Map()]));
+  latest.forEach(({ result, test, subject }) => {
+    // Results saved before grade points were stored are graded on the fly
+    const graded = result.gradePoint === undefined
+      ? gradeResult(test, result.marksObtained, schemes.get(test._id.toString()), result.markStatus)
+      : result;
+    // Exempt subjects carry no grade point and do not count towards the GPA
+    if (graded.gradePoint === null) return;
+
+    const semesters = byStudent.get(result.student.toString());
+    if (!semesters.has(test.semester)) semesters.set(test.semester, []);
+    semesters.get(test.semester).push({
+      subject: { _id: subject._id, name: subject.name, code: subject.code },
+      credits: subject.credits,
+      test: { _id: test._id, title: test.title, testType: test.testType },
+      grade: graded.grade,
+      gradePoint: graded.gradePoint,
+      isPassed: graded.isPassed
+    });
+  });
+
+  return new Map([...byStudent].map(([studentId, semesters]) => {
+    const allSubjects = [...semesters.values()].flat();
+    const overall = creditWeighted(allSubjects);
+
+    return [studentId, {
+      cgpa: overall.gpa,
+      totalCredits: overall.credits,
+      earnedCredits: overall.earnedCredits,
+      semesters: [...semesters.entries()]
+        .sort(([a], [b]) => a - b)
+        .map(([semester, semesterSubjects]) => {
+          const { gpa, credits, earnedCredits } = creditWeighted(semesterSubjects);
+          return { semester, sgpa: gpa, credits, earnedCredits, subjects: semesterSubjects };
+        })
+    }];
+  }));
+};
+
+export const computeStudentGpa = async (studentId) => {
+  const gpa = await computeGpaForStudents([studentId]);
+  return gpa.get(studentId.toString());
+};
@@ -0,0 +1,161 @@
+import mongoose from 'mongoose';
+import GradingScheme from '../models/GradingScheme.js';
+import Subject from '../models/Subject.js';
+import AcademicTerm from '../models/AcademicTerm.js';
+import { subjectRefKey, resolveSubjectRefs, subjectRefValues } from './subjects.js';
+import { MARKS_EDITABLE_STATUSES } from './resultWorkflow.js';
+
+// Used when no scheme is configured for a subject, its department or the institute
+export const DEFAULT_GRADING_SCHEME = {
+  name: 'Built-in 10 point scale',
+  scope: 'default',
+  bands: [
+    { grade: 'A+', minPercentage: 90, gradePoint: 10 },
+    { grade: 'A', minPercentage: 80, gradePoint: 9 },
+    { grade: 'B+', minPercentage: 70, gradePoint: 8 },
+    { grade: 'B', minPercentage: 60, gradePoint: 7 },
+    { grade: 'C+', minPercentage: 50, gradePoint: 6 },
+    { grade: 'C', minPercentage: 40, gradePoint: 5 },
+    { grade: 'D', minPercentage: 35, gradePoint: 4 },
+    { grade: 'F', minPercentage: 0, gradePoint: 0 }
+  ],
+  passRule: { mode: 'passingMarks' }
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Band of the scheme a percentage falls in (bands are stored highest first)
+export const gradeBandFor = (percentage, scheme = DEFAULT_GRADING_SCHEME) => {
+  const bands = [...scheme.bands].sort((a, b) => b.minPercentage - a.minPercentage);
+  return bands.find(band => percentage >= band.minPercentage) || bands[bands.length - 1];
+};
+
+export const calculateGrade = (percentage, scheme = DEFAULT_GRADING_SCHEME) => {
+  return gradeBandFor(percentage, scheme).grade;
+};
+
+// Fixed outcomes of entries without marks. Absence and malpractice fail with
+// zero; exempt entries are left out of percentages and GPA and are not failures.
+export const MARK_STATUS_OUTCOMES = {
+  absent: { percentage: 0, grade: 'AB', gradePoint: 0, isPassed: false },
+  malpractice: { percentage: 0, grade: 'MP', gradePoint: 0, isPassed: false },
+  exempt: { percentage: null, grade: 'EX', gradePoint: null, isPassed: true }
+};
+
+// Everything derived from a mark: { percentage, grade, gradePoint, isPassed }
+export const gradeResult = (test, marksObtained, scheme = DEFAULT_GRADING_SCHEME, markStatus = 'graded') => {
+  if (MARK_STATUS_OUTCOMES[markStatus]) return { ...MARK_STATUS_OUTCOMES[markStatus] };
+
+  const exactPercentage = test.maxMarks > 0 ? (marksObtained / test.maxMarks) * 100 : 0;
+  const band = gradeBandFor(exactPercentage, scheme);
+
+  const passesMarks = marksObtained >= test.passingMarks;
+  const passesPercentage = exactPercentage >= (scheme.passRule?.minPercentage ?? 0);
+  const mode = scheme.passRule?.mode || 'passingMarks';
+
+  return {
+    percentage: round(exactPercentage),
+    grade: band.grade,
+    gradePoint: band.gradePoint,
+    isPassed: mode === 'both' ? passesMarks && passesPercentage
+      : mode === 'percentage' ? passesPercentage
+        : passesMarks
+  };
+};
+
+// Most specific active scheme: subject, then department, then institute default
+const pickScheme = (schemes, subject, department) => {
+  return schemes.find(scheme => scheme.scope === 'subject' && subject && scheme.subject?.toString() === subject._id.toString())
+    || schemes.find(scheme => scheme.scope === 'department' && scheme.department === (subject?.department || department))
+    || schemes.find(scheme => scheme.scope === 'default')
+    || DEFAULT_GRADING_SCHEME;
+};
+
+// Grading scheme for a subject (document) or, without one, a department
+export const getGradingScheme = async ({ subject, department } = {}) => {
+  const schemes = await GradingScheme.find({ isActive: true }).lean();
+  return pickScheme(schemes, subject, department);
+};
+
+// Map of test id -> grading scheme for a batch of tests
+export const getGradingSchemesForTests = async (tests) => {
+  const [schemes, subjects] = await Promise.all([
+    GradingScheme.find({ isActive: true }).lean(),
+    resolveSubjectRefs(tests.map(test => test.subject))
+  ]);
+
+  return new Map(tests.map(test => [
+    test._id.toString(),
+    pickScheme(schemes, subjects.get(subjectRefKey(test.subject)))
+  ]));
+};
+
+export const getGradingSchemeForTest = async (test) => {
+  const schemes = await getGradingSchemesForTests([test]);
+  return schemes.get(test._id.toString());
+};
+
+// Recompute and persist percentage, grade, gradePoint and isPassed for the
+// results of the given tests (all tests when none are given)
+export const recomputeResultGrades = async (testFilter = {}) => {
+  const Test = mongoose.model('Test');
+  const TestResult = mongoose.model('TestResult');
+
+  const tests = await Test.find(testFilter).select('subject maxMarks passingMarks').lean();
+  const schemes = await getGradingSchemesForTests(tests);
+  let updated = 0;
+
+  for (const test of tests) {
+    const scheme = schemes.get(test._id.toString());
+    const results = await TestResult.find({ test: test._id })
+      .select('marksObtained markStatus percentage grade gradePoint isPassed').lean();
+
+    const bulkOps = results
+      .map(result => ({ result, values: gradeResult(test, result.marksObtained, scheme, result.markStatus) }))
+      .filter(({ result, values }) => Object.keys(values).some(field => result[field] !== values[field]))
+      .map(({ result, values }) => ({ updateOne: { filter: { _id: result._id }, update: { $set: values } } }));
+
+    if (bulkOps.length > 0) {
+      await TestResult.bulkWrite(bulkOps);
+      updated += bulkOps.length;
+    }
+  }
+
+  return { tests: tests.length, updated };
+};
+
+// Filter for the tests a scheme can grade: a subject scheme covers the tests of its
+// subject, a department scheme those of the department's subjects, the default any test
+const testFilterForScheme = async ({ scope, subject, department }) => {
+  if (scope === 'default') return {};
+
+  const subjects = await Subject.find(scope === 'subject' ? { _id: subject } : { department })
+    .select('name code')
+    .lean();
+  return { subject: { $in: subjectRefValues(subjects) } };
+};
+
+// Tests whose stored grades a scheme change may still rewrite: results with the
+// teacher (draft or withdrawn) in a term that is not closed. Submitted, published
+// and archived results keep the grades they were issued with.
+const regradableTestFilter = async () => ({
+  resultStatus: { $in: [...MARKS_EDITABLE_STATUSES, null] },
+  term: { $nin: await AcademicTerm.find({ status: 'archived' }).distinct('_id') }
+});
+
+// Which tests a change to the given schemes regrades (pass the old and the new
+// version of a changed scheme): { filter, tests, lockedTests }, where lockedTests
+// are covered by the schemes but left as they are
+export const planSchemeRegrade = async (schemes) => {
+  const Test = mongoose.model('Test');
+
+  const filters = await Promise.all(schemes.map(testFilterForScheme));
+  const covered = filters.some(filter => Object.keys(filter).length === 0) ? {} : { $or: filters };
+  const filter = { $and: [covered, await regradableTestFilter()] };
+
+  const [coveredTests, tests] = await Promise.all([
+    Test.countDocuments(covered),
+    Test.countDocuments(filter)
+  ]);
+  return { filter, tests, lockedTests: coveredTests - tests };
+};
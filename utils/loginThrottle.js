@@ -0,0 +1,269 @@
+import mongoose from 'mongoose';
+import LoginAttempt from '../models/LoginAttempt.js';
+import LockoutEvent from '../models/LockoutEvent.js';
+
+// Brute-force protection for POST /api/auth/login.
+// Failures are counted per email and per IP. After a few failures every further
+// attempt has to wait an exponentially growing delay; after LOGIN_MAX_FAILURES
+// the email is locked for LOGIN_LOCK_MINUTES.
+const getThrottleConfig = () => ({
+  maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES) || 5,
+  lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15,
+  backoffAfter: parseInt(process.env.LOGIN_BACKOFF_AFTER) || 3,
+  backoffBaseSeconds: parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 2,
+  backoffMaxSeconds: parseInt(process.env.LOGIN_BACKOFF_MAX_SECONDS) || 300,
+  ipBackoffAfter: parseInt(process.env.LOGIN_IP_BACKOFF_AFTER) || 20,
+  windowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 60
+});
+
+// Every attempt is counted as a failure before the password (or code) is
+// checked: a reservation takes the next count in one compare-and-set step and
+// is refused once the key is locked or backing off, so a burst of parallel
+// guesses cannot all pass the check before the first of them has failed. A
+// success clears the reservation again.
+const laterOf = (current, next) => (!current || (next && new Date(next) > new Date(current)) ? next : current);
+
+// A counter whose failure window or lock has run out starts again from zero
+const liveRecord = (record, now) => {
+  if (!record) return null;
+  if (new Date(record.expiresAt) <= now) return null;
+  if (record.lockedUntil && new Date(record.lockedUntil) <= now) return null;
+  return record;
+};
+
+const COUNTER_FIELDS = ['failures', 'lastFailureAt', 'nextAttemptAt', 'lockedUntil', 'expiresAt'];
+const counterOf = (record) => Object.fromEntries(COUNTER_FIELDS.map(field => [field, record[field] ?? null]));
+
+// In-memory store, used whenever MongoDB is unavailable
+const memoryRecords = new Map();
+
+const memoryStore = {
+  async get(key) {
+    const record = memoryRecords.get(key);
+    if (record && record.expiresAt <= new Date()) {
+      memoryRecords.delete(key);
+      return null;
+    }
+    return record || null;
+  },
+  // next(liveRecord) returns the new counter, or a refusal that leaves it unchanged
+  async reserve(key, now, next) {
+    const before = liveRecord(memoryRecords.get(key), now);
+    const outcome = next(before);
+    if (outcome.refused) return outcome;
+    memoryRecords.set(key, { key, ...outcome });
+    return { before: before && counterOf(before), after: outcome };
+  },
+  async release(key, { before, after }) {
+    const current = memoryRecords.get(key);
+    if (!current) return;
+    const untouched = current.failures === after.failures && current.lastFailureAt === after.lastFailureAt;
+    if (untouched && !before) {
+      memoryRecords.delete(key);
+    } else if (untouched) {
+      memoryRecords.set(key, { key, ...before });
+    } else {
+      current.failures = Math.max(0, current.failures - 1);
+    }
+  },
+  async delete(key) {
+    memoryRecords.delete(key);
+  }
+};
+
+const MAX_RESERVE_RETRIES = 10;
+
+const mongoStore = {
+  async get(key) {
+    return LoginAttempt.findOne({ key }).lean();
+  },
+  async reserve(key, now, next) {
+    for (let retry = 0; retry < MAX_RESERVE_RETRIES; retry++) {
+      const stored = await LoginAttempt.findOne({ key }).lean();
+      // The TTL index removes expired counters only eventually
+      const before = liveRecord(stored, now);
+      const outcome = next(before);
+      if (outcome.refused) return outcome;
+
+      try {
+        const written = stored
+          ? await LoginAttempt.findOneAndUpdate(
+            { key, failures: stored.failures, updatedAt: stored.updatedAt },
+            { $set: outcome },
+            { new: true, lean: true }
+          )
+          : await LoginAttempt.create({ key, ...outcome });
+        if (written) return { before: before && counterOf(before), after: outcome };
+      } catch (error) {
+        // Two first attempts creating the same key at once: the loser tries again
+        if (error.code !== 11000) throw error;
+      }
+    }
+    // Lost every race: so many attempts at once are refused rather than let through
+    return { refused: true, reason: 'backoff', retryAfter: 1 };
+  },
+  async release(key, { before, after }) {
+    const untouched = { key, failures: after.failures, lastFailureAt: after.lastFailureAt };
+    const restored = before
+      ? await LoginAttempt.findOneAndUpdate(untouched, { $set: before })
+      : await LoginAttempt.findOneAndDelete(untouched);
+    if (!restored) {
+      // Later attempts have been counted since: only take this one back
+      await LoginAttempt.updateOne({ key, failures: { $gt: 0 } }, { $inc: { failures: -1 } });
+    }
+  },
+  async delete(key) {
+    await LoginAttempt.deleteOne({ key });
+  }
+};
+
+const withStore = async (operation) => {
+  if (mongoose.connection.readyState === 1) {
+    try {
+      return await operation(mongoStore);
+    } catch (error) {
+      console.error('Login throttle store error, using in-memory fallback:', error.message);
+    }
+  }
+  return operation(memoryStore);
+};
+
+const emailKey = (email) => `email:${String(email).toLowerCase().trim()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+const backoffUntil = (failures, threshold, config, now) => {
+  if (failures < threshold) return null;
+  const seconds = Math.min(
+    config.backoffBaseSeconds * 2 ** (failures - threshold),
+    config.backoffMaxSeconds
+  );
+  return new Date(now.getTime() + seconds * 1000);
+};
+
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((new Date(date).getTime() - now.getTime()) / 1000));
+
+const refusal = (reason, until, now) => ({ refused: true, reason, retryAfter: secondsUntil(until, now) });
+
+// Next counter of an email: back-off after LOGIN_BACKOFF_AFTER failures, lock at LOGIN_MAX_FAILURES
+const nextEmailCounter = (config, now) => (record) => {
+  if (record?.lockedUntil && new Date(record.lockedUntil) > now) return refusal('locked', record.lockedUntil, now);
+  if (record?.nextAttemptAt && new Date(record.nextAttemptAt) > now) return refusal('backoff', record.nextAttemptAt, now);
+
+  const failures = (record?.failures || 0) + 1;
+  const lockedUntil = failures >= config.maxFailures ? new Date(now.getTime() + config.lockMinutes * 60 * 1000) : null;
+  const windowEnd = new Date(now.getTime() + config.windowMinutes * 60 * 1000);
+  return {
+    failures,
+    lastFailureAt: now,
+    nextAttemptAt: laterOf(record?.nextAttemptAt, backoffUntil(failures, config.backoffAfter, config, now)),
+    lockedUntil,
+    expiresAt: laterOf(record?.expiresAt, laterOf(windowEnd, lockedUntil))
+  };
+};
+
+// Next counter of an IP: back-off only, after LOGIN_IP_BACKOFF_AFTER failures
+const nextIpCounter = (config, now) => (record) => {
+  if (record?.nextAttemptAt && new Date(record.nextAttemptAt) > now) return refusal('backoff', record.nextAttemptAt, now);
+
+  const failures = (record?.failures || 0) + 1;
+  return {
+    failures,
+    lastFailureAt: now,
+    nextAttemptAt: laterOf(record?.nextAttemptAt, backoffUntil(failures, config.ipBackoffAfter, config, now)),
+    lockedUntil: null,
+    expiresAt: laterOf(record?.expiresAt, new Date(now.getTime() + config.windowMinutes * 60 * 1000))
+  };
+};
+
+// Reserve a login attempt before checking the password or code.
+// Returns { allowed: true, reservation } or { allowed: false, reason: 'locked' | 'backoff', retryAfter }.
+// The reservation already counts as a failure; hand it to recordLoginFailure,
+// releaseLoginAttempt or recordLoginSuccess once the outcome is known.
+export const reserveLoginAttempt = async ({ email, ip }) => {
+  const config = getThrottleConfig();
+  const now = new Date();
+
+  return withStore(async (store) => {
+    const emailReservation = await store.reserve(emailKey(email), now, nextEmailCounter(config, now));
+    if (emailReservation.refused) {
+      return { allowed: false, reason: emailReservation.reason, retryAfter: emailReservation.retryAfter };
+    }
+
+    const ipReservation = ip ? await store.reserve(ipKey(ip), now, nextIpCounter(config, now)) : null;
+    if (ipReservation?.refused) {
+      await store.release(emailKey(email), emailReservation);
+      return { allowed: false, reason: ipReservation.reason, retryAfter: ipReservation.retryAfter };
+    }
+
+    return { allowed: true, reservation: { email, ip, emailReservation, ipReservation } };
+  });
+};
+
+// The reserved attempt failed; it has already been counted.
+// Returns { locked, lockedUntil } for the email.
+export const recordLoginFailure = async ({ reservation, userId }) => {
+  const config = getThrottleConfig();
+  const { email, ip, emailReservation } = reservation;
+  const { failures, lockedUntil } = emailReservation.after;
+
+  // Only the attempt that reached the limit opens a lockout
+  const newlyLocked = failures === config.maxFailures;
+
+  if (newlyLocked) {
+    console.log(`🔒 Account locked after ${failures} failed logins:`, email);
+  }
+
+  // Lockout events only live in MongoDB; skip them while running on the fallback
+  if (newlyLocked && mongoose.connection.readyState === 1) {
+    try {
+      await LockoutEvent.create({
+        user: userId,
+        email,
+        ip,
+        failures,
+        lockedUntil
+      });
+    } catch (error) {
+      console.error('Failed to record lockout event:', error.message);
+    }
+  }
+
+  return { locked: Boolean(lockedUntil), lockedUntil };
+};
+
+// The password was right but the login is not complete yet (a second factor is
+// due): take the reserved attempt back without clearing earlier failures
+export const releaseLoginAttempt = async (reservation) => {
+  await withStore(async (store) => {
+    await store.release(emailKey(reservation.email), reservation.emailReservation);
+    if (reservation.ipReservation) await store.release(ipKey(reservation.ip), reservation.ipReservation);
+  });
+};
+
+// Successful login clears the email counter; the IP counter keeps running,
+// less the attempt reserved for this login
+export const recordLoginSuccess = async ({ email, reservation }) => {
+  await withStore(async (store) => {
+    await store.delete(emailKey(email));
+    if (reservation?.ipReservation) await store.release(ipKey(reservation.ip), reservation.ipReservation);
+  });
+};
+
+// Admin unlock: clears the counter and closes any open lockout event.
+// Returns true if the account was locked.
+export const unlockAccount = async (email, unlockedBy) => {
+  const now = new Date();
+
+  const wasLocked = await withStore(async (store) => {
+    const record = await store.get(emailKey(email));
+    await store.delete(emailKey(email));
+    return Boolean(record?.lockedUntil && new Date(record.lockedUntil) > now);
+  });
+
+  await LockoutEvent.updateMany(
+    { email: String(email).toLowerCase().trim(), unlockedAt: null, lockedUntil: { $gt: now } },
+    { unlockedAt: now, unlockedBy }
+  );
+
+  return wasLocked;
+};
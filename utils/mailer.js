@@ -0,0 +1,75 @@
+import fs from 'fs';
+import path from 'path';
+
+// Pluggable outgoing mail. A transport is an async function receiving
+// { from, to, subject, text, html }; pick one with MAIL_TRANSPORT.
+const transports = {
+  // Print mail to the server log - development only, as mails carry reset and
+  // verification tokens, invitation links and initial passwords
+  console: async (message) => {
+    console.log('📧 Outgoing mail');
+    console.log('   To:', message.to);
+    console.log('   Subject:', message.subject);
+    console.log(message.text);
+  },
+
+  // Write each mail as a JSON file so it can be inspected by hand or by tests
+  file: async (message) => {
+    const outputDir = process.env.MAIL_OUTPUT_DIR || path.join(process.cwd(), 'tmp', 'mail');
+    await fs.promises.mkdir(outputDir, { recursive: true });
+
+    const safeTo = String(message.to).replace(/[^a-zA-Z0-9_.@-]/g, '_');
+    const fileName = `${Date.now()}-${Math.round(Math.random() * 1e6)}-${safeTo}.json`;
+    await fs.promises.writeFile(
+      path.join(outputDir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  }
+};
+
+// Register a custom transport (e.g. SMTP or a mail API client) at startup
+export const registerTransport = (name, send) => {
+  if (typeof send !== 'function') {
+    throw new Error('Mail transport must be a function');
+  }
+  transports[name] = send;
+};
+
+// Transport chosen by MAIL_TRANSPORT (console by default in development).
+// Throws when none is configured, so a deployment fails at startup instead of
+// writing working credentials to its logs.
+export const getMailTransport = () => {
+  const development = process.env.NODE_ENV === 'development';
+  const transportName = process.env.MAIL_TRANSPORT || (development ? 'console' : null);
+  if (!transportName) {
+    throw new Error('MAIL_TRANSPORT must be set outside development');
+  }
+  if (transportName === 'console' && !development) {
+    throw new Error('The console mail transport logs tokens and passwords and is only allowed in development');
+  }
+
+  const transport = transports[transportName];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`);
+  }
+  return transport;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  const transport = getMailTransport();
+
+  await transport({
+    from: process.env.MAIL_FROM || 'no-reply@placement.local',
+    to,
+    subject,
+    text,
+    html
+  });
+};
+
+// Build a link into the frontend app, e.g. frontendLink('/reset-password', { token })
+export const frontendLink = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.FRONTEND_URL || 'http://localhost:5173');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
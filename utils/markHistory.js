@@ -0,0 +1,49 @@
+// Versioned history of a TestResult's marks. Every change appends a version
+// holding the new values and the ones it replaced, so any earlier version can
+// be looked up or restored.
+
+// What a version captures
+export const versionValues = (result) => ({
+  markStatus: result.markStatus || 'graded',
+  marksObtained: result.marksObtained ?? null,
+  remarks: result.remarks || ''
+});
+
+export const currentVersion = (result) => {
+  const history = result?.history || [];
+  return history.length > 0 ? history[history.length - 1].version || history.length : 0;
+};
+
+// History entries to append when a result changes from `previous` (null for a new
+// result) to `next`. Results saved before versions were kept first get their old
+// values recorded as version 1, so they can be rolled back to.
+export const historyEntries = (previous, next, { by, reason, source, at = new Date(), ...extra }) => {
+  const entries = [];
+  let version = currentVersion(previous);
+
+  if (previous && version === 0) {
+    entries.push({
+      version: ++version,
+      ...versionValues(previous),
+      source: 'legacy',
+      changedBy: previous.gradedBy,
+      changedAt: previous.gradedAt || previous.updatedAt
+    });
+  }
+
+  const before = previous ? versionValues(previous) : {};
+  entries.push({
+    version: ++version,
+    ...versionValues(next),
+    previousStatus: before.markStatus ?? null,
+    previousMarks: before.marksObtained ?? null,
+    previousRemarks: before.remarks ?? null,
+    reason: reason || undefined,
+    source,
+    changedBy: by,
+    changedAt: at,
+    ...extra
+  });
+
+  return entries;
+};
@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../config/database.js';
+import User from '../models/User.js';
+
+dotenv.config();
+
+// Accounts created before email verification existed have no emailVerified field.
+// They were created by admins or before verification was asked for, so they are
+// treated as verified instead of being locked out of verified-only features.
+const migrateEmailVerified = async () => {
+  try {
+    await connectDB();
+
+    const now = new Date();
+    const { modifiedCount } = await User.updateMany(
+      { emailVerified: { $exists: false } },
+      { $set: { emailVerified: true, emailVerifiedAt: now } }
+    );
+
+    console.log(`✅ Marked ${modifiedCount} existing accounts as verified`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating email verification:', error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateEmailVerified();
+}
+
+export default migrateEmailVerified;
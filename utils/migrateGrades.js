@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../config/database.js';
+import '../models/Test.js';
+import '../models/TestResult.js';
+import { recomputeResultGrades } from './grading.js';
+
+dotenv.config();
+
+// Recompute and store percentage, grade, gradePoint and pass/fail on every
+// TestResult using the grading scheme that applies to its test
+const migrateGrades = async () => {
+  try {
+    await connectDB();
+
+    const { tests, updated } = await recomputeResultGrades();
+    console.log(`✅ Grades recomputed: ${updated} results updated across ${tests} tests`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating grades:', error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateGrades();
+}
+
+export default migrateGrades;
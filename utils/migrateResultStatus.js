@@ -0,0 +1,40 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import connectDB from '../config/database.js';
+import Test from '../models/Test.js';
+import TestResult from '../models/TestResult.js';
+
+dotenv.config();
+
+// Give tests created before the result lifecycle a status. Results that students
+// could already see stay visible (published); tests without results start as draft.
+const migrateResultStatus = async () => {
+  try {
+    await connectDB();
+
+    const testIdsWithResults = await TestResult.distinct('test');
+    const unset = { resultStatus: { $exists: false } };
+    const history = { status: 'published', at: new Date(), note: 'Published before the result lifecycle was introduced' };
+
+    const published = await Test.updateMany(
+      { ...unset, _id: { $in: testIdsWithResults } },
+      { $set: { resultStatus: 'published', publishedAt: history.at }, $push: { resultHistory: history } }
+    );
+    const drafts = await Test.updateMany(unset, { $set: { resultStatus: 'draft' } });
+
+    console.log(`✅ Result status set: ${published.modifiedCount} tests published, ${drafts.modifiedCount} tests in draft`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating result status:', error);
+    process.exit(1);
+  }
+};
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  migrateResultStatus();
+}
+
+export default migrateResultStatus;
@@ -0,0 +1,207 @@
+import Question from '../models/Question.js';
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// IANA time zone exam times are given in (INSTITUTION_TIMEZONE, default UTC),
+// so test windows do not move with the server's own time zone. Throws on an unknown zone.
+export const institutionTimeZone = () => {
+  const timeZone = process.env.INSTITUTION_TIMEZONE || 'UTC';
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (error) {
+    throw new Error(`Unknown INSTITUTION_TIMEZONE: ${timeZone}`);
+  }
+  return timeZone;
+};
+
+// Offset of a time zone from UTC at an instant, in milliseconds
+const zoneOffset = (instant, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(instant).map(part => [part.type, Number(part.value)]));
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+// Start of a test: its date at its exam time in the institution's time zone.
+// The date is the calendar day of testDate as stored (dates without a time are UTC midnight).
+export const testStartsAt = (test) => {
+  const [hours, minutes] = String(test.examTime || '09:00').split(':').map(Number);
+  const date = new Date(test.testDate);
+  const wallClock = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), hours || 0, minutes || 0);
+
+  // The offset at the wall-clock time read as UTC is off by the offset itself near
+  // a daylight saving change, so it is taken again at the first estimate
+  const timeZone = institutionTimeZone();
+  const estimate = wallClock - zoneOffset(new Date(wallClock), timeZone);
+  return new Date(wallClock - zoneOffset(new Date(estimate), timeZone));
+};
+
+// End of a test's window: its start plus its duration. Attempts cannot start or
+// take answers after it.
+export const testEndsAt = (test) => new Date(testStartsAt(test).getTime() + (test.duration || 0) * 60 * 1000);
+
+const sameIds = (a, b) => a.length === b.length && a.every(id => b.includes(id));
+
+// Whether an answer is correct. Answers are an option id (mcq_single), a list of
+// option ids (mcq_multi, all and only the correct ones), a number (numeric,
+// within tolerance) or a boolean (true_false).
+export const isAnswerCorrect = (question, answer) => {
+  if (answer === undefined || answer === null || answer === '') return false;
+
+  switch (question.type) {
+    case 'mcq_single':
+    case 'mcq_multi': {
+      const selected = [...new Set((Array.isArray(answer) ? answer : [answer]).map(String))];
+      const correct = question.options.filter(option => option.isCorrect).map(option => option._id.toString());
+      return sameIds(selected, correct);
+    }
+    case 'numeric': {
+      const value = Number(answer);
+      return Number.isFinite(value) && Math.abs(value - question.numericAnswer) <= (question.tolerance || 0);
+    }
+    case 'true_false':
+      return answer === true || answer === 'true' ? question.correctAnswer === true
+        : answer === false || answer === 'false' ? question.correctAnswer === false
+          : false;
+    default:
+      return false;
+  }
+};
+
+// Whether a bank question falls under a paper rule ({ topic, difficulty, count, marks });
+// a rule without a topic or difficulty takes any
+export const ruleMatches = (rule, question) =>
+  (!rule.topic || rule.topic.toLowerCase() === question.topic.toLowerCase()) &&
+  (!rule.difficulty || rule.difficulty === question.difficulty);
+
+// 32-bit seed of a student's attempt: the same test, student and attempt number
+// always give the same paper
+export const paperSeed = (testId, studentId, number) => {
+  let hash = 0x811c9dc5;
+  for (const char of `${testId}:${studentId}:${number}`) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Deterministic random numbers in [0, 1) from a seed (mulberry32)
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const shuffle = (items, random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// The paper of one attempt: [{ question, marks, optionOrder }]. With paper rules each
+// rule draws its count of questions from the matching ones in the test's pool;
+// questions and options are shuffled when the test says so. The same seed always
+// gives the same paper, so graders and reviewers rebuild exactly what the student
+// saw. Attempts without a seed get the pool as it is.
+export const buildPaper = (test, questionsById, seed) => {
+  const pool = test.questions.filter(entry => questionsById.has(entry.question.toString()));
+  if (seed === undefined || seed === null) {
+    return pool.map(entry => ({ question: entry.question, marks: entry.marks }));
+  }
+
+  const random = seededRandom(seed);
+  let paper = pool;
+  if (test.paperRules?.length > 0) {
+    paper = test.paperRules.flatMap(rule => {
+      const candidates = pool.filter(entry => ruleMatches(rule, questionsById.get(entry.question.toString())));
+      const drawn = new Set(shuffle(candidates, random).slice(0, rule.count));
+      // Drawn questions keep their pool order unless the whole paper is shuffled
+      return candidates.filter(entry => drawn.has(entry));
+    });
+  }
+  if (test.shuffleQuestions) paper = shuffle(paper, random);
+
+  return paper.map(entry => {
+    const question = questionsById.get(entry.question.toString());
+    return {
+      question: entry.question,
+      marks: entry.marks,
+      ...(test.shuffleOptions && question.options.length > 0 && {
+        optionOrder: shuffle(question.options.map(option => option._id), random)
+      })
+    };
+  });
+};
+
+// Questions of a test's paper, in paper order, as Map of question id -> question
+export const loadPaperQuestions = async (test) => {
+  const questions = await Question.find({ _id: { $in: test.questions.map(entry => entry.question) } }).lean();
+  return new Map(questions.map(question => [question._id.toString(), question]));
+};
+
+// Grade answers ([{ question, answer }]) against a paper (see buildPaper).
+// Returns { marksObtained, responses } with one response per paper question.
+export const gradeResponses = (paper, questionsById, answers = []) => {
+  const answerByQuestion = new Map(answers.map(entry => [String(entry?.question), entry?.answer]));
+
+  const responses = paper.map(entry => {
+    const question = questionsById.get(entry.question.toString());
+    const answer = answerByQuestion.get(entry.question.toString()) ?? null;
+    const isCorrect = Boolean(question) && isAnswerCorrect(question, answer);
+    return {
+      question: entry.question,
+      answer,
+      isCorrect,
+      marksAwarded: isCorrect ? entry.marks : 0,
+      maxMarks: entry.marks
+    };
+  });
+
+  return {
+    marksObtained: round(responses.reduce((sum, response) => sum + response.marksAwarded, 0)),
+    responses
+  };
+};
+
+// Options of a question in the order of its paper entry
+const orderedOptions = (question, optionOrder) => {
+  if (!optionOrder) return question.options;
+  const byId = new Map(question.options.map(option => [option._id.toString(), option]));
+  return optionOrder.map(id => byId.get(id.toString())).filter(Boolean);
+};
+
+// A paper question as shown to students: no answer key or explanation
+export const studentQuestionView = (question, { marks, optionOrder }) => ({
+  _id: question._id,
+  type: question.type,
+  text: question.text,
+  topic: question.topic,
+  marks,
+  ...(question.options.length > 0 && {
+    options: orderedOptions(question, optionOrder).map(option => ({ _id: option._id, text: option.text }))
+  })
+});
+
+// A paper question as shown to reviewers: with the answer key, options in the
+// order the student saw them
+export const reviewQuestionView = (question, { marks, optionOrder }) => ({
+  ...question,
+  options: orderedOptions(question, optionOrder),
+  paperMarks: marks
+});
@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+
+// Password rules, configurable through environment variables
+export const getPasswordPolicy = () => ({
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+  requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+  requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+  requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+  requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true'
+});
+
+// Returns a list of human readable violations (empty when the password is acceptable).
+// `user` supplies the personal identifiers the password must not equal.
+export const validatePassword = (password, user = {}) => {
+  const policy = getPasswordPolicy();
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
+    return errors;
+  }
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+  if (policy.requireNumber && !/[0-9]/.test(password)) {
+    errors.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a symbol');
+  }
+
+  const normalized = password.toLowerCase();
+  const identifiers = [
+    user.email,
+    user.email?.split('@')[0],
+    user.rollNumber,
+    user.employeeId
+  ].filter(Boolean).map(value => String(value).toLowerCase().trim());
+
+  if (identifiers.includes(normalized)) {
+    errors.push('Password must not be your email, roll number or employee ID');
+  }
+
+  return errors;
+};
+
+// Random password that satisfies the current policy (for accounts created by an admin)
+export const generateInitialPassword = () => {
+  const policy = getPasswordPolicy();
+  const sets = {
+    upper: 'ABCDEFGHJKLMNPQRSTUVWXYZ',
+    lower: 'abcdefghijkmnopqrstuvwxyz',
+    number: '23456789',
+    symbol: '!@#$%&*?'
+  };
+  const pick = (chars) => chars[crypto.randomInt(chars.length)];
+
+  const required = [
+    policy.requireUppercase && pick(sets.upper),
+    policy.requireLowercase && pick(sets.lower),
+    policy.requireNumber && pick(sets.number),
+    policy.requireSymbol && pick(sets.symbol)
+  ].filter(Boolean);
+
+  const all = sets.upper + sets.lower + sets.number + (policy.requireSymbol ? sets.symbol : '');
+  const length = Math.max(policy.minLength, 12);
+  const characters = [...required];
+  while (characters.length < length) characters.push(pick(all));
+
+  // Shuffle so the required characters are not always in front
+  for (let i = characters.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [characters[i], characters[j]] = [characters[j], characters[i]];
+  }
+  return characters.join('');
+};
@@ -0,0 +1,174 @@
+import PDFDocument from 'pdfkit';
+
+const institutionName = () => process.env.INSTITUTION_NAME || 'Placement Readiness System';
+
+const MARGIN = 40;
+
+// Collect a finished document into a Buffer
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  doc.end();
+});
+
+const drawHeader = (doc, title) => {
+  doc.font('Helvetica-Bold').fontSize(16).text(institutionName(), { align: 'center' });
+  doc.font('Helvetica').fontSize(12).text(title, { align: 'center' });
+  doc.moveDown(0.5);
+  doc.moveTo(MARGIN, doc.y).lineTo(doc.page.width - MARGIN, doc.y).stroke();
+  doc.moveDown(0.5);
+};
+
+// Two-column block of "Label: value" lines
+const drawDetails = (doc, details) => {
+  doc.fontSize(10);
+  details.filter(([, value]) => value !== undefined && value !== null && value !== '').forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(String(value));
+  });
+  doc.moveDown(0.8);
+};
+
+// Simple grid table that repeats its header on every page.
+// columns: [{ header, value: row => any, width (fraction of the usable width), align }]
+const drawTable = (doc, columns, rows) => {
+  const usableWidth = doc.page.width - MARGIN * 2;
+  const widths = columns.map(column => column.width * usableWidth);
+  const rowHeight = 18;
+  const bottom = () => doc.page.height - MARGIN - 30;
+
+  const drawRow = (cells, { bold = false, shade = false } = {}) => {
+    if (doc.y + rowHeight > bottom()) {
+      doc.addPage();
+      drawRow(columns.map(column => column.header), { bold: true, shade: true });
+    }
+    const y = doc.y;
+    if (shade) doc.rect(MARGIN, y, usableWidth, rowHeight).fill('#eeeeee').fillColor('black');
+
+    let x = MARGIN;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    cells.forEach((cell, index) => {
+      doc.text(String(cell ?? ''), x + 4, y + 5, {
+        width: widths[index] - 8,
+        height: rowHeight - 5,
+        align: columns[index].align || 'left',
+        ellipsis: true,
+        lineBreak: false
+      });
+      x += widths[index];
+    });
+    doc.rect(MARGIN, y, usableWidth, rowHeight).stroke('#999999');
+    doc.x = MARGIN;
+    doc.y = y + rowHeight;
+  };
+
+  drawRow(columns.map(column => column.header), { bold: true, shade: true });
+  rows.forEach(row => drawRow(columns.map(column => column.value(row))));
+  doc.moveDown(1);
+};
+
+// Footer with generation time and page numbers on every page
+const drawFooters = (doc, note) => {
+  const range = doc.bufferedPageRange();
+  for (let index = range.start; index < range.start + range.count; index++) {
+    doc.switchToPage(index);
+    const y = doc.page.height - MARGIN - 12;
+    doc.font('Helvetica').fontSize(8).fillColor('#555555');
+    doc.text(note, MARGIN, y, { lineBreak: false });
+    doc.text(`Page ${index + 1} of ${range.count}`, MARGIN, y, {
+      width: doc.page.width - MARGIN * 2,
+      align: 'right',
+      lineBreak: false
+    });
+    doc.fillColor('black');
+  }
+};
+
+const newDocument = (title) => new PDFDocument({
+  size: 'A4',
+  margin: MARGIN,
+  bufferPages: true,
+  info: { Title: title, Author: institutionName() }
+});
+
+// Printable mark sheet for one test
+export const buildMarkSheetPdf = ({ test, subjectLabel, rows, statistics, generatedBy }) => {
+  const doc = newDocument(`Mark Sheet - ${test.title}`);
+
+  drawHeader(doc, 'Mark Sheet');
+  drawDetails(doc, [
+    ['Test', test.title],
+    ['Subject', subjectLabel],
+    ['Type', test.testType],
+    ['Date', test.testDate ? new Date(test.testDate).toLocaleDateString('en-IN') : ''],
+    ['Maximum Marks', test.maxMarks],
+    ['Passing Marks', test.passingMarks]
+  ]);
+
+  drawTable(doc, [
+    { header: '#', value: row => row.index, width: 0.05, align: 'right' },
+    { header: 'Roll Number', value: row => row.rollNumber, width: 0.14 },
+    { header: 'Student Name', value: row => row.name, width: 0.24 },
+    { header: 'Marks', value: row => row.marksObtained, width: 0.08, align: 'right' },
+    { header: '%', value: row => row.percentage, width: 0.08, align: 'right' },
+    { header: 'Grade', value: row => row.grade, width: 0.07, align: 'center' },
+    { header: 'Result', value: row => row.result, width: 0.08, align: 'center' },
+    { header: 'Remarks', value: row => row.remarks, width: 0.26 }
+  ], rows);
+
+  doc.font('Helvetica-Bold').fontSize(11).text('Summary');
+  doc.moveDown(0.3);
+  drawDetails(doc, [
+    ['Students', statistics.totalStudents],
+    ['Average Marks', statistics.averageMarks],
+    ['Average Percentage', `${statistics.averagePercentage}%`],
+    ['Pass Rate', `${statistics.passRate}%`],
+    ['Highest / Lowest', `${statistics.highestMarks} / ${statistics.lowestMarks}`],
+    ['Grade Distribution', Object.entries(statistics.gradeDistribution).map(([grade, count]) => `${grade}: ${count}`).join(', ')]
+  ]);
+
+  drawFooters(doc, `Generated ${new Date().toLocaleString('en-IN')}${generatedBy ? ` by ${generatedBy}` : ''}`);
+  return toBuffer(doc);
+};
+
+// Student report card with a verification code that can be checked online
+export const buildReportCardPdf = ({ snapshot, code, issuedAt, verifyUrl }) => {
+  const doc = newDocument(`Report Card - ${snapshot.student.name}`);
+
+  drawHeader(doc, 'Student Report Card');
+  drawDetails(doc, [
+    ['Name', snapshot.student.name],
+    ['Roll Number', snapshot.student.rollNumber],
+    ['Department', snapshot.student.department],
+    ['Year', snapshot.student.year],
+    ['Issued', new Date(issuedAt).toLocaleDateString('en-IN')]
+  ]);
+
+  drawTable(doc, [
+    { header: 'Code', value: row => row.code, width: 0.12 },
+    { header: 'Subject', value: row => row.name, width: 0.34 },
+    { header: 'Credits', value: row => row.credits, width: 0.09, align: 'right' },
+    { header: 'Tests', value: row => `${row.passedTests}/${row.totalTests}`, width: 0.09, align: 'right' },
+    { header: 'Pass Rate', value: row => `${row.passRate}%`, width: 0.12, align: 'right' },
+    { header: '%', value: row => row.percentage, width: 0.12, align: 'right' },
+    { header: 'Grade', value: row => row.grade, width: 0.12, align: 'center' }
+  ], snapshot.subjects);
+
+  doc.font('Helvetica-Bold').fontSize(11).text('Summary');
+  doc.moveDown(0.3);
+  drawDetails(doc, [
+    ['Total Credits', snapshot.totalCredits],
+    ['Weighted Percentage', `${snapshot.weightedPercentage}%`],
+    ['Overall Grade', snapshot.overallGrade],
+    ['Overall Pass Rate', `${snapshot.passRate}%`]
+  ]);
+
+  doc.font('Helvetica-Bold').fontSize(10).text('Verification');
+  doc.font('Helvetica').fontSize(9)
+    .text(`Code: ${code}`)
+    .text(`Verify this report card at ${verifyUrl}`);
+
+  drawFooters(doc, `Verification code ${code}`);
+  return toBuffer(doc);
+};
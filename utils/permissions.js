@@ -0,0 +1,62 @@
+import Role from '../models/Role.js';
+import { ALL_PERMISSIONS, SYSTEM_ROLES } from '../config/permissions.js';
+
+// Roles change rarely but are needed on every request, so keep them in memory
+// for a short while. Role mutations call invalidateRoleCache().
+const CACHE_TTL_MS = 60 * 1000;
+let roleCache = null;
+let roleCacheLoadedAt = 0;
+
+const loadRoles = async () => {
+  if (roleCache && Date.now() - roleCacheLoadedAt < CACHE_TTL_MS) {
+    return roleCache;
+  }
+
+  const roles = await Role.find().select('name permissions').lean();
+  roleCache = {
+    byId: new Map(roles.map(role => [role._id.toString(), role])),
+    byName: new Map(roles.map(role => [role.name, role]))
+  };
+  roleCacheLoadedAt = Date.now();
+  return roleCache;
+};
+
+export const invalidateRoleCache = () => {
+  roleCache = null;
+};
+
+// Effective permissions = base role (User.role) + any additionally assigned roles
+export const resolvePermissions = async (user) => {
+  // Admins always keep full access so they cannot lock themselves out
+  if (user.role === 'admin') return [...ALL_PERMISSIONS];
+
+  const { byId, byName } = await loadRoles();
+  const permissions = new Set(
+    byName.get(user.role)?.permissions || SYSTEM_ROLES[user.role]?.permissions || []
+  );
+
+  (user.roles || []).forEach(roleId => {
+    const role = byId.get(roleId.toString());
+    role?.permissions.forEach(permission => permissions.add(permission));
+  });
+
+  return [...permissions];
+};
+
+export const hasPermission = (user, permission) => {
+  return Boolean(user?.permissions?.includes(permission));
+};
+
+// Create the built-in roles on startup (existing ones are left as edited)
+export const ensureSystemRoles = async () => {
+  await Promise.all(Object.entries(SYSTEM_ROLES).map(([name, definition]) =>
+    Role.updateOne(
+      { name },
+      { $setOnInsert: { name, description: definition.description, permissions: definition.permissions, isSystem: true } },
+      { upsert: true }
+    )
+  ));
+  // The admin role always carries the full catalog
+  await Role.updateOne({ name: 'admin' }, { permissions: ALL_PERMISSIONS });
+  invalidateRoleCache();
+};
@@ -0,0 +1,81 @@
+// Self-registration rules for students, configured through environment variables:
+//   STUDENT_EMAIL_DOMAINS=college.edu,students.college.edu   (empty = any domain)
+//   ROLL_NUMBER_PATTERNS={"CSE":"^CS\\d{7}$","ECE":"^EC\\d{7}$"}
+//   ROLL_NUMBER_DEFAULT_PATTERN=^[A-Za-z0-9-]{3,20}$          (departments not listed above)
+const FALLBACK_ROLL_NUMBER_PATTERN = '^[A-Za-z0-9-]{3,20}$';
+
+// Compile a configured pattern; an invalid one closes self-registration for what it
+// covers rather than failing every request
+const compilePattern = (pattern, name) => {
+  if (!pattern) return null;
+  try {
+    return new RegExp(pattern);
+  } catch (error) {
+    console.error(`❌ ${name} is not a valid regular expression, closing self-registration for it`);
+    return null;
+  }
+};
+
+const parsePatterns = () => {
+  if (!process.env.ROLL_NUMBER_PATTERNS) return {};
+  let patterns;
+  try {
+    patterns = JSON.parse(process.env.ROLL_NUMBER_PATTERNS);
+  } catch (error) {
+    console.error('❌ ROLL_NUMBER_PATTERNS is not valid JSON, ignoring it');
+    return {};
+  }
+  return Object.fromEntries(Object.entries(patterns)
+    .filter(([, pattern]) => pattern)
+    .map(([department, pattern]) => [department, compilePattern(pattern, `ROLL_NUMBER_PATTERNS.${department}`)]));
+};
+
+let policy;
+
+// Read once, on first use (server startup calls it so configuration errors show up
+// right away)
+export const getRegistrationPolicy = () => {
+  policy ||= {
+    allowedEmailDomains: (process.env.STUDENT_EMAIL_DOMAINS || '')
+      .split(',')
+      .map(domain => domain.trim().toLowerCase())
+      .filter(Boolean),
+    rollNumberPatterns: parsePatterns(),
+    defaultRollNumberPattern: compilePattern(
+      process.env.ROLL_NUMBER_DEFAULT_PATTERN ?? FALLBACK_ROLL_NUMBER_PATTERN,
+      'ROLL_NUMBER_DEFAULT_PATTERN'
+    )
+  };
+  return policy;
+};
+
+// Returns a list of violations for a student self-registration (empty when allowed)
+export const validateStudentRegistration = ({ email, rollNumber, department }) => {
+  const policy = getRegistrationPolicy();
+  const errors = [];
+
+  const domain = String(email || '').toLowerCase().split('@')[1];
+  if (policy.allowedEmailDomains.length > 0 && !policy.allowedEmailDomains.includes(domain)) {
+    errors.push(`Registration is only open to ${policy.allowedEmailDomains.map(d => '@' + d).join(', ')} email addresses`);
+  }
+
+  if (typeof department !== 'string' || !department.trim()) {
+    errors.push('Department is required');
+  }
+  if (typeof rollNumber !== 'string' || !rollNumber.trim()) {
+    errors.push('Roll number is required');
+    return errors;
+  }
+
+  const departmentName = typeof department === 'string' ? department.trim() : '';
+  const pattern = Object.hasOwn(policy.rollNumberPatterns, departmentName)
+    ? policy.rollNumberPatterns[departmentName]
+    : policy.defaultRollNumberPattern;
+  if (!pattern) {
+    errors.push(`Self-registration is not open for department ${departmentName}`);
+  } else if (!pattern.test(rollNumber.trim())) {
+    errors.push(`Roll number ${rollNumber.trim()} is not valid for department ${departmentName}`);
+  }
+
+  return errors;
+};
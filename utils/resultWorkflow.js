@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import { termTestFilter } from './terms.js';
+
+// Marks can only be entered or changed while a test's results are with the teacher
+export const MARKS_EDITABLE_STATUSES = ['draft', 'withdrawn'];
+
+// Tests created before the result lifecycle have no stored status and count as draft
+export const resultStatusOf = (test) => test?.resultStatus || 'draft';
+
+export const areMarksEditable = (test) => MARKS_EDITABLE_STATUSES.includes(resultStatusOf(test));
+
+export const marksLockedMessage = (test) =>
+  `Marks cannot be changed while the results are ${resultStatusOf(test)}; withdraw or return them first`;
+
+// TestResult filter for what students may see: results of published tests,
+// optionally limited to a resolved term
+export const publishedResultFilter = async (term = null) => {
+  const testIds = await mongoose.model('Test')
+    .find({ resultStatus: 'published', ...termTestFilter(term) })
+    .distinct('_id');
+  return { test: { $in: testIds } };
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Marks after moderation, from the marks as entered:
+// - grace: add graceMarks (with onlyToPass, only to results that then reach the
+//   passing marks, and only as many as needed)
+// - scale: multiply by factor (below 1 scales marks down)
+// Moderated marks never exceed the test's maximum.
+export const moderateMarks = (test, marks, { mode, graceMarks = 0, onlyToPass = false, factor = 1 }) => {
+  let moderated = marks;
+
+  if (mode === 'grace') {
+    if (!onlyToPass) {
+      moderated = marks + graceMarks;
+    } else if (marks < test.passingMarks && test.passingMarks - marks <= graceMarks) {
+      moderated = test.passingMarks;
+    }
+  } else if (mode === 'scale') {
+    moderated = round(marks * factor);
+  }
+
+  return Math.max(0, Math.min(test.maxMarks, moderated));
+};
+
+// Tests published before publishedAt was stored only have it in their history
+export const publishedAtOf = (test) => {
+  if (test.publishedAt) return test.publishedAt;
+  const published = (test.resultHistory || []).filter(entry => entry.status === 'published');
+  return published[published.length - 1]?.at || null;
+};
+
+// Last moment students may ask for a re-evaluation of a published test's results
+// (REVALUATION_WINDOW_DAYS after publication), or null when the results are not published
+export const revaluationDeadline = (test) => {
+  const publishedAt = resultStatusOf(test) === 'published' && publishedAtOf(test);
+  if (!publishedAt) return null;
+  const days = parseInt(process.env.REVALUATION_WINDOW_DAYS) || 7;
+  return new Date(new Date(publishedAt).getTime() + days * 24 * 60 * 60 * 1000);
+};
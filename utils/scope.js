@@ -0,0 +1,97 @@
+import Subject from '../models/Subject.js';
+import SubjectOffering from '../models/SubjectOffering.js';
+import { hasPermission } from './permissions.js';
+import { recordAudit } from './audit.js';
+import { escapeRegex } from './subjects.js';
+
+// Data scoping for teachers: without scope:institute a user only reaches the
+// tests of subjects they teach (Subject.teachers or an active subject offering)
+// or created themselves, and the students of those subjects' departments.
+// Global subjects are taught across departments, so marks for their tests may
+// be entered for anyone.
+
+// Tests store their subject either as an ObjectId or as a free-text name/code
+const subjectKey = (subject) => {
+  if (subject?._id) return subject._id.toString();
+  return String(subject ?? '').trim().toLowerCase();
+};
+
+export const getAccessScope = async (user) => {
+  if (hasPermission(user, 'scope:institute')) {
+    return { unrestricted: true };
+  }
+
+  const offeredSubjectIds = await SubjectOffering.find({ teachers: user._id, isActive: true }).distinct('subject');
+  const subjects = await Subject.find({ $or: [{ teachers: user._id }, { _id: { $in: offeredSubjectIds } }] })
+    .select('name code department isGlobal')
+    .lean();
+
+  const keysOf = (subject) => [subject._id.toString(), subject.name?.toLowerCase(), subject.code?.toLowerCase()];
+
+  return {
+    unrestricted: false,
+    userId: user._id.toString(),
+    subjects,
+    departments: [...new Set(subjects.map(subject => subject.department))],
+    subjectKeys: new Set(subjects.flatMap(keysOf)),
+    globalSubjectKeys: new Set(subjects.filter(subject => subject.isGlobal).flatMap(keysOf))
+  };
+};
+
+export const isTestInScope = (scope, test) => {
+  if (scope.unrestricted) return true;
+
+  const createdBy = test.createdBy?._id || test.createdBy;
+  if (createdBy && createdBy.toString() === scope.userId) return true;
+
+  return scope.subjectKeys.has(subjectKey(test.subject));
+};
+
+// Mongo filter restricting a Test query to tests in scope (see isTestInScope)
+export const testScopeFilter = (scope) => {
+  if (scope.unrestricted) return {};
+
+  const names = scope.subjects.flatMap(subject => [subject.name, subject.code]).filter(Boolean);
+  return {
+    $or: [
+      { createdBy: scope.userId },
+      // Subjects are stored as ObjectIds, id strings, or free-text names/codes
+      { subject: { $in: scope.subjects.flatMap(subject => [subject._id, subject._id.toString()]) } },
+      ...(names.length > 0
+        ? [{ subject: { $in: names.map(name => new RegExp(`^\\s*${escapeRegex(name.trim())}\\s*$`, 'i')) } }]
+        : [])
+    ]
+  };
+};
+
+export const isStudentInScope = (scope, student, test) => {
+  if (scope.unrestricted) return true;
+  if (scope.departments.includes(student.department)) return true;
+  return Boolean(test && scope.globalSubjectKeys.has(subjectKey(test.subject)));
+};
+
+// Mongo filter restricting a User query to students in scope
+export const studentScopeFilter = (scope) => {
+  return scope.unrestricted ? {} : { department: { $in: scope.departments } };
+};
+
+// Reject an out-of-scope request with 403 and leave an audit trail
+export const denyOutOfScope = (req, res, { entityType, entityId, reason }) => {
+  console.log('⛔ Out-of-scope access:', req.user?.email, entityType, entityId?.toString(), reason);
+
+  recordAudit(req, {
+    action: 'access.denied',
+    entityType,
+    entityId,
+    metadata: {
+      reason,
+      method: req.method,
+      path: req.originalUrl
+    }
+  });
+
+  return res.status(403).json({
+    success: false,
+    message: `This ${entityType === 'user' ? 'student' : entityType} is outside the subjects and departments you teach`
+  });
+};
@@ -0,0 +1,78 @@
+import path from 'path';
+import ExcelJS from 'exceljs';
+import { parseCsv } from './csv.js';
+
+// "Roll Number", "roll_number" and "rollNumber" all become "rollnumber"
+export const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const values = [];
+    for (let column = 1; column <= worksheet.columnCount; column++) {
+      // .text is the displayed value, which also flattens hyperlinks and formulas
+      values.push(row.getCell(column).text ?? '');
+    }
+    rows[rowNumber - 1] = values;
+  });
+  return Array.from(rows, values => values || []);
+};
+
+// Read the first sheet of an uploaded CSV/XLSX file (multer memory storage).
+// Returns the normalized headers and one object per non-empty data row,
+// keyed by normalized header, with the 1-based spreadsheet row number.
+export const readSpreadsheet = async (file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  const table = extension === '.xlsx'
+    ? await readXlsx(file.buffer)
+    : parseCsv(file.buffer.toString('utf8'));
+
+  const [headerRow = [], ...dataRows] = table;
+  const headers = headerRow.map(normalizeHeader);
+
+  const rows = [];
+  dataRows.forEach((cells, index) => {
+    if (cells.every(cell => String(cell ?? '').trim() === '')) return;
+
+    const values = {};
+    headers.forEach((header, column) => {
+      if (header) values[header] = String(cells[column] ?? '').trim();
+    });
+    rows.push({ rowNumber: index + 2, values });
+  });
+
+  return { headers, rows };
+};
+
+// Pick a field from a parsed row by any of its accepted column names
+export const pickColumn = (values, aliases) => {
+  const key = aliases.map(normalizeHeader).find(alias => values[alias] !== undefined);
+  return key ? values[key] : undefined;
+};
+
+// Build an XLSX workbook with one table sheet and an optional key/value summary sheet.
+// columns: [{ header, value: row => any, width }]
+export const writeXlsx = async ({ sheetName, columns, rows, summary }) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(sheetName);
+
+  worksheet.columns = columns.map(column => ({ header: column.header, width: column.width || 15 }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+  rows.forEach(row => worksheet.addRow(columns.map(column => column.value(row) ?? '')));
+
+  if (summary) {
+    const summarySheet = workbook.addWorksheet('Summary');
+    summarySheet.columns = [{ width: 25 }, { width: 30 }];
+    Object.entries(summary).forEach(([label, value]) => summarySheet.addRow([label, value ?? '']));
+    summarySheet.getColumn(1).font = { bold: true };
+  }
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+import Subject from '../models/Subject.js';
+
+// Test.subject holds a populated subject, an ObjectId, its string form, or a code/name
+export const subjectRefKey = (subject) => String(subject?._id ?? subject ?? '');
+
+// Map of subject reference key -> subject document for the given Test.subject values
+export const resolveSubjectRefs = async (refs, fields = 'name code department credits') => {
+  const keys = [...new Set(refs.map(subjectRefKey).filter(Boolean))];
+  if (keys.length === 0) return new Map();
+
+  const subjects = await Subject.find({
+    $or: [
+      { _id: { $in: keys.filter(key => mongoose.Types.ObjectId.isValid(key)) } },
+      { code: { $in: keys.map(key => key.toUpperCase()) } },
+      { name: { $in: keys } }
+    ]
+  }).select(fields).lean();
+
+  const byKey = new Map();
+  keys.forEach(key => {
+    const subject = subjects.find(candidate =>
+      candidate._id.toString() === key || candidate.code === key.toUpperCase() || candidate.name === key
+    );
+    if (subject) byKey.set(key, subject);
+  });
+  return byKey;
+};
+
+export const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Test.subject values that refer to one of the given subjects (see resolveSubjectRefs)
+export const subjectRefValues = (subjects) => subjects.flatMap(subject => [
+  subject._id,
+  subject._id.toString(),
+  subject.name,
+  new RegExp(`^${escapeRegex(subject.code)}$`, 'i')
+].filter(Boolean));
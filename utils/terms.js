@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+import AcademicTerm from '../models/AcademicTerm.js';
+
+export const getActiveTerm = () => AcademicTerm.findOne({ isActive: true }).lean();
+
+// Term selected by a `term` query parameter: an ID, `all` for no filtering, or
+// (when omitted) the active term. Returns { term } or { status, message } on error.
+export const resolveTermQuery = async (termParam) => {
+  if (termParam === 'all') return { term: null };
+
+  if (termParam) {
+    if (!mongoose.Types.ObjectId.isValid(termParam)) {
+      return { status: 400, message: 'Invalid term ID' };
+    }
+    const term = await AcademicTerm.findById(termParam).lean();
+    return term ? { term } : { status: 404, message: 'Term not found' };
+  }
+
+  return { term: await getActiveTerm() };
+};
+
+// Test filter for a resolved term (no filter when null)
+export const termTestFilter = (term) => (term ? { term: term._id } : {});
+
+// Short description of a term for API responses
+export const termSummary = (term) => term && {
+  _id: term._id,
+  name: term.name,
+  startDate: term.startDate,
+  endDate: term.endDate,
+  isActive: term.isActive,
+  status: term.status
+};
+
+export const isTermArchived = async (termId) => {
+  if (!termId) return false;
+  return Boolean(await AcademicTerm.exists({ _id: termId, status: 'archived' }));
+};
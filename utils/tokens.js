@@ -0,0 +1,12 @@
+import crypto from 'crypto';
+
+// Opaque tokens (refresh, reset, invitation...) are handed to the client once;
+// only their SHA-256 hash is ever persisted.
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+export const generateOpaqueToken = (bytes = 48) => {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, hash: hashToken(token) };
+};
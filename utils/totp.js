@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+// compatible with Google Authenticator, Authy, 1Password, etc.
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+export const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+export const generateTotp = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Returns the matching time step (allowing `window` steps of clock drift) or null
+export const verifyTotp = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const step = currentStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = Buffer.from(generateTotp(secret, step + offset));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+      return step + offset;
+    }
+  }
+  return null;
+};
+
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Human friendly single-use codes, e.g. "3f9a-c21b"
+export const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+};